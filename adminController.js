@@ -1,6 +1,22 @@
 const bcrypt = require('bcryptjs');
-const { Admin, User, Plan, Transaction, Settings, Banner } = require('./models');
-const { generateToken } = require('./auth');
+const { Admin, User, Plan, Transaction, PayoutBatch, LedgerEntry, AuditLog, ApprovalRequest, Settings, Banner } = require('./models');
+const sessions = require('./sessions');
+const ledger = require('./ledger');
+const { HttpError, runInTransaction } = require('./utils');
+const { recordAudit } = require('./audit');
+const { PERMISSIONS, ROLES, getPermissions, hasPermission } = require('./permissions');
+const scheduler = require('./scheduler');
+const { toMinor, formatPaths } = require('./money');
+const { generateToken, verifyToken, TOKEN_TYPES } = require('./auth');
+const twoFactor = require('./twoFactor');
+const loginGuard = require('./loginGuard');
+const { removeFile } = require('./storage');
+const { settleTransaction } = require('./settlement');
+const payments = require('./payments');
+const withdrawals = require('./withdrawals');
+const { parseCsv } = require('./csv');
+const { setPayoutAccountLock } = require('./payoutAccounts');
+const { paginate, rangeFilter, userSearchFilter, transactionFilter } = require('./pagination');
 
 // =======================
 // AUTENTICAÇÃO DO ADMIN
@@ -8,7 +24,7 @@ const { generateToken } = require('./auth');
 
 /**
  * @desc    Login do Administrador
- * @route   POST /api/admin/login
+ * @route   POST /api/v1/admin/login
  * @access  Public
  */
 const loginAdmin = async (req, res) => {
@@ -16,12 +32,30 @@ const loginAdmin = async (req, res) => {
     try {
         const admin = await Admin.findOne({ phoneNumber });
         if (admin && (await bcrypt.compare(password, admin.password))) {
+            await req.loginAttempt.succeeded();
+
+            if (!admin.isActive) {
+                return res.status(403).json({ message: 'Esta conta de administrador foi desativada.' });
+            }
+
+            // Com 2FA ativado, a senha só rende um desafio que precisa ser concluído com o código
+            if (admin.twoFactor && admin.twoFactor.enabled) {
+                return res.json({
+                    twoFactorRequired: true,
+                    challengeToken: generateToken('AdminTwoFactor', admin),
+                    expiresIn: TOKEN_TYPES.AdminTwoFactor.ttl
+                });
+            }
+
             res.json({
                 _id: admin._id,
                 phoneNumber: admin.phoneNumber,
-                token: generateToken(admin._id),
+                role: admin.role,
+                permissions: getPermissions(admin.role),
+                ...(await sessions.createSession('Admin', admin, req)),
             });
         } else {
+            await req.loginAttempt.failed();
             res.status(401).json({ message: 'Credenciais de administrador inválidas.' });
         }
     } catch (error) {
@@ -29,49 +63,692 @@ const loginAdmin = async (req, res) => {
     }
 };
 
+// Campos do 2FA que não são carregados por padrão (ver AdminSchema.twoFactor)
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Confere e consome o segundo fator de um admin: um código TOTP ainda não usado
+ * ou, se permitido, um código de recuperação (que deixa de valer).
+ * @param {object} admin - Admin carregado com TWO_FACTOR_SECRETS.
+ * @param {string} code - Código digitado.
+ * @param {{allowRecoveryCode?: boolean}} [options]
+ * @returns {Promise<'totp'|'recovery'|null>} O método aceito, ou null se o código for inválido.
+ */
+const consumeSecondFactor = async (admin, code, { allowRecoveryCode = false } = {}) => {
+    const { secret, lastUsedStep } = admin.twoFactor;
+    const step = secret && twoFactor.verifyTotp(secret, code, lastUsedStep ?? -1);
+    if (step) {
+        // Condicional: o mesmo código não pode concluir dois logins simultâneos
+        const result = await Admin.updateOne(
+            { _id: admin._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (allowRecoveryCode) {
+        const hash = twoFactor.hashRecoveryCode(code.trim());
+        const result = await Admin.updateOne(
+            { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        if (result.modifiedCount === 1) return 'recovery';
+    }
+
+    return null;
+};
+
+/**
+ * @desc    Concluir o login de um admin com 2FA (código TOTP ou código de recuperação)
+ * @route   POST /api/v1/admin/login/2fa
+ * @access  Public (exige o challengeToken do login)
+ */
+const loginAdminTwoFactor = async (req, res) => {
+    const { challengeToken, code } = req.body;
+    try {
+        let decoded;
+        try {
+            decoded = verifyToken('AdminTwoFactor', challengeToken);
+        } catch (error) {
+            return res.status(401).json({ message: 'Desafio de login inválido ou expirado. Faça login novamente.' });
+        }
+
+        const admin = await Admin.findById(decoded.sub).select(TWO_FACTOR_SECRETS);
+        if (!admin || decoded.tv !== admin.tokenVersion || !admin.twoFactor.enabled) {
+            return res.status(401).json({ message: 'Desafio de login inválido ou expirado. Faça login novamente.' });
+        }
+        if (!admin.isActive) {
+            return res.status(403).json({ message: 'Esta conta de administrador foi desativada.' });
+        }
+
+        // O segundo fator tem a sua própria contagem de tentativas, por admin e por IP
+        const attemptKeys = loginGuard.loginKeys('admin-2fa', admin._id, req.ip);
+        const refusal = await loginGuard.checkAttempt(attemptKeys);
+        if (refusal) {
+            res.set('Retry-After', String(refusal.retryAfter));
+            return res.status(429).json(refusal);
+        }
+
+        const method = await consumeSecondFactor(admin, code, { allowRecoveryCode: true });
+        if (!method) {
+            await loginGuard.recordFailure(attemptKeys);
+            return res.status(401).json({ message: 'Código de verificação inválido.' });
+        }
+        await loginGuard.recordSuccess(attemptKeys);
+
+        res.json({
+            _id: admin._id,
+            phoneNumber: admin.phoneNumber,
+            role: admin.role,
+            permissions: getPermissions(admin.role),
+            ...(method === 'recovery' && { recoveryCodesRemaining: admin.twoFactor.recoveryCodes.length - 1 }),
+            ...(await sessions.createSession('Admin', admin, req)),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro no servidor.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Iniciar o cadastro do 2FA: gera o segredo para o aplicativo autenticador
+ * @route   POST /api/v1/admin/2fa/setup
+ * @access  Private (Admin)
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.admin.twoFactor && req.admin.twoFactor.enabled) {
+            return res.status(400).json({ message: 'A autenticação em dois fatores já está ativada.' });
+        }
+
+        const { secret, otpauthUrl } = twoFactor.generateSecret(req.admin.phoneNumber);
+        await Admin.updateOne({ _id: req.admin._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+        res.json({ message: 'Leia o QR code no aplicativo autenticador e confirme com um código.', secret, otpauthUrl });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao iniciar o cadastro do 2FA.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Confirmar o cadastro do 2FA com um código do aplicativo (encerra as sessões abertas)
+ * @route   POST /api/v1/admin/2fa/enable
+ * @access  Private (Admin)
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id).select('+twoFactor.pendingSecret');
+        if (admin.twoFactor.enabled) {
+            return res.status(400).json({ message: 'A autenticação em dois fatores já está ativada.' });
+        }
+        if (!admin.twoFactor.pendingSecret) {
+            return res.status(400).json({ message: 'Inicie o cadastro do 2FA antes de confirmá-lo.' });
+        }
+
+        const step = twoFactor.verifyTotp(admin.twoFactor.pendingSecret, req.body.code);
+        if (!step) {
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await Admin.updateOne({ _id: admin._id }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.enabledAt': new Date(),
+                'twoFactor.secret': admin.twoFactor.pendingSecret,
+                'twoFactor.recoveryCodes': hashes,
+                'twoFactor.lastUsedStep': step
+            },
+            $unset: { 'twoFactor.pendingSecret': '' }
+        });
+
+        // As sessões abertas só com a senha deixam de valer
+        await sessions.revokeAllSessions('Admin', admin._id, '2fa_enabled');
+        await recordAudit(req, { action: 'admin.2fa.enable', targetType: 'Admin', targetId: admin._id });
+
+        res.json({
+            message: 'Autenticação em dois fatores ativada. Guarde os códigos de recuperação e faça login novamente.',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao ativar o 2FA.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Gerar novos códigos de recuperação (os anteriores deixam de valer)
+ * @route   POST /api/v1/admin/2fa/recovery-codes
+ * @access  Private (Admin)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_SECRETS);
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({ message: 'A autenticação em dois fatores não está ativada.' });
+        }
+        if (!(await consumeSecondFactor(admin, req.body.code))) {
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        await Admin.updateOne({ _id: admin._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+        await recordAudit(req, { action: 'admin.2fa.recovery_codes', targetType: 'Admin', targetId: admin._id });
+
+        res.json({ message: 'Novos códigos de recuperação gerados.', recoveryCodes: codes });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao gerar códigos de recuperação.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Desativar o 2FA (não permitido se o papel do admin o exige)
+ * @route   POST /api/v1/admin/2fa/disable
+ * @access  Private (Admin)
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const settings = await Settings.findOne({ settingId: 'global_settings' });
+        if (twoFactor.isTwoFactorRequired(req.admin.role, settings)) {
+            return res.status(403).json({ message: 'O seu papel exige autenticação em dois fatores.' });
+        }
+
+        const admin = await Admin.findById(req.admin._id).select(TWO_FACTOR_SECRETS);
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({ message: 'A autenticação em dois fatores não está ativada.' });
+        }
+        if (!(await consumeSecondFactor(admin, req.body.code))) {
+            return res.status(400).json({ message: 'Código de verificação inválido.' });
+        }
+
+        await Admin.updateOne({ _id: admin._id }, { $set: { twoFactor: { enabled: false, enabledAt: null } } });
+        await recordAudit(req, { action: 'admin.2fa.disable', targetType: 'Admin', targetId: admin._id });
+
+        res.json({ message: 'Autenticação em dois fatores desativada.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao desativar o 2FA.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Renovar o token de acesso do administrador (o refresh token é rotacionado)
+ * @route   POST /api/v1/admin/refresh
+ * @access  Public
+ */
+const refreshAdminToken = async (req, res) => {
+    try {
+        const tokens = await sessions.rotateSession('Admin', req.body.refreshToken, req);
+        res.json(tokens);
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao renovar a sessão.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Encerrar a sessão deste dispositivo (revoga o refresh token)
+ * @route   POST /api/v1/admin/logout
+ * @access  Public
+ */
+const logoutAdmin = async (req, res) => {
+    try {
+        await sessions.revokeSession('Admin', req.body.refreshToken);
+        res.json({ message: 'Sessão encerrada com sucesso.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao encerrar a sessão.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Encerrar as sessões do administrador em todos os dispositivos
+ * @route   POST /api/v1/admin/logout-all
+ * @access  Private (Admin)
+ */
+const logoutAllAdminSessions = async (req, res) => {
+    try {
+        await sessions.revokeAllSessions('Admin', req.admin._id, 'logout_all');
+        res.json({ message: 'Todas as sessões foram encerradas.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao encerrar as sessões.', error: error.message });
+    }
+};
+
+// =======================
+// APROVAÇÃO DUPLA (MAKER-CHECKER)
+// =======================
+
+// Permissão que o segundo admin precisa ter para confirmar cada tipo de pedido
+const APPROVAL_PERMISSIONS = {
+    withdrawal_approval: PERMISSIONS.TRANSACTIONS_APPROVE,
+    balance_adjustment: PERMISSIONS.USERS_BALANCE
+};
+
+/**
+ * Verifica se um valor excede o limite de aprovação dupla configurado em Settings.
+ * @param {number} amount - Valor (positivo, em centavos) da operação.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @returns {Promise<boolean>}
+ */
+const requiresDualApproval = async (amount, session) => {
+    const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session);
+    const threshold = settings ? settings.dualApprovalThreshold : 0;
+    return threshold > 0 && amount > threshold;
+};
+
+/**
+ * Cria um pedido de aprovação dupla para uma ação que excedeu o limite.
+ * @param {object} req - A requisição do admin que solicita a ação.
+ * @param {object} approval - action, targetType, targetId, amount e payload do pedido.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @returns {Promise<object>} O ApprovalRequest criado.
+ */
+const requestApproval = async (req, { action, targetType, targetId, amount, payload }, session) => {
+    const existing = await ApprovalRequest.exists({ targetType, targetId, status: 'pending' }).session(session);
+    if (existing) {
+        throw new HttpError(409, 'Já existe um pedido de aprovação pendente para este item.');
+    }
+
+    const [approval] = await ApprovalRequest.create([{
+        action,
+        targetType,
+        targetId,
+        amount,
+        payload,
+        requestedBy: req.admin._id
+    }], { session });
+
+    await recordAudit(req, {
+        action: 'approval.request',
+        targetType: 'ApprovalRequest',
+        targetId: approval._id,
+        after: approval
+    }, { session });
+
+    return approval;
+};
+
+/**
+ * @desc    Listar pedidos de aprovação dupla (padrão: pendentes)
+ * @route   GET /api/v1/admin/approvals
+ * @access  Private (Admin: approvals:review)
+ * @query   status ('pending' | 'approved' | 'rejected')
+ */
+const getApprovals = async (req, res) => {
+    const { status = 'pending' } = req.query;
+    try {
+        const approvals = await ApprovalRequest.find({ status })
+            .sort({ createdAt: 1 })
+            .populate('requestedBy', 'phoneNumber role')
+            .populate('reviewedBy', 'phoneNumber role');
+        res.json(approvals);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar pedidos de aprovação.', error: error.message });
+    }
+};
+
+/**
+ * Fecha um pedido pendente (aprovado ou rejeitado) garantindo que quem revisa
+ * tem a permissão da ação. Na aprovação, também exige um admin diferente do solicitante.
+ */
+const reviewApproval = async (req, decision, session) => {
+    const approval = await ApprovalRequest.findById(req.params.id).session(session);
+    if (!approval) throw new HttpError(404, 'Pedido de aprovação não encontrado.');
+    if (approval.status !== 'pending') throw new HttpError(400, 'Este pedido de aprovação já foi revisado.');
+
+    if (!hasPermission(req.admin.role, APPROVAL_PERMISSIONS[approval.action])) {
+        throw new HttpError(403, 'Você não tem permissão para revisar este pedido.');
+    }
+    if (decision === 'approved' && approval.requestedBy.equals(req.admin._id)) {
+        throw new HttpError(403, 'A confirmação precisa ser feita por um administrador diferente do solicitante.');
+    }
+
+    // Escrita condicional: só um revisor consegue fechar o pedido
+    const reviewed = await ApprovalRequest.findOneAndUpdate(
+        { _id: approval._id, status: 'pending' },
+        { $set: { status: decision, reviewedBy: req.admin._id, reviewedAt: new Date(), reviewNote: req.body.note } },
+        { new: true, session }
+    );
+    if (!reviewed) throw new HttpError(400, 'Este pedido de aprovação já foi revisado.');
+
+    await recordAudit(req, {
+        action: `approval.${decision === 'approved' ? 'approve' : 'reject'}`,
+        targetType: 'ApprovalRequest',
+        targetId: reviewed._id,
+        before: { status: 'pending' },
+        after: { status: reviewed.status, action: reviewed.action, targetId: reviewed.targetId }
+    }, { session });
+
+    return reviewed;
+};
+
+/**
+ * @desc    Confirmar um pedido de aprovação dupla e efetivar a ação
+ * @route   PUT /api/v1/admin/approvals/:id/approve
+ * @access  Private (Admin: approvals:review)
+ */
+const approveApproval = async (req, res) => {
+    try {
+        // A confirmação e a ação efetivada são gravadas juntas
+        const { approval, transaction } = await runInTransaction(async (session) => {
+            const approval = await reviewApproval(req, 'approved', session);
+
+            let transaction = null;
+            if (approval.action === 'withdrawal_approval') {
+                transaction = await applyTransactionStatus(req, approval.targetId, approval.payload.status, session, approval.payload.reason);
+            } else if (approval.action === 'balance_adjustment') {
+                await applyBalanceAdjustment(req, approval.targetId, approval.payload, session);
+            }
+
+            return { approval, transaction };
+        });
+
+        if (transaction && transaction.status === 'processing' && transaction.payment) {
+            await payments.dispatchPayout(transaction._id);
+        }
+
+        res.json({ message: 'Pedido aprovado e ação efetivada com sucesso.', approval });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao aprovar pedido. Nenhuma alteração foi aplicada.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Rejeitar um pedido de aprovação dupla (a ação não é efetivada)
+ * @route   PUT /api/v1/admin/approvals/:id/reject
+ * @access  Private (Admin: approvals:review)
+ */
+const rejectApproval = async (req, res) => {
+    try {
+        const approval = await runInTransaction((session) => reviewApproval(req, 'rejected', session));
+        res.json({ message: 'Pedido de aprovação rejeitado.', approval });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao rejeitar pedido.', error: error.message });
+    }
+};
+
+// =======================
+// GERENCIAMENTO DE ADMINISTRADORES
+// =======================
+
+/**
+ * @desc    Listar todos os administradores
+ * @route   GET /api/v1/admin/admins
+ * @access  Private (Admin: admins:manage)
+ */
+const getAdmins = async (req, res) => {
+    try {
+        const admins = await Admin.find().select('-password').sort({ createdAt: 1 });
+        res.json(admins);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar administradores.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Criar um novo administrador com um papel
+ * @route   POST /api/v1/admin/admins
+ * @access  Private (Admin: admins:manage)
+ */
+const createAdmin = async (req, res) => {
+    const { phoneNumber, password, role } = req.body;
+    try {
+        if (!phoneNumber || !password) {
+            return res.status(400).json({ message: 'Telefone e senha são obrigatórios.' });
+        }
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `Papel inválido. Use um de: ${ROLES.join(', ')}.` });
+        }
+
+        const adminExists = await Admin.findOne({ phoneNumber });
+        if (adminExists) {
+            return res.status(400).json({ message: 'Já existe um administrador com este telefone.' });
+        }
+
+        const admin = await Admin.create({ phoneNumber, password, role, createdBy: req.admin._id });
+
+        await recordAudit(req, {
+            action: 'admin.create',
+            targetType: 'Admin',
+            targetId: admin._id,
+            after: { phoneNumber: admin.phoneNumber, role: admin.role, isActive: admin.isActive }
+        });
+
+        res.status(201).json({
+            message: 'Administrador criado com sucesso.',
+            admin: { _id: admin._id, phoneNumber: admin.phoneNumber, role: admin.role, isActive: admin.isActive }
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao criar administrador.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Alterar o papel ou ativar/desativar um administrador
+ * @route   PUT /api/v1/admin/admins/:id
+ * @access  Private (Admin: admins:manage)
+ */
+const updateAdmin = async (req, res) => {
+    const { role, isActive } = req.body;
+    try {
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) return res.status(404).json({ message: 'Administrador não encontrado.' });
+
+        // Impede que o superadmin tire o próprio acesso por engano
+        if (admin._id.equals(req.admin._id)) {
+            return res.status(400).json({ message: 'Você não pode alterar o seu próprio papel ou status.' });
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ message: `Papel inválido. Use um de: ${ROLES.join(', ')}.` });
+        }
+
+        const before = { role: admin.role, isActive: admin.isActive };
+
+        if (role !== undefined) admin.role = role;
+        if (isActive !== undefined) admin.isActive = Boolean(isActive);
+        await admin.save();
+
+        // Um admin desativado perde as sessões abertas imediatamente
+        if (!admin.isActive) {
+            await sessions.revokeAllSessions('Admin', admin._id, 'deactivated');
+        }
+
+        await recordAudit(req, {
+            action: 'admin.update',
+            targetType: 'Admin',
+            targetId: admin._id,
+            before,
+            after: { role: admin.role, isActive: admin.isActive }
+        });
+
+        res.json({
+            message: 'Administrador atualizado com sucesso.',
+            admin: { _id: admin._id, phoneNumber: admin.phoneNumber, role: admin.role, isActive: admin.isActive }
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao atualizar administrador.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Redefinir o 2FA de outro administrador (ex: dispositivo perdido sem códigos de recuperação)
+ * @route   POST /api/v1/admin/admins/:id/2fa/reset
+ * @access  Private (Admin: admins:manage)
+ */
+const resetAdminTwoFactor = async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) return res.status(404).json({ message: 'Administrador não encontrado.' });
+        if (admin._id.equals(req.admin._id)) {
+            return res.status(400).json({ message: 'Você não pode redefinir o seu próprio 2FA.' });
+        }
+
+        await Admin.updateOne({ _id: admin._id }, { $set: { twoFactor: { enabled: false, enabledAt: null } } });
+        await sessions.revokeAllSessions('Admin', admin._id, '2fa_reset');
+        await recordAudit(req, {
+            action: 'admin.2fa.reset',
+            targetType: 'Admin',
+            targetId: admin._id,
+            before: { twoFactorEnabled: admin.twoFactor.enabled },
+            after: { twoFactorEnabled: false }
+        });
+
+        res.json({ message: 'O 2FA do administrador foi redefinido. Ele precisará cadastrá-lo novamente.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao redefinir o 2FA.', error: error.message });
+    }
+};
+
+// =======================
+// BLOQUEIOS DE LOGIN (FORÇA BRUTA)
+// =======================
+
+/**
+ * @desc    Listar contas e IPs com tentativas de login falhas recentes ou bloqueados
+ * @route   GET /api/v1/admin/security/lockouts
+ * @access  Private (Admin: security:manage)
+ */
+const getLoginLockouts = async (req, res) => {
+    try {
+        const attempts = await loginGuard.listAttempts();
+        const lockouts = req.query.lockedOnly ? attempts.filter((attempt) => attempt.locked) : attempts;
+        res.json(lockouts);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar bloqueios de login.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Liberar o bloqueio e zerar as tentativas de uma conta ou IP
+ * @route   POST /api/v1/admin/security/lockouts/clear
+ * @access  Private (Admin: security:manage)
+ * @body    key (como retornada na listagem, ex: "user:account:+258841234567")
+ */
+const clearLoginLockout = async (req, res) => {
+    try {
+        const record = await loginGuard.clearAttempts(req.body.key);
+        if (!record) return res.status(404).json({ message: 'Nenhuma tentativa registrada para esta chave.' });
+
+        await recordAudit(req, {
+            action: 'security.lockout.clear',
+            targetType: 'LoginAttempt',
+            targetId: req.body.key,
+            before: { failures: record.failures, lockedUntil: record.lockedUntil }
+        });
+
+        res.json({ message: 'Bloqueio de login liberado com sucesso.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao liberar bloqueio de login.', error: error.message });
+    }
+};
+
 // =======================
 // GERENCIAMENTO DE USUÁRIOS
 // =======================
 
+// Usuários mostrados em getUserDetails; os demais convidados são listados com GET /users?invitedBy=
+const INVITED_USERS_PREVIEW = 20;
+// Máximo de usuários encontrados pela busca que entram no filtro das transações pendentes
+const SEARCH_MAX_USERS = 1000;
+
 /**
- * @desc    Listar todos os usuários ou pesquisar por ID
- * @route   GET /api/admin/users
- * @access  Private (Admin)
+ * @desc    Listar usuários (paginado por cursor, ver pagination.js)
+ * @route   GET /api/v1/admin/users
+ * @query   cursor, limit, search (parte do ID ou do telefone), isBlocked, invitedBy, from, to, sort
+ * @access  Private (Admin: users:read)
  */
 const getUsers = async (req, res) => {
-    const { search } = req.query; // Ex: /api/admin/users?search=12345
+    const { search, isBlocked, invitedBy, from, to, sort = '-createdAt', cursor, limit } = req.query;
     try {
-        const query = search ? { userId: search } : {};
-        const users = await User.find(query).select('-password');
-        res.json(users);
+        const filter = search ? userSearchFilter(search) : {};
+        if (isBlocked !== undefined) filter.isBlocked = isBlocked;
+        if (invitedBy) filter.invitedBy = invitedBy;
+        const createdAt = rangeFilter(from, to);
+        if (createdAt) filter.createdAt = createdAt;
+
+        const { items, nextCursor } = await paginate(User, filter, { sort, cursor, limit }, (query) => query.select('-password'));
+        res.json({ users: items, nextCursor });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao buscar usuários.', error: error.message });
     }
 };
 
 /**
- * @desc    Obter detalhes de um usuário específico
- * @route   GET /api/admin/users/:id
- * @access  Private (Admin)
+ * @desc    Obter detalhes de um usuário específico, com as contas de saque (payoutAccounts)
+ *          e quem bloqueou cada uma, uma página das transações (filtros e cursor na query)
+ *          e os convidados mais recentes
+ * @route   GET /api/v1/admin/users/:id
+ * @query   cursor, limit, type, status, from, to, minAmount, maxAmount, sort
+ * @access  Private (Admin: users:read)
  */
 const getUserDetails = async (req, res) => {
+    const { sort = '-createdAt', cursor, limit } = req.query;
     try {
-        const user = await User.findById(req.params.id).select('-password').populate('activePlans.planId');
+        const user = await User.findById(req.params.id)
+            .select('-password')
+            .populate('activePlans.planId')
+            .populate('payoutAccounts.lockedBy', 'phoneNumber role');
         if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
-        
-        const transactions = await Transaction.find({ user: user._id });
-        const invitedUsers = await User.find({ invitedBy: user.userId }).select('userId phoneNumber');
 
-        res.json({ user, transactions, invitedUsers });
+        const filter = { ...transactionFilter(req.query), user: user._id };
+        const [{ items: transactions, nextCursor }, invitedUsers, invitedUsersTotal] = await Promise.all([
+            paginate(Transaction, filter, { sort, cursor, limit }),
+            User.find({ invitedBy: user.userId }).sort({ createdAt: -1, _id: -1 }).limit(INVITED_USERS_PREVIEW).select('userId phoneNumber createdAt'),
+            User.countDocuments({ invitedBy: user.userId })
+        ]);
+
+        res.json({ user, transactions, nextCursor, invitedUsers, invitedUsersTotal });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao buscar detalhes do usuário.', error: error.message });
     }
 };
 
+/**
+ * @desc    Bloquear ou desbloquear uma conta de saque de um usuário. Conta bloqueada não recebe
+ *          novos saques e o usuário não consegue alterá-la nem removê-la.
+ * @route   PUT /api/v1/admin/users/:id/payout-accounts/:accountId/lock
+ * @access  Private (Admin: users:block)
+ */
+const lockPayoutAccount = async (req, res) => {
+    const { locked, reason } = req.body;
+    try {
+        const { user, account, before } = await setPayoutAccountLock(req.params.id, req.params.accountId, { locked, reason, admin: req.admin });
+
+        await recordAudit(req, {
+            action: locked ? 'user.payout_account.lock' : 'user.payout_account.unlock',
+            targetType: 'User',
+            targetId: user._id,
+            before: { payoutAccount: account._id, ...before },
+            after: { payoutAccount: account._id, lockedAt: account.lockedAt, lockReason: account.lockReason }
+        });
+
+        res.json({ message: `Conta de saque ${locked ? 'bloqueada' : 'desbloqueada'} com sucesso.`, payoutAccount: account });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'O usuário foi alterado por outra operação. Tente novamente.' });
+        }
+        res.status(500).json({ message: 'Erro ao atualizar a conta de saque.', error: error.message });
+    }
+};
+
 /**
  * @desc    Bloquear/Desbloquear um usuário
- * @route   PUT /api/admin/users/:id/block
- * @access  Private (Admin)
+ * @route   PUT /api/v1/admin/users/:id/block
+ * @access  Private (Admin: users:block)
  */
 const toggleUserBlock = async (req, res) => {
     try {
@@ -80,6 +757,20 @@ const toggleUserBlock = async (req, res) => {
         
         user.isBlocked = !user.isBlocked;
         await user.save();
+
+        // Um usuário bloqueado é desconectado de todos os dispositivos
+        if (user.isBlocked) {
+            await sessions.revokeAllSessions('User', user._id, 'blocked');
+        }
+
+        await recordAudit(req, {
+            action: user.isBlocked ? 'user.block' : 'user.unblock',
+            targetType: 'User',
+            targetId: user._id,
+            before: { isBlocked: !user.isBlocked },
+            after: { isBlocked: user.isBlocked }
+        });
+
         res.json({ message: `Usuário ${user.isBlocked ? 'bloqueado' : 'desbloqueado'} com sucesso.` });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao atualizar status do usuário.', error: error.message });
@@ -87,31 +778,111 @@ const toggleUserBlock = async (req, res) => {
 };
 
 /**
- * @desc    Atualizar manualmente o saldo de um usuário
- * @route   PUT /api/admin/users/:id/balance
- * @access  Private (Admin)
+ * Aplica um ajuste com sinal ao saldo de um usuário: registra uma transação do tipo
+ * 'adjustment' e lança o valor no livro-razão contra a conta de ajustes da plataforma.
+ * Usado diretamente pelo adjustUserBalance e, acima do limite, ao confirmar uma aprovação dupla.
+ * @param {object} req - A requisição do admin que efetiva o ajuste (para auditoria).
+ * @param {string} userId - O _id do usuário.
+ * @param {object} adjustment
+ * @param {number} adjustment.amount - Valor com sinal (positivo credita, negativo debita).
+ * @param {string} adjustment.reasonCode - Um dos ADJUSTMENT_REASON_CODES.
+ * @param {string} adjustment.note - Justificativa em texto livre.
+ * @param {boolean} [adjustment.allowNegative=false] - Permite deixar o saldo negativo.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @returns {Promise<{user: object, transaction: object}>} O usuário atualizado (sem senha) e a transação do ajuste.
+ */
+const applyBalanceAdjustment = async (req, userId, { amount, reasonCode, note, allowNegative = false }, session) => {
+    const user = await User.findById(userId).select('walletBalance').session(session);
+    if (!user) throw new HttpError(404, 'Usuário não encontrado.');
+
+    if (!allowNegative && user.walletBalance + amount < 0) {
+        throw new HttpError(400, 'O ajuste deixaria o saldo negativo. Envie allowNegative para permitir.');
+    }
+
+    const [transaction] = await Transaction.create([{
+        user: user._id,
+        type: 'adjustment',
+        amount,
+        status: 'completed',
+        reasonCode,
+        createdByAdmin: req.admin._id,
+        details: `Ajuste manual (${reasonCode}): ${note}`
+    }], { session });
+
+    await ledger.transfer({
+        kind: 'adjustment',
+        from: amount > 0 ? ledger.ACCOUNTS.ADJUSTMENTS : ledger.userAccount(user._id),
+        to: amount > 0 ? ledger.userAccount(user._id) : ledger.ACCOUNTS.ADJUSTMENTS,
+        amount: Math.abs(amount),
+        transaction: transaction._id,
+        description: transaction.details
+    }, { session, allowNegative });
+
+    const updatedUser = await User.findById(user._id).select('-password').session(session);
+
+    await recordAudit(req, {
+        action: 'user.balance.adjust',
+        targetType: 'User',
+        targetId: user._id,
+        before: { walletBalance: user.walletBalance },
+        after: { walletBalance: updatedUser.walletBalance, amount, reasonCode, note, transaction: transaction._id }
+    }, { session });
+
+    return { user: updatedUser, transaction };
+};
+
+/**
+ * @desc    Ajustar o saldo de um usuário com um valor com sinal, motivo e justificativa
+ *          (acima do limite de aprovação dupla, cria um pedido para outro admin confirmar)
+ * @route   POST /api/v1/admin/users/:id/adjustments
+ * @access  Private (Admin: users:balance)
+ * @body    amount (com sinal), reasonCode, note, allowNegative (opcional)
  */
-const updateUserBalance = async (req, res) => {
-    // --- ALTERAÇÃO AQUI ---
-    // Removido 'bonusBalance' dos parâmetros. A função agora lida apenas com o saldo real.
-    const { walletBalance } = req.body;
+const adjustUserBalance = async (req, res) => {
+    // Os campos já chegam validados e convertidos (ver schemas.adjustUserBalance)
+    const { amount, reasonCode, note, allowNegative = false } = req.body;
+    const adjustment = { amount, reasonCode, note, allowNegative };
+
     try {
-        const user = await User.findById(req.params.id);
-        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+        // Ajuste, transação e registro de auditoria são confirmados juntos
+        const result = await runInTransaction(async (session) => {
+            const user = await User.exists({ _id: req.params.id }).session(session);
+            if (!user) throw new HttpError(404, 'Usuário não encontrado.');
 
-        if (walletBalance !== undefined) user.walletBalance = Number(walletBalance);
-        
-        await user.save();
-        res.json({ message: 'Saldo do usuário atualizado com sucesso.', user });
+            if (await requiresDualApproval(Math.abs(amount), session)) {
+                const approval = await requestApproval(req, {
+                    action: 'balance_adjustment',
+                    targetType: 'User',
+                    targetId: user._id,
+                    amount: Math.abs(amount),
+                    payload: adjustment
+                }, session);
+                return { approval };
+            }
+
+            return applyBalanceAdjustment(req, user._id, adjustment, session);
+        });
+
+        if (result.approval) {
+            return res.status(202).json({
+                message: 'O ajuste excede o limite de aprovação e aguarda a confirmação de outro administrador.',
+                approval: result.approval
+            });
+        }
+
+        res.status(201).json({ message: 'Saldo do usuário ajustado com sucesso.', user: result.user, transaction: result.transaction });
     } catch (error) {
-        res.status(500).json({ message: 'Erro ao atualizar saldo.', error: error.message });
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao ajustar saldo.', error: error.message });
     }
 };
 
 /**
  * @desc    Mudar senha ou número de telefone do usuário
- * @route   PUT /api/admin/users/:id/credentials
- * @access  Private (Admin)
+ * @route   PUT /api/v1/admin/users/:id/credentials
+ * @access  Private (Admin: users:credentials)
  */
 const updateUserCredentials = async (req, res) => {
     const { password, phoneNumber } = req.body;
@@ -119,42 +890,134 @@ const updateUserCredentials = async (req, res) => {
         const user = await User.findById(req.params.id);
         if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
 
+        const before = { phoneNumber: user.phoneNumber };
+
         if (password) user.password = password; // O 'pre-save' hook vai criptografar
-        if (phoneNumber) user.phoneNumber = phoneNumber;
+        if (phoneNumber && phoneNumber !== user.phoneNumber) {
+            user.phoneNumber = phoneNumber;
+            user.phoneVerifiedAt = null; // O novo número ainda não foi confirmado por OTP
+        }
 
         await user.save();
+
+        // Com as credenciais trocadas, as sessões existentes deixam de valer
+        await sessions.revokeAllSessions('User', user._id, 'credentials');
+
+        // A senha nunca é registrada, apenas o fato de ter sido alterada
+        await recordAudit(req, {
+            action: 'user.credentials.update',
+            targetType: 'User',
+            targetId: user._id,
+            before,
+            after: { phoneNumber: user.phoneNumber, passwordChanged: Boolean(password) }
+        });
+
         res.json({ message: 'Credenciais do usuário atualizadas com sucesso.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao atualizar credenciais.', error: error.message });
     }
 };
 
+// Campos em centavos do resultado de ledger.reconcileUser
+const RECONCILIATION_MONEY_FIELDS = ['walletBalance', 'ledgerBalance', 'difference'];
+
+/**
+ * @desc    Obter o extrato do livro-razão de um usuário e a conciliação com o saldo
+ * @route   GET /api/v1/admin/users/:id/ledger
+ * @access  Private (Admin: ledger:read)
+ */
+const getUserLedger = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('userId walletBalance');
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const entries = await LedgerEntry.find({ 'lines.user': user._id }).sort({ createdAt: 1 });
+        const reconciliation = await ledger.reconcileUser(user);
+        formatPaths(reconciliation, RECONCILIATION_MONEY_FIELDS);
+
+        res.json({ reconciliation, entries });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar livro-razão do usuário.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Registrar o saldo de abertura de um usuário anterior ao livro-razão
+ * @route   POST /api/v1/admin/users/:id/ledger/opening-balance
+ * @access  Private (Admin: ledger:write)
+ */
+const openUserLedger = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('userId walletBalance');
+        if (!user) return res.status(404).json({ message: 'Usuário não encontrado.' });
+
+        const entry = await ledger.postOpeningBalance(user);
+        if (entry) {
+            await recordAudit(req, {
+                action: 'user.ledger.open',
+                targetType: 'User',
+                targetId: user._id,
+                after: { ledgerEntry: entry._id, walletBalance: user.walletBalance }
+            });
+        }
+
+        const reconciliation = await ledger.reconcileUser(user);
+        formatPaths(reconciliation, RECONCILIATION_MONEY_FIELDS);
+
+        res.status(entry ? 201 : 200).json({ message: 'Livro-razão do usuário inicializado.', entry, reconciliation });
+    } catch (error) {
+        res.status(400).json({ message: 'Erro ao inicializar livro-razão do usuário.', error: error.message });
+    }
+};
 
 // =======================
 // GERENCIAMENTO DE PLANOS
 // =======================
 
+/**
+ * Converte dailyIncomeValue para centavos quando o rendimento do plano é um valor fixo
+ * (no tipo 'percentage' ele continua sendo uma porcentagem).
+ * @param {object} data - Campos do plano recebidos na requisição.
+ * @param {string} dailyIncomeType - Tipo de rendimento que o plano terá.
+ */
+const convertDailyIncomeValue = (data, dailyIncomeType) => {
+    if (dailyIncomeType === 'fixed' && data.dailyIncomeValue !== undefined) {
+        data.dailyIncomeValue = toMinor(data.dailyIncomeValue);
+    }
+};
+
 /**
  * @desc    Criar um novo plano
- * @route   POST /api/admin/plans
- * @access  Private (Admin)
+ * @route   POST /api/v1/admin/plans
+ * @access  Private (Admin: plans:write)
  */
 const createPlan = async (req, res) => {
     try {
         if (!req.file) return res.status(400).json({ message: 'A imagem do plano é obrigatória.' });
-        
-        const newPlan = new Plan({ ...req.body, imageUrl: req.file.path });
+        if (req.body.minAmount > req.body.maxAmount) {
+            await removeFile(req.file.path);
+            return res.status(400).json({ message: 'O valor mínimo não pode ser maior que o valor máximo.' });
+        }
+
+        const planData = { ...req.body, imageUrl: req.file.path };
+        convertDailyIncomeValue(planData, planData.dailyIncomeType);
+
+        const newPlan = new Plan(planData);
         await newPlan.save();
+
+        await recordAudit(req, { action: 'plan.create', targetType: 'Plan', targetId: newPlan._id, after: newPlan });
+
         res.status(201).json({ message: 'Plano criado com sucesso.', plan: newPlan });
     } catch (error) {
+        if (req.file) await removeFile(req.file.path);
         res.status(500).json({ message: 'Erro ao criar plano.', error: error.message });
     }
 };
 
 /**
  * @desc    Atualizar um plano existente
- * @route   PUT /api/admin/plans/:id
- * @access  Private (Admin)
+ * @route   PUT /api/v1/admin/plans/:id
+ * @access  Private (Admin: plans:write)
  */
 const updatePlan = async (req, res) => {
     try {
@@ -163,24 +1026,51 @@ const updatePlan = async (req, res) => {
             updateData.imageUrl = req.file.path;
         }
 
+        const before = await Plan.findById(req.params.id);
+        if (!before) {
+            if (req.file) await removeFile(req.file.path);
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+        // Sem o valor novo, o valor gravado seria relido no outro tipo (ex: 2.5% virando 2.5 centavos)
+        if (updateData.dailyIncomeType && updateData.dailyIncomeType !== before.dailyIncomeType && updateData.dailyIncomeValue === undefined) {
+            if (req.file) await removeFile(req.file.path);
+            return res.status(400).json({ message: 'Ao mudar o tipo de rendimento, informe também dailyIncomeValue.' });
+        }
+        convertDailyIncomeValue(updateData, updateData.dailyIncomeType || before.dailyIncomeType);
+
         const plan = await Plan.findByIdAndUpdate(req.params.id, updateData, { new: true });
-        if (!plan) return res.status(404).json({ message: 'Plano não encontrado.' });
+        if (!plan) {
+            if (req.file) await removeFile(req.file.path);
+            return res.status(404).json({ message: 'Plano não encontrado.' });
+        }
+
+        await recordAudit(req, { action: 'plan.update', targetType: 'Plan', targetId: plan._id, before, after: plan });
+
+        // A imagem antiga deixa de ser usada quando uma nova é enviada
+        if (req.file && before.imageUrl !== plan.imageUrl) {
+            await removeFile(before.imageUrl);
+        }
         
         res.json({ message: 'Plano atualizado com sucesso.', plan });
     } catch (error) {
+        if (req.file) await removeFile(req.file.path);
         res.status(500).json({ message: 'Erro ao atualizar plano.', error: error.message });
     }
 };
 
 /**
  * @desc    Deletar um plano
- * @route   DELETE /api/admin/plans/:id
- * @access  Private (Admin)
+ * @route   DELETE /api/v1/admin/plans/:id
+ * @access  Private (Admin: plans:write)
  */
 const deletePlan = async (req, res) => {
     try {
         const plan = await Plan.findByIdAndDelete(req.params.id);
         if (!plan) return res.status(404).json({ message: 'Plano não encontrado.' });
+
+        await recordAudit(req, { action: 'plan.delete', targetType: 'Plan', targetId: plan._id, before: plan });
+        await removeFile(plan.imageUrl);
+
         res.json({ message: 'Plano deletado com sucesso.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao deletar plano.', error: error.message });
@@ -193,55 +1083,299 @@ const deletePlan = async (req, res) => {
 // =======================
 
 /**
- * @desc    Listar todas as transações pendentes
- * @route   GET /api/admin/transactions/pending
- * @access  Private (Admin)
+ * @desc    Listar as transações pendentes (paginado por cursor, ver pagination.js).
+ *          Com status, lista as transações nesse status (ex: saques em under_review).
+ * @route   GET /api/v1/admin/transactions/pending
+ * @query   cursor, limit, type, status, from, to, minAmount, maxAmount, search (parte do ID ou do telefone), sort
+ * @access  Private (Admin: transactions:read)
  */
 const getPendingTransactions = async (req, res) => {
+    const { search, status = 'pending', sort = '-createdAt', cursor, limit } = req.query;
     try {
-        const transactions = await Transaction.find({ status: 'pending' }).populate('user', 'userId phoneNumber');
-        res.json(transactions);
+        const filter = transactionFilter({ ...req.query, status });
+        if (search) {
+            const users = await User.find(userSearchFilter(search)).select('_id').limit(SEARCH_MAX_USERS);
+            filter.user = { $in: users.map((user) => user._id) };
+        }
+
+        // proofReuse aponta depósitos anteriores com o mesmo comprovante (ver proofs.js)
+        const { items, nextCursor } = await paginate(Transaction, filter, { sort, cursor, limit }, (query) => query
+            .select('+proofReuse')
+            .populate('user', 'userId phoneNumber')
+            .populate('proofReuse.user', 'userId phoneNumber')
+            .populate('proofReuse.transaction', 'status amount depositReference proofScreenshot createdAt'));
+        res.json({ transactions: items, nextCursor });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao buscar transações.', error: error.message });
     }
 };
 
+// Ação registrada na auditoria para cada novo status (os demais usam o próprio status, ex: 'transaction.paid')
+const TRANSACTION_AUDIT_ACTIONS = { completed: 'approve', processing: 'approve', rejected: 'reject' };
+
 /**
- * @desc    Aprovar ou Rejeitar uma transação
- * @route   PUT /api/admin/transactions/:id/status
- * @access  Private (Admin)
+ * Aplica a decisão do admin sobre uma transação e lança o movimento correspondente no livro-razão.
+ * Usado diretamente pelo updateTransactionStatus e, acima do limite, ao confirmar uma aprovação dupla.
+ * Depósitos: 'completed' ou 'rejected' a partir de 'pending'. Saques seguem WITHDRAWAL_TRANSITIONS
+ * (ver withdrawals.js); 'completed' é aceito como aprovação ('processing') para clientes antigos.
+ * Um saque aprovado com provedor de pagamento ativo fica com o payment na fila; quem chama deve
+ * enviá-lo com payments.dispatchPayout depois do commit.
+ * @param {object} req - A requisição do admin que efetiva a alteração (para auditoria).
+ * @param {string} transactionId - O _id da transação.
+ * @param {string} status - O novo status.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @param {string} [reason] - Motivo informado pelo admin.
+ * @returns {Promise<object>} A transação atualizada.
+ */
+const applyTransactionStatus = async (req, transactionId, status, session, reason) => {
+    const current = await Transaction.findById(transactionId).session(session);
+    if (!current) throw new HttpError(404, 'Transação não encontrada.');
+
+    const user = await User.findById(current.user).session(session);
+    if (!user) throw new HttpError(404, 'Usuário associado à transação não encontrado.');
+
+    let transaction;
+    let previousStatus = 'pending';
+    if (current.type === 'withdrawal') {
+        const nextStatus = status === 'completed' ? 'processing' : status;
+        ({ transaction, previousStatus } = await withdrawals.transitionWithdrawal(current._id, nextStatus, { reason, session }));
+    } else {
+        if (status !== 'completed' && status !== 'rejected') {
+            throw new HttpError(400, 'Status inválido para esta transação.');
+        }
+        // Só uma requisição consegue tirar a transação de 'pending', mesmo se chegarem juntas
+        transaction = await Transaction.findOneAndUpdate(
+            { _id: transactionId, status: 'pending' },
+            { $set: { status, statusReason: reason || null } },
+            { new: true, session }
+        );
+        if (!transaction) throw new HttpError(400, 'Esta transação já foi processada.');
+        await settleTransaction(transaction, status, session);
+    }
+
+    await recordAudit(req, {
+        action: `transaction.${previousStatus === 'failed' ? 'retry' : TRANSACTION_AUDIT_ACTIONS[transaction.status] || transaction.status}`,
+        targetType: 'Transaction',
+        targetId: transaction._id,
+        before: { status: previousStatus },
+        after: { status: transaction.status, reason, type: transaction.type, amount: transaction.amount, user: transaction.user, payment: transaction.payment }
+    }, { session });
+
+    return transaction;
+};
+
+/**
+ * @desc    Mudar o status de uma transação. Depósitos: 'completed' ou 'rejected'.
+ *          Saques: under_review, processing (aprovar), rejected, paid, failed ou reversed;
+ *          a aprovação de saques acima do limite de aprovação dupla aguarda a confirmação de outro admin.
+ * @route   PUT /api/v1/admin/transactions/:id/status
+ * @access  Private (Admin: transactions:approve)
  */
 const updateTransactionStatus = async (req, res) => {
-    const { status } = req.body; // 'completed' ou 'rejected'
-    
+    const { status, reason } = req.body;
+
     try {
-        const transaction = await Transaction.findById(req.params.id);
-        if (!transaction) return res.status(404).json({ message: 'Transação não encontrada.' });
-        if (transaction.status !== 'pending') return res.status(400).json({ message: 'Esta transação já foi processada.' });
+        // Mudança de status e movimento no livro-razão são confirmados juntos ou nenhum deles
+        const result = await runInTransaction(async (session) => {
+            // Toda entrada em 'processing' libera o dinheiro (aprovação ou nova tentativa de um
+            // saque que falhou): é aí que entra a aprovação dupla
+            if (status === 'completed' || status === 'processing') {
+                const pending = await Transaction.findOne({
+                    _id: req.params.id,
+                    type: 'withdrawal',
+                    status: { $in: ['pending', 'under_review', 'failed'] }
+                }).session(session);
+                if (pending && await requiresDualApproval(pending.amount, session)) {
+                    const approval = await requestApproval(req, {
+                        action: 'withdrawal_approval',
+                        targetType: 'Transaction',
+                        targetId: pending._id,
+                        amount: pending.amount,
+                        payload: { status: 'processing', reason }
+                    }, session);
+                    return { approval };
+                }
+            }
 
-        const user = await User.findById(transaction.user);
-        if (!user) return res.status(404).json({ message: 'Usuário associado à transação não encontrado.' });
+            return { transaction: await applyTransactionStatus(req, req.params.id, status, session, reason) };
+        });
 
-        if (status === 'completed') {
-            if (transaction.type === 'deposit') {
-                user.walletBalance += transaction.amount;
-            }
-            transaction.status = 'completed';
-        } else if (status === 'rejected') {
-            if (transaction.type === 'withdrawal') {
-                // Devolve o dinheiro para a carteira do usuário se o saque for rejeitado
-                user.walletBalance += transaction.amount;
-            }
-            transaction.status = 'rejected';
-        } else {
-            return res.status(400).json({ message: 'Status inválido.' });
+        if (result.approval) {
+            return res.status(202).json({
+                message: 'O saque excede o limite de aprovação e aguarda a confirmação de outro administrador.',
+                approval: result.approval
+            });
         }
 
-        await user.save();
-        await transaction.save();
-        res.json({ message: `Transação ${transaction.type} foi ${status}.` });
+        const { transaction } = result;
+        if (transaction.status === 'processing' && transaction.payment) {
+            await payments.dispatchPayout(transaction._id);
+            return res.json({ message: 'Saque aprovado e enviado para pagamento pelo provedor.', transaction });
+        }
+
+        res.json({ message: `Transação ${transaction.type} foi ${transaction.status}.`, transaction });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao atualizar transação. Nenhuma alteração foi aplicada.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Listar saques por status (padrão: os que ainda não terminaram, os mais antigos primeiro).
+ *          Paginado por cursor, ver pagination.js.
+ * @route   GET /api/v1/admin/withdrawals
+ * @access  Private (Admin: transactions:read)
+ * @query   status, cursor, limit, sort
+ */
+const getWithdrawals = async (req, res) => {
+    const { status, sort = 'createdAt', cursor, limit } = req.query;
+
+    try {
+        const filter = {
+            type: 'withdrawal',
+            status: status || { $in: Object.keys(withdrawals.WITHDRAWAL_TRANSITIONS) }
+        };
+
+        const { items, nextCursor } = await paginate(Transaction, filter, { sort, cursor, limit }, (query) => query
+            .populate('user', 'userId phoneNumber'));
+        res.json({ withdrawals: items, nextCursor });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao buscar saques.', error: error.message });
+    }
+};
+
+// =======================
+// LOTES DE PAGAMENTO DE SAQUES
+// =======================
+
+/**
+ * @desc    Montar um lote com saques aprovados de um método, para pagamento em massa no provedor
+ * @route   POST /api/v1/admin/payout-batches
+ * @access  Private (Admin: payouts:manage)
+ */
+const createPayoutBatch = async (req, res) => {
+    const { method, transactionIds } = req.body;
+    try {
+        const batch = await runInTransaction(async (session) => {
+            const batch = await withdrawals.createPayoutBatch({ method, transactionIds, admin: req.admin }, session);
+            await recordAudit(req, {
+                action: 'payout_batch.create',
+                targetType: 'PayoutBatch',
+                targetId: batch._id,
+                after: { method: batch.method, count: batch.items.length, totalAmount: batch.totalAmount }
+            }, { session });
+            return batch;
+        });
+
+        res.status(201).json({ message: `Lote criado com ${batch.items.length} saque(s).`, batch });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao criar lote de pagamento.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Listar lotes de pagamento (sem os itens)
+ * @route   GET /api/v1/admin/payout-batches
+ * @access  Private (Admin: payouts:manage)
+ * @query   status ('created' | 'exported' | 'settled')
+ */
+const getPayoutBatches = async (req, res) => {
+    try {
+        const query = req.query.status ? { status: req.query.status } : {};
+        const batches = await PayoutBatch.find(query)
+            .select('-items')
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('createdBy', 'phoneNumber');
+        res.json(batches);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar lotes de pagamento.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Ver um lote de pagamento com os itens
+ * @route   GET /api/v1/admin/payout-batches/:id
+ * @access  Private (Admin: payouts:manage)
+ */
+const getPayoutBatch = async (req, res) => {
+    try {
+        const batch = await PayoutBatch.findById(req.params.id).populate('createdBy', 'phoneNumber');
+        if (!batch) return res.status(404).json({ message: 'Lote de pagamento não encontrado.' });
+        res.json(batch);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar lote de pagamento.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Baixar o arquivo CSV do lote para a ferramenta de pagamentos em massa do provedor
+ *          (só os itens ainda sem resultado)
+ * @route   GET /api/v1/admin/payout-batches/:id/export
+ * @access  Private (Admin: payouts:manage)
+ */
+const exportPayoutBatch = async (req, res) => {
+    try {
+        const batch = await PayoutBatch.findById(req.params.id);
+        if (!batch) return res.status(404).json({ message: 'Lote de pagamento não encontrado.' });
+        if (batch.status === 'settled') return res.status(400).json({ message: 'Este lote já foi liquidado.' });
+
+        if (batch.status === 'created') {
+            await PayoutBatch.updateOne({ _id: batch._id, status: 'created' }, { $set: { status: 'exported', exportedAt: new Date() } });
+        }
+        await recordAudit(req, { action: 'payout_batch.export', targetType: 'PayoutBatch', targetId: batch._id });
+
+        res.attachment(`lote-${batch.method}-${batch._id}.csv`);
+        res.type('text/csv').send(withdrawals.payoutBatchCsv(batch));
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao exportar lote de pagamento.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Importar o arquivo de retorno do provedor (CSV no corpo, Content-Type text/csv) com as
+ *          colunas reference e status (paid/failed), e opcionalmente provider_reference e reason
+ * @route   POST /api/v1/admin/payout-batches/:id/import
+ * @access  Private (Admin: payouts:manage)
+ */
+const importPayoutBatch = async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({ message: 'Envie o arquivo de retorno como text/csv no corpo da requisição.' });
+        }
+        const rows = parseCsv(req.body);
+        if (rows.length === 0 || !('reference' in rows[0]) || !('status' in rows[0])) {
+            return res.status(400).json({ message: 'O arquivo precisa de um cabeçalho com as colunas reference e status.' });
+        }
+
+        const { batch, summary } = await runInTransaction(async (session) => {
+            const result = await withdrawals.settlePayoutBatch(req.params.id, rows, session);
+            await recordAudit(req, {
+                action: 'payout_batch.import',
+                targetType: 'PayoutBatch',
+                targetId: result.batch._id,
+                after: { status: result.batch.status, paid: result.summary.paid, failed: result.summary.failed, errors: result.summary.errors.length }
+            }, { session });
+            return result;
+        });
+
+        res.json({ message: `Retorno importado: ${summary.paid} pago(s), ${summary.failed} com falha.`, summary, batch });
     } catch (error) {
-        res.status(500).json({ message: 'Erro ao atualizar transação.', error: error.message });
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao importar retorno do lote. Nenhuma alteração foi aplicada.', error: error.message });
     }
 };
 
@@ -251,8 +1385,8 @@ const updateTransactionStatus = async (req, res) => {
 
 /**
  * @desc    Obter ou Criar configurações globais
- * @route   GET /api/admin/settings
- * @access  Private (Admin)
+ * @route   GET /api/v1/admin/settings
+ * @access  Private (Admin: settings:read)
  */
 const getSettings = async (req, res) => {
     try {
@@ -268,16 +1402,45 @@ const getSettings = async (req, res) => {
 
 /**
  * @desc    Atualizar configurações globais
- * @route   PUT /api/admin/settings
- * @access  Private (Admin)
+ * @route   PUT /api/v1/admin/settings
+ * @access  Private (Admin: settings:write)
  */
 const updateSettings = async (req, res) => {
     try {
+        const before = await Settings.findOne({ settingId: 'global_settings' });
+        const current = before || new Settings();
+        const update = { ...req.body };
+
+        // As regras de saque são conferidas contra o resultado final (campos enviados + atuais)
+        const merged = { ...current.toObject(), ...update };
+        if (merged.withdrawalFeeType !== current.withdrawalFeeType && update.withdrawalFeeValue === undefined) {
+            return res.status(400).json({ message: 'Ao mudar o tipo da taxa de saque, informe também withdrawalFeeValue.' });
+        }
+        if (merged.withdrawalFeeType === 'percentage' && merged.withdrawalFeeValue > 100) {
+            return res.status(400).json({ message: 'A taxa de saque percentual deve ser no máximo 100.' });
+        }
+        if (merged.maxWithdrawalAmount > 0 && merged.minWithdrawalAmount > merged.maxWithdrawalAmount) {
+            return res.status(400).json({ message: 'O valor mínimo de saque não pode ser maior que o máximo.' });
+        }
+        if (merged.withdrawalStartHour >= merged.withdrawalEndHour) {
+            return res.status(400).json({ message: 'O horário de início dos saques deve ser anterior ao de término.' });
+        }
+        // Na taxa fixa o valor chega em MT e é gravado em centavos (como dailyIncomeValue dos planos)
+        if (update.withdrawalFeeValue !== undefined && merged.withdrawalFeeType === 'fixed') {
+            update.withdrawalFeeValue = toMinor(update.withdrawalFeeValue);
+        }
+        if (update.withdrawalDays) {
+            update.withdrawalDays = [...new Set(update.withdrawalDays)].sort();
+        }
+
         const settings = await Settings.findOneAndUpdate(
             { settingId: 'global_settings' },
-            req.body,
-            { new: true, upsert: true }
+            update,
+            { new: true, upsert: true, runValidators: true }
         );
+
+        await recordAudit(req, { action: 'settings.update', targetType: 'Settings', targetId: settings._id, before, after: settings });
+
         res.json({ message: 'Configurações atualizadas com sucesso.', settings });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao atualizar configurações.', error: error.message });
@@ -290,8 +1453,8 @@ const updateSettings = async (req, res) => {
 
 /**
  * @desc    Adicionar um novo banner
- * @route   POST /api/admin/banners
- * @access  Private (Admin)
+ * @route   POST /api/v1/admin/banners
+ * @access  Private (Admin: banners:write)
  */
 const addBanner = async (req, res) => {
     const { linkUrl } = req.body;
@@ -299,41 +1462,154 @@ const addBanner = async (req, res) => {
         if (!req.file) return res.status(400).json({ message: 'Imagem do banner é obrigatória.' });
 
         const banner = await Banner.create({ imageUrl: req.file.path, linkUrl });
+
+        await recordAudit(req, { action: 'banner.create', targetType: 'Banner', targetId: banner._id, after: banner });
+
         res.status(201).json({ message: 'Banner adicionado com sucesso.', banner });
     } catch (error) {
+        if (req.file) await removeFile(req.file.path);
         res.status(500).json({ message: 'Erro ao adicionar banner.', error: error.message });
     }
 };
 
 /**
  * @desc    Deletar um banner
- * @route   DELETE /api/admin/banners/:id
- * @access  Private (Admin)
+ * @route   DELETE /api/v1/admin/banners/:id
+ * @access  Private (Admin: banners:write)
  */
 const deleteBanner = async (req, res) => {
     try {
-        await Banner.findByIdAndDelete(req.params.id);
+        const banner = await Banner.findByIdAndDelete(req.params.id);
+
+        if (banner) {
+            await recordAudit(req, { action: 'banner.delete', targetType: 'Banner', targetId: banner._id, before: banner });
+            await removeFile(banner.imageUrl);
+        }
+
         res.json({ message: 'Banner deletado com sucesso.' });
     } catch (error) {
         res.status(500).json({ message: 'Erro ao deletar banner.', error: error.message });
     }
 };
 
+// =======================
+// AUDITORIA
+// =======================
+
+/**
+ * @desc    Listar o registro de auditoria das ações de administradores (paginado por cursor, ver pagination.js)
+ * @route   GET /api/v1/admin/audit
+ * @access  Private (Admin: audit:read)
+ * @query   cursor, limit, sort, admin, action, targetType, targetId, from, to
+ */
+const getAuditLogs = async (req, res) => {
+    const { admin, action, targetType, targetId, from, to, sort = '-createdAt', cursor, limit } = req.query;
+
+    try {
+        const filter = {};
+        if (admin) filter.admin = admin;
+        if (action) filter.action = action;
+        if (targetType) filter.targetType = targetType;
+        if (targetId) filter.targetId = targetId;
+        const createdAt = rangeFilter(from, to);
+        if (createdAt) filter.createdAt = createdAt;
+
+        const { items, nextCursor } = await paginate(AuditLog, filter, { sort, cursor, limit }, (query) => query
+            .populate('admin', 'phoneNumber'));
+        res.json({ logs: items, nextCursor });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao buscar registro de auditoria.', error: error.message });
+    }
+};
+
+// =======================
+// TAREFAS AGENDADAS
+// =======================
+
+/**
+ * @desc    Ver o estado das tarefas agendadas e o resultado das últimas execuções
+ * @route   GET /api/v1/admin/jobs
+ * @access  Private (Admin: jobs:manage)
+ */
+const getJobs = async (req, res) => {
+    try {
+        const jobs = await scheduler.getJobsStatus();
+        res.json(jobs);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar tarefas agendadas.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Executar uma tarefa agendada imediatamente
+ * @route   POST /api/v1/admin/jobs/:name/run
+ * @access  Private (Admin: jobs:manage)
+ */
+const runJobNow = async (req, res) => {
+    const { name } = req.params;
+    try {
+        if (!scheduler.JOBS[name]) return res.status(404).json({ message: 'Tarefa não encontrada.' });
+
+        const jobRun = await scheduler.runJob(name);
+        if (!jobRun) {
+            return res.status(409).json({ message: 'Esta tarefa já está sendo executada.' });
+        }
+
+        await recordAudit(req, { action: 'job.run', targetType: 'Job', targetId: name, after: jobRun });
+
+        res.json({ message: `Tarefa ${name} executada.`, jobRun });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao executar tarefa.', error: error.message });
+    }
+};
+
 
 module.exports = {
     loginAdmin,
+    loginAdminTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    refreshAdminToken,
+    logoutAdmin,
+    logoutAllAdminSessions,
+    getAdmins,
+    createAdmin,
+    updateAdmin,
+    resetAdminTwoFactor,
+    getLoginLockouts,
+    clearLoginLockout,
     getUsers,
     getUserDetails,
     toggleUserBlock,
-    updateUserBalance,
+    lockPayoutAccount,
+    adjustUserBalance,
     updateUserCredentials,
+    getUserLedger,
+    openUserLedger,
     createPlan,
     updatePlan,
     deletePlan,
     getPendingTransactions,
     updateTransactionStatus,
+    getWithdrawals,
+    createPayoutBatch,
+    getPayoutBatches,
+    getPayoutBatch,
+    exportPayoutBatch,
+    importPayoutBatch,
     getSettings,
     updateSettings,
     addBanner,
-    deleteBanner
+    deleteBanner,
+    getAuditLogs,
+    getApprovals,
+    approveApproval,
+    rejectApproval,
+    getJobs,
+    runJobNow
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const express = require('express');
+const { validate, schemas } = require('./validators');
+const { protectAdmin, requirePermission, requireTwoFactor } = require('./auth');
+const { PERMISSIONS } = require('./permissions');
+const upload = require('./upload');
+const { guardLogin } = require('./loginGuard');
+const adminController = require('./adminController');
+
+const router = express.Router();
+
+// --- Rotas de Administrador ---
+router.post('/login', validate(schemas.loginAdmin), guardLogin('admin'), adminController.loginAdmin);
+router.post('/login/2fa', validate(schemas.loginAdminTwoFactor), adminController.loginAdminTwoFactor);
+router.post('/refresh', validate(schemas.refreshToken), adminController.refreshAdminToken);
+router.post('/logout', validate(schemas.refreshToken), adminController.logoutAdmin);
+
+// Rotas protegidas de Admin (cada rota exige uma permissão do papel do admin)
+router.use(protectAdmin);
+
+router.post('/logout-all', adminController.logoutAllAdminSessions);
+router.post('/2fa/setup', adminController.setupTwoFactor);
+router.post('/2fa/enable', validate(schemas.twoFactorCode), adminController.enableTwoFactor);
+
+// Daqui em diante, papéis que exigem 2FA só passam com ele ativado
+router.use(requireTwoFactor);
+
+router.post('/2fa/recovery-codes', validate(schemas.twoFactorCode), adminController.regenerateRecoveryCodes);
+router.post('/2fa/disable', validate(schemas.twoFactorCode), adminController.disableTwoFactor);
+
+router.get('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.getAdmins);
+router.post('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate(schemas.createAdmin), adminController.createAdmin);
+router.put('/admins/:id', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate(schemas.updateAdmin), adminController.updateAdmin);
+router.post('/admins/:id/2fa/reset', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate(schemas.byId), adminController.resetAdminTwoFactor);
+router.get('/security/lockouts', requirePermission(PERMISSIONS.SECURITY_MANAGE), validate(schemas.getLoginLockouts), adminController.getLoginLockouts);
+router.post('/security/lockouts/clear', requirePermission(PERMISSIONS.SECURITY_MANAGE), validate(schemas.clearLoginLockout), adminController.clearLoginLockout);
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), validate(schemas.getUsers), adminController.getUsers);
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), validate(schemas.getUserDetails), adminController.getUserDetails);
+router.put('/users/:id/block', requirePermission(PERMISSIONS.USERS_BLOCK), validate(schemas.byId), adminController.toggleUserBlock);
+router.post('/users/:id/adjustments', requirePermission(PERMISSIONS.USERS_BALANCE), validate(schemas.adjustUserBalance), adminController.adjustUserBalance);
+router.put('/users/:id/payout-accounts/:accountId/lock', requirePermission(PERMISSIONS.USERS_BLOCK), validate(schemas.lockPayoutAccount), adminController.lockPayoutAccount);
+router.put('/users/:id/credentials', requirePermission(PERMISSIONS.USERS_CREDENTIALS), validate(schemas.updateUserCredentials), adminController.updateUserCredentials);
+router.get('/users/:id/ledger', requirePermission(PERMISSIONS.LEDGER_READ), validate(schemas.byId), adminController.getUserLedger);
+router.post('/users/:id/ledger/opening-balance', requirePermission(PERMISSIONS.LEDGER_WRITE), validate(schemas.byId), adminController.openUserLedger);
+router.post('/plans', requirePermission(PERMISSIONS.PLANS_WRITE), upload.single('planImage'), validate(schemas.createPlan), upload.store, adminController.createPlan);
+router.put('/plans/:id', requirePermission(PERMISSIONS.PLANS_WRITE), upload.single('planImage'), validate(schemas.updatePlan), upload.store, adminController.updatePlan);
+router.delete('/plans/:id', requirePermission(PERMISSIONS.PLANS_WRITE), validate(schemas.byId), adminController.deletePlan);
+router.get('/transactions/pending', requirePermission(PERMISSIONS.TRANSACTIONS_READ), validate(schemas.getPendingTransactions), adminController.getPendingTransactions);
+router.put('/transactions/:id/status', requirePermission(PERMISSIONS.TRANSACTIONS_APPROVE), validate(schemas.updateTransactionStatus), adminController.updateTransactionStatus);
+router.get('/withdrawals', requirePermission(PERMISSIONS.TRANSACTIONS_READ), validate(schemas.getWithdrawals), adminController.getWithdrawals);
+router.post('/payout-batches', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), validate(schemas.createPayoutBatch), adminController.createPayoutBatch);
+router.get('/payout-batches', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), validate(schemas.getPayoutBatches), adminController.getPayoutBatches);
+router.get('/payout-batches/:id', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), validate(schemas.byId), adminController.getPayoutBatch);
+router.get('/payout-batches/:id/export', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), validate(schemas.byId), adminController.exportPayoutBatch);
+// O retorno do provedor chega como text/csv no corpo
+router.post('/payout-batches/:id/import', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), validate(schemas.byId), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), adminController.importPayoutBatch);
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_READ), adminController.getSettings);
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_WRITE), validate(schemas.updateSettings), adminController.updateSettings);
+router.post('/banners', requirePermission(PERMISSIONS.BANNERS_WRITE), upload.single('bannerImage'), validate(schemas.addBanner), upload.store, adminController.addBanner);
+router.delete('/banners/:id', requirePermission(PERMISSIONS.BANNERS_WRITE), validate(schemas.byId), adminController.deleteBanner);
+router.get('/approvals', requirePermission(PERMISSIONS.APPROVALS_REVIEW), validate(schemas.getApprovals), adminController.getApprovals);
+router.put('/approvals/:id/approve', requirePermission(PERMISSIONS.APPROVALS_REVIEW), validate(schemas.reviewApproval), adminController.approveApproval);
+router.put('/approvals/:id/reject', requirePermission(PERMISSIONS.APPROVALS_REVIEW), validate(schemas.reviewApproval), adminController.rejectApproval);
+router.get('/jobs', requirePermission(PERMISSIONS.JOBS_MANAGE), adminController.getJobs);
+router.post('/jobs/:name/run', requirePermission(PERMISSIONS.JOBS_MANAGE), validate(schemas.runJob), adminController.runJobNow);
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), validate(schemas.getAuditLogs), adminController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const cors = require('cors');
+const apiRoutes = require('./routes');
+const { storage } = require('./storage');
+
+// O app é montado aqui, sem conectar ao banco nem abrir a porta,
+// para que possa ser usado em testes (ex: supertest) sem efeitos colaterais.
+// A inicialização do servidor fica no server.js.
+const app = express();
+
+// Middleware para habilitar CORS para todas as requisições
+app.use(cors());
+
+// Middleware para parsear JSON (o corpo original fica em req.rawBody para conferir assinaturas de provedores)
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
+
+// Arquivos enviados ficam acessíveis pelo próprio servidor quando o armazenamento é local
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.directory));
+}
+
+// =======================
+// ROTAS DA API
+// =======================
+app.use('/api/v1', apiRoutes);
+
+// Prefixo antigo, sem versão: mantido enquanto os clientes migram para /api/v1
+app.use('/api', apiRoutes);
+
+// Rota de Teste
+app.get('/', (req, res) => {
+  res.send('API da Indodax está funcionando!');
+});
+
+module.exports = app;
@@ -0,0 +1,50 @@
+const { AuditLog } = require('./models');
+
+// Campos que nunca devem ser copiados para o registro de auditoria
+const SENSITIVE_FIELDS = ['password'];
+
+/**
+ * Converte um documento (ou objeto simples) em um snapshot seguro para auditoria.
+ * @param {object|null} value - Documento do Mongoose ou objeto simples.
+ * @returns {object|null} Cópia sem campos sensíveis.
+ */
+const snapshot = (value) => {
+    if (!value) return null;
+    const plain = typeof value.toObject === 'function' ? value.toObject() : { ...value };
+    for (const field of SENSITIVE_FIELDS) {
+        delete plain[field];
+    }
+    return plain;
+};
+
+/**
+ * Registra uma ação de administrador no AuditLog.
+ * Quando a ação roda dentro de uma transação, passe a sessão para que o registro
+ * seja confirmado (ou descartado) junto com a alteração.
+ *
+ * @param {object} req - A requisição do Express (precisa de req.admin, vindo do protectAdmin).
+ * @param {object} entry
+ * @param {string} entry.action - Identificador da ação (ex: 'user.block.toggle').
+ * @param {string} entry.targetType - Tipo do alvo (ex: 'User').
+ * @param {string} [entry.targetId] - ID do alvo.
+ * @param {object} [entry.before] - Estado antes da alteração.
+ * @param {object} [entry.after] - Estado depois da alteração.
+ * @param {object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Sessão do MongoDB, se houver.
+ * @returns {Promise<object>} O AuditLog criado.
+ */
+const recordAudit = async (req, { action, targetType, targetId = null, before = null, after = null }, { session } = {}) => {
+    const [log] = await AuditLog.create([{
+        admin: req.admin._id,
+        action,
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        before: snapshot(before),
+        after: snapshot(after),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    }], { session });
+    return log;
+};
+
+module.exports = { recordAudit, snapshot };
@@ -1,22 +1,114 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { User, Admin } = require('./models');
+const { User, Admin, Settings } = require('./models');
+const { hasPermission } = require('./permissions');
+const { isTwoFactorRequired } = require('./twoFactor');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-const JWT_SECRET = process.env.JWT_SECRET;
+const TOKEN_ISSUER = 'indodax-api';
 
 /**
- * Gera um token JWT para um ID específico.
- * @param {string} id - O ID do usuário ou admin do MongoDB.
+ * Lê um conjunto de chaves no formato "kid1:segredo1,kid2:segredo2".
+ * A primeira chave assina os novos tokens; as demais só verificam tokens antigos,
+ * o que permite trocar a chave sem derrubar as sessões em andamento.
+ * @param {string} value - Valor da variável de ambiente.
+ * @returns {Array<{kid: string, secret: string}>}
+ */
+const parseKeys = (value = '') => value
+  .split(',')
+  .map((pair) => {
+    const separator = pair.indexOf(':');
+    return { kid: pair.slice(0, separator).trim(), secret: pair.slice(separator + 1).trim() };
+  })
+  .filter((key) => key.kid && key.secret);
+
+// Sem JWT_ADMIN_KEYS, a chave de admin é derivada do JWT_SECRET: continua sendo diferente da chave de usuário
+const deriveKey = (secret, purpose) => secret && crypto.createHmac('sha256', secret).update(purpose).digest('hex');
+
+const ADMIN_KEYS = parseKeys(process.env.JWT_ADMIN_KEYS)
+  .concat(process.env.JWT_SECRET ? [{ kid: 'admin-derived', secret: deriveKey(process.env.JWT_SECRET, 'admin-token') }] : []);
+
+// Cada tipo de token tem audiência, chaves e duração próprias: um token de usuário
+// nunca é aceito numa rota de admin, e vice-versa.
+// Tokens de acesso têm vida curta; sessões longas são mantidas com refresh tokens (ver sessions.js)
+const TOKEN_TYPES = {
+  User: {
+    type: 'user',
+    audience: 'indodax:user',
+    ttl: process.env.ACCESS_TOKEN_TTL || '15m',
+    keys: parseKeys(process.env.JWT_KEYS).concat(process.env.JWT_SECRET ? [{ kid: 'default', secret: process.env.JWT_SECRET }] : [])
+  },
+  Admin: {
+    type: 'admin',
+    audience: 'indodax:admin',
+    ttl: process.env.ADMIN_ACCESS_TOKEN_TTL || '5m',
+    keys: ADMIN_KEYS
+  },
+  // Emitido após a senha de um admin com 2FA: só serve para concluir o login com o código TOTP
+  AdminTwoFactor: {
+    type: 'admin_2fa',
+    audience: 'indodax:admin-2fa',
+    ttl: '5m',
+    keys: ADMIN_KEYS
+  }
+};
+
+/**
+ * Gera um token de acesso JWT de curta duração para um usuário ou admin.
+ * O token carrega a tokenVersion atual: incrementá-la invalida todos os tokens já emitidos.
+ * @param {'User'|'Admin'|'AdminTwoFactor'} subjectType - Tipo do token.
+ * @param {object} subject - Documento do usuário ou admin (precisa de _id e tokenVersion).
  * @returns {string} O token JWT gerado.
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, JWT_SECRET, {
-    expiresIn: '30d', // O token expira em 30 dias
+const generateToken = (subjectType, subject) => {
+  const config = TOKEN_TYPES[subjectType];
+  const [signingKey] = config.keys;
+  if (!signingKey) throw new Error(`Nenhuma chave configurada para tokens do tipo ${subjectType}.`);
+
+  return jwt.sign({ typ: config.type, tv: subject.tokenVersion || 0 }, signingKey.secret, {
+    algorithm: 'HS256',
+    keyid: signingKey.kid,
+    subject: String(subject._id),
+    audience: config.audience,
+    issuer: TOKEN_ISSUER,
+    expiresIn: config.ttl,
+  });
+};
+
+/**
+ * Verifica um token de acesso do tipo esperado: a chave é escolhida pelo kid do cabeçalho
+ * dentre as chaves daquele tipo, e a audiência e o tipo do token precisam coincidir.
+ * @param {'User'|'Admin'} subjectType - Tipo esperado do dono do token.
+ * @param {string} token - O token JWT.
+ * @returns {object} O payload verificado (o _id do dono fica em `sub`).
+ * @throws {Error} Se o token for inválido, vencido ou de outro tipo.
+ */
+const verifyToken = (subjectType, token) => {
+  const config = TOKEN_TYPES[subjectType];
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && config.keys.find((candidate) => candidate.kid === decoded.header.kid);
+  if (!key) throw new Error('Chave do token desconhecida.');
+
+  const payload = jwt.verify(token, key.secret, {
+    algorithms: ['HS256'],
+    audience: config.audience,
+    issuer: TOKEN_ISSUER,
   });
+  if (payload.typ !== config.type) throw new Error('Tipo de token inválido.');
+  return payload;
 };
 
+/**
+ * Verifica se o token foi emitido para a versão atual das sessões do usuário ou admin.
+ * Tokens sem versão (emitidos antes das sessões revogáveis) são recusados.
+ * @param {object} decoded - Payload do token.
+ * @param {object} subject - Documento do usuário ou admin.
+ * @returns {boolean}
+ */
+const isCurrentTokenVersion = (decoded, subject) => decoded.tv === (subject.tokenVersion || 0);
+
 /**
  * Middleware para proteger rotas de usuários.
  * Verifica o token JWT no cabeçalho da requisição.
@@ -29,16 +121,24 @@ const protectUser = async (req, res, next) => {
       // Pega o token do cabeçalho (formato "Bearer TOKEN")
       token = req.headers.authorization.split(' ')[1];
 
-      // Decodifica o token para obter o ID
-      const decoded = jwt.verify(token, JWT_SECRET);
+      // Verifica o token (apenas tokens de usuário) para obter o ID
+      const decoded = verifyToken('User', token);
 
       // Encontra o usuário pelo ID e anexa o objeto do usuário à requisição (sem a senha)
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await User.findById(decoded.sub).select('-password');
       
       if (!req.user) {
           return res.status(401).json({ message: 'Não autorizado, usuário não encontrado.' });
       }
 
+      if (!isCurrentTokenVersion(decoded, req.user)) {
+          return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
+      }
+
+      if (req.user.isBlocked) {
+          return res.status(403).json({ message: 'Sua conta foi bloqueada. Entre em contato com o suporte.' });
+      }
+
       next(); // Passa para a próxima função/controller
     } catch (error) {
       console.error(error);
@@ -61,15 +161,23 @@ const protectAdmin = async (req, res, next) => {
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       try {
         token = req.headers.authorization.split(' ')[1];
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = verifyToken('Admin', token);
   
         // Encontra o admin pelo ID e anexa à requisição
-        req.admin = await Admin.findById(decoded.id).select('-password');
+        req.admin = await Admin.findById(decoded.sub).select('-password');
         
         if (!req.admin) {
             return res.status(401).json({ message: 'Acesso negado. Apenas administradores.' });
         }
 
+        if (!isCurrentTokenVersion(decoded, req.admin)) {
+            return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
+        }
+
+        if (!req.admin.isActive) {
+            return res.status(403).json({ message: 'Esta conta de administrador foi desativada.' });
+        }
+
         next();
       } catch (error) {
         console.error(error);
@@ -82,5 +190,37 @@ const protectAdmin = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware que exige uma permissão do papel do administrador.
+ * Deve ser usado depois do protectAdmin.
+ * @param {string} permission - A permissão exigida (ver PERMISSIONS em permissions.js).
+ */
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.admin || !hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ message: 'Você não tem permissão para realizar esta ação.' });
+    }
+    next();
+};
+
+/**
+ * Middleware que bloqueia o painel para admins cujo papel exige 2FA e que ainda não o ativaram.
+ * Deve ser usado depois do protectAdmin; as rotas de cadastro do 2FA ficam antes dele.
+ */
+const requireTwoFactor = async (req, res, next) => {
+    try {
+        if (!req.admin.twoFactor || !req.admin.twoFactor.enabled) {
+            const settings = await Settings.findOne({ settingId: 'global_settings' }).select('twoFactorRequiredRoles');
+            if (isTwoFactorRequired(req.admin.role, settings)) {
+                return res.status(403).json({
+                    message: 'O seu papel exige autenticação em dois fatores. Ative o 2FA para continuar.',
+                    twoFactorSetupRequired: true
+                });
+            }
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao verificar a autenticação em dois fatores.', error: error.message });
+    }
+};
 
-module.exports = { generateToken, protectUser, protectAdmin };
\ No newline at end of file
+module.exports = { TOKEN_TYPES, generateToken, verifyToken, protectUser, protectAdmin, requirePermission, requireTwoFactor };
\ No newline at end of file
@@ -1,8 +1,14 @@
-const { User, Transaction, Settings } = require('./models');
+const { User, Settings } = require('./models');
+const { HttpError, runInTransaction } = require('./utils');
+const { startOfToday, isPastEndDate, maturePlan } = require('./maturity');
+const { getCollectedDays, creditEarning, collectAccruedEarnings } = require('./earnings');
+const money = require('./money');
 
 /**
  * @desc    Coletar os lucros diários de um plano específico.
- * @route   POST /api/bonus/collect
+ *          No modo 'manual' credita um dia por coleta; no modo 'accrual' credita
+ *          todos os dias completos ainda não coletados (ver Settings.collectionMode).
+ * @route   POST /api/v1/bonus/collect
  * @access  Private
  */
 const collectDailyEarnings = async (req, res) => {
@@ -10,84 +16,109 @@ const collectDailyEarnings = async (req, res) => {
     const userId = req.user._id;
 
     try {
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({ message: "Usuário não encontrado." });
-        }
-        
-        const settings = await Settings.findOne({ settingId: 'global_settings' });
-        
-        const activePlan = user.activePlans.id(activePlanId);
-        if (!activePlan || !activePlan.isActive) {
-            return res.status(404).json({ message: "Plano ativo não encontrado ou expirado." });
-        }
+        // Lucro, histórico do plano e comissão do convidador são confirmados juntos ou nenhum deles
+        const result = await runInTransaction(async (session) => {
+            const user = await User.findById(userId).session(session);
+            if (!user) {
+                throw new HttpError(404, "Usuário não encontrado.");
+            }
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Normaliza para o início do dia
+            const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session) || new Settings();
 
-        // Verifica se o plano já expirou
-        if (today > activePlan.endDate) {
-            activePlan.isActive = false;
-            await user.save();
-            return res.status(400).json({ message: "Este plano já expirou." });
-        }
+            const activePlan = user.activePlans.id(activePlanId);
+            if (!activePlan || !activePlan.isActive) {
+                throw new HttpError(404, "Plano ativo não encontrado ou expirado.");
+            }
 
-        // Verifica se o usuário já coletou hoje
-        if (activePlan.lastCollectionDate) {
-            const lastCollectionDay = new Date(activePlan.lastCollectionDate);
-            lastCollectionDay.setHours(0, 0, 0, 0);
-            if (lastCollectionDay.getTime() === today.getTime()) {
-                return res.status(400).json({ message: "Você já coletou os lucros de hoje para este plano." });
+            const today = startOfToday(); // Normaliza para o início do dia
+            const expired = isPastEndDate(activePlan, today);
+
+            // MODO ACUMULADO: credita todos os dias completos ainda não coletados até a endDate
+            if (settings.collectionMode === 'accrual') {
+                const collected = await collectAccruedEarnings(userId, activePlan._id, session);
+                if (expired) {
+                    await maturePlan(user._id, activePlan._id, session);
+                }
+                if (collected.days === 0) {
+                    if (expired) return { expired: true };
+                    throw new HttpError(400, "Ainda não há um dia completo de rendimento para coletar neste plano.");
+                }
+                return collected;
             }
-        }
-        
-        // 1. Adiciona o lucro diário ao saldo do usuário
-        const dailyProfit = activePlan.dailyProfit;
-        user.walletBalance += dailyProfit;
-        
-        // 2. Atualiza os dados do plano ativo
-        activePlan.lastCollectionDate = new Date();
-        activePlan.totalEarned += dailyProfit;
-
-        await user.save();
-
-        // 3. Cria uma transação para o ganho
-        await Transaction.create({
-            user: userId,
-            type: 'earning',
-            amount: dailyProfit,
-            status: 'completed',
-            details: `Coleta diária do plano de investimento.`
-        });
-        
-        // 4. Lógica de Comissão de Lucro Diário para quem o convidou
-        if (user.invitedBy) {
-            const inviter = await User.findOne({ userId: user.invitedBy });
-            if (inviter) {
-                const profitShare = (dailyProfit * settings.dailyProfitSharePercentage) / 100;
-                inviter.walletBalance += profitShare; // Comissão vai para o saldo real
-                await inviter.save();
-
-                await Transaction.create({
-                    user: inviter._id,
-                    type: 'commission',
-                    amount: profitShare,
-                    status: 'completed',
-                    details: `Comissão de ${settings.dailyProfitSharePercentage}% sobre os lucros de ${user.userId}`
-                });
+
+            // MODO MANUAL: um dia de lucro por coleta, uma vez por dia
+            // Verifica se o plano já expirou (o encerramento deve ser salvo, por isso não lança erro).
+            // O agendador encerra planos vencidos periodicamente; aqui é só a garantia.
+            if (expired) {
+                await maturePlan(user._id, activePlan._id, session);
+                return { expired: true };
             }
+
+            // Verifica se o usuário já coletou hoje
+            if (activePlan.lastCollectionDate) {
+                const lastCollectionDay = new Date(activePlan.lastCollectionDate);
+                lastCollectionDay.setHours(0, 0, 0, 0);
+                if (lastCollectionDay.getTime() === today.getTime()) {
+                    throw new HttpError(400, "Você já coletou os lucros de hoje para este plano.");
+                }
+            }
+
+            // 1. Atualiza os dados do plano ativo com uma escrita condicional: se outra coleta
+            // do mesmo dia for gravada primeiro, o filtro deixa de casar e nada é creditado
+            const dailyProfit = activePlan.dailyProfit;
+            const collected = await User.updateOne(
+                {
+                    _id: userId,
+                    activePlans: {
+                        $elemMatch: {
+                            _id: activePlan._id,
+                            isActive: true,
+                            $or: [{ lastCollectionDate: null }, { lastCollectionDate: { $lt: today } }]
+                        }
+                    }
+                },
+                {
+                    $set: {
+                        'activePlans.$.lastCollectionDate': new Date(),
+                        'activePlans.$.collectedDays': getCollectedDays(activePlan) + 1
+                    },
+                    $inc: { 'activePlans.$.totalEarned': dailyProfit, __v: 1 } // __v invalida saves concorrentes do usuário
+                },
+                { session }
+            );
+            if (collected.modifiedCount === 0) {
+                throw new HttpError(400, "Você já coletou os lucros de hoje para este plano.");
+            }
+
+            // 2. Credita o lucro diário na carteira (e a comissão de quem o convidou)
+            await creditEarning({
+                user,
+                amount: dailyProfit,
+                details: `Coleta diária do plano de investimento.`,
+                settings
+            }, session);
+
+            return { days: 1, amount: dailyProfit };
+        });
+
+        if (result.expired) {
+            return res.status(400).json({ message: "Este plano já expirou." });
         }
 
-        res.status(200).json({ message: `Você coletou ${dailyProfit.toFixed(2)} MT com sucesso!` });
+        const daysMessage = result.days > 1 ? ` referentes a ${result.days} dias` : '';
+        res.status(200).json({ message: `Você coletou ${money.format(result.amount)} MT${daysMessage} com sucesso!`, days: result.days });
 
     } catch (error) {
-        res.status(500).json({ message: "Erro no servidor ao coletar lucros.", error: error.message });
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Erro no servidor ao coletar lucros. Nenhuma alteração foi aplicada.", error: error.message });
     }
 };
 
 /**
  * @desc    Obter o histórico de coleta e status dos planos ativos do usuário.
- * @route   GET /api/bonus/history
+ * @route   GET /api/v1/bonus/history
  * @access  Private
  */
 const getCollectionHistory = async (req, res) => {
@@ -97,16 +128,15 @@ const getCollectionHistory = async (req, res) => {
             return res.status(404).json({ message: "Usuário não encontrado." });
         }
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const today = startOfToday();
 
-        // Verifica e atualiza o status de expiração dos planos
+        // Encerra planos vencidos que o agendador ainda não processou
         for (const plan of user.activePlans) {
-            if (plan.isActive && today > plan.endDate) {
+            if (plan.isActive && isPastEndDate(plan, today)) {
+                await runInTransaction((session) => maturePlan(user._id, plan._id, session));
                 plan.isActive = false;
             }
         }
-        await user.save();
 
 
         res.json(user.activePlans);
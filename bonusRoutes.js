@@ -0,0 +1,13 @@
+const express = require('express');
+const { validate, schemas } = require('./validators');
+const { protectUser } = require('./auth');
+const { idempotent } = require('./idempotency');
+const bonusController = require('./bonusController');
+
+const router = express.Router();
+
+// --- Rotas de Bônus e Coleta ---
+router.post('/collect', protectUser, validate(schemas.collectDailyEarnings), idempotent, bonusController.collectDailyEarnings);
+router.get('/history', protectUser, bonusController.getCollectionHistory);
+
+module.exports = router;
@@ -13,6 +13,8 @@ cloudinary.config({
 });
 
 // Função para conectar ao MongoDB
+// As operações financeiras usam transações multi-documento, que exigem um replica set
+// (ex: MONGO_URI=mongodb://localhost:27017/indodax?replicaSet=rs0 ou um cluster Atlas).
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
@@ -0,0 +1,80 @@
+// =================
+// ARQUIVOS CSV (LOTES DE PAGAMENTO)
+// =================
+// Formato simples (RFC 4180): vírgula como separador, aspas duplas em campos com vírgula,
+// aspas ou quebra de linha. Na leitura também aceita ';' (CSV salvo pelo Excel em português).
+// Usado para exportar lotes de saque e importar o retorno do provedor.
+
+/**
+ * Escapa um valor para uma célula CSV.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Textos vindos do usuário (ex: nome do titular) não podem virar fórmula no Excel
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Monta um CSV a partir de linhas.
+ * @param {Array<Array<*>>} rows - A primeira linha é o cabeçalho.
+ * @returns {string}
+ */
+const toCsv = (rows) => `${rows.map((row) => row.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * Lê um CSV com cabeçalho.
+ * @param {string} text
+ * @returns {Array<object>} Uma entrada por linha, com as colunas pelo nome do cabeçalho
+ *   (em minúsculas, sem espaços nas pontas). Linhas vazias são ignoradas.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, ''); // BOM do Excel
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') index += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map((name) => name.trim().toLowerCase());
+    return nonEmpty.slice(1).map((cells) => Object.fromEntries(
+        header.map((name, column) => [name, (cells[column] || '').trim()])
+    ));
+};
+
+module.exports = { toCsv, parseCsv };
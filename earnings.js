@@ -0,0 +1,156 @@
+const { User, Transaction, Settings } = require('./models');
+const ledger = require('./ledger');
+const { HttpError } = require('./utils');
+const money = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quantos dias de rendimento do plano já foram creditados.
+ * Planos ativados antes do campo collectedDays existir são estimados pelo total já ganho.
+ * @param {object} activePlan - Item de user.activePlans.
+ * @returns {number}
+ */
+const getCollectedDays = (activePlan) => {
+    if (activePlan.collectedDays !== undefined && activePlan.collectedDays !== null) {
+        return activePlan.collectedDays;
+    }
+    return activePlan.dailyProfit ? Math.round(activePlan.totalEarned / activePlan.dailyProfit) : 0;
+};
+
+/**
+ * Quantos dias completos de rendimento o plano acumulou até `now`, limitado à endDate.
+ * Os dias são contados em períodos de 24h a partir da ativação, então o resultado não
+ * depende do fuso horário do servidor. A duração é arredondada para absorver a diferença
+ * de uma hora que o setDate pode introduzir em fusos com horário de verão.
+ * @param {object} activePlan - Item de user.activePlans.
+ * @param {Date} [now] - Momento de referência.
+ * @returns {number}
+ */
+const getAccruedDays = (activePlan, now = new Date()) => {
+    const start = new Date(activePlan.startDate).getTime();
+    const end = new Date(activePlan.endDate).getTime();
+    const totalDays = Math.round((end - start) / DAY_MS);
+
+    if (now.getTime() >= end) return totalDays;
+    const elapsedDays = Math.floor((now.getTime() - start) / DAY_MS);
+    return Math.min(Math.max(elapsedDays, 0), totalDays);
+};
+
+/**
+ * Credita um rendimento na carteira do usuário: cria a transação 'earning', lança no
+ * livro-razão e paga a comissão de lucro diário para quem o convidou, se houver.
+ * @param {object} params
+ * @param {object} params.user - Documento do usuário (precisa de _id, userId e invitedBy).
+ * @param {number} params.amount - Valor do rendimento em centavos.
+ * @param {string} params.details - Descrição exibida no histórico.
+ * @param {object} params.settings - Configurações globais.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @returns {Promise<object>} A transação do rendimento.
+ */
+const creditEarning = async ({ user, amount, details, settings }, session) => {
+    const [earning] = await Transaction.create([{
+        user: user._id,
+        type: 'earning',
+        amount,
+        status: 'completed',
+        details
+    }], { session });
+
+    await ledger.transfer({
+        kind: 'earning',
+        from: ledger.ACCOUNTS.EARNINGS_EXPENSE,
+        to: ledger.userAccount(user._id),
+        amount,
+        transaction: earning._id,
+        description: earning.details
+    }, { session });
+
+    // Lógica de Comissão de Lucro Diário para quem o convidou
+    if (user.invitedBy) {
+        const inviter = await User.findOne({ userId: user.invitedBy }).session(session);
+        // Comissões são arredondadas para baixo; uma comissão de zero centavos não é lançada
+        const profitShare = money.percentOf(amount, settings.dailyProfitSharePercentage, money.ROUNDING.DOWN);
+        if (inviter && profitShare > 0) {
+            const [commission] = await Transaction.create([{
+                user: inviter._id,
+                type: 'commission',
+                amount: profitShare,
+                status: 'completed',
+                details: `Comissão de ${settings.dailyProfitSharePercentage}% sobre os lucros de ${user.userId}`
+            }], { session });
+
+            // Comissão vai para o saldo real
+            await ledger.transfer({
+                kind: 'commission',
+                from: ledger.ACCOUNTS.COMMISSION_EXPENSE,
+                to: ledger.userAccount(inviter._id),
+                amount: profitShare,
+                transaction: commission._id,
+                description: commission.details
+            }, { session });
+        }
+    }
+
+    return earning;
+};
+
+/**
+ * Modo 'accrual': credita todos os dias completos ainda não coletados de um plano,
+ * cada um como uma transação de rendimento própria.
+ * A escrita no plano é condicional ao número de dias já coletados, então duas coletas
+ * simultâneas não creditam os mesmos dias.
+ * @param {string} userId - O _id do usuário.
+ * @param {string} activePlanId - O _id do item em user.activePlans.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @param {Date} [now] - Momento de referência.
+ * @returns {Promise<{days: number, amount: number}>} Dias e valor creditados.
+ */
+const collectAccruedEarnings = async (userId, activePlanId, session, now = new Date()) => {
+    const user = await User.findById(userId).session(session);
+    const activePlan = user && user.activePlans.id(activePlanId);
+    if (!activePlan || !activePlan.isActive) return { days: 0, amount: 0 };
+
+    const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session) || new Settings();
+
+    const collectedDays = getCollectedDays(activePlan);
+    const accruedDays = getAccruedDays(activePlan, now);
+    const days = accruedDays - collectedDays;
+    if (days <= 0) return { days: 0, amount: 0 };
+
+    const amount = days * activePlan.dailyProfit;
+    const updated = await User.updateOne(
+        {
+            _id: userId,
+            activePlans: {
+                $elemMatch: {
+                    _id: activePlan._id,
+                    isActive: true,
+                    collectedDays: activePlan.collectedDays === undefined ? null : activePlan.collectedDays
+                }
+            }
+        },
+        {
+            $set: { 'activePlans.$.collectedDays': accruedDays, 'activePlans.$.lastCollectionDate': now },
+            $inc: { 'activePlans.$.totalEarned': amount, __v: 1 } // __v invalida saves concorrentes do usuário
+        },
+        { session }
+    );
+    if (updated.modifiedCount === 0) {
+        throw new HttpError(409, 'Os rendimentos deste plano já estão sendo coletados. Tente novamente.');
+    }
+
+    const totalDays = getAccruedDays(activePlan, new Date(activePlan.endDate));
+    for (let day = collectedDays + 1; day <= accruedDays; day++) {
+        await creditEarning({
+            user,
+            amount: activePlan.dailyProfit,
+            details: `Rendimento do dia ${day} de ${totalDays} do plano de investimento.`,
+            settings
+        }, session);
+    }
+
+    return { days, amount };
+};
+
+module.exports = { getCollectedDays, getAccruedDays, creditEarning, collectAccruedEarnings };
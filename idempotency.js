@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('./models');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Por quanto tempo uma resposta fica guardada para ser repetida (padrão: 24 horas)
+const RETENTION_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Gera o hash que identifica o conteúdo de uma requisição.
+ * @param {object} req - A requisição do Express.
+ * @returns {string} Hash SHA-256 em hexadecimal.
+ */
+const hashRequest = (req) => {
+    const file = req.file ? { fieldname: req.file.fieldname, originalname: req.file.originalname, size: req.file.size } : null;
+    return crypto.createHash('sha256').update(JSON.stringify({ body: req.body, file })).digest('hex');
+};
+
+/**
+ * Middleware que honra o cabeçalho `Idempotency-Key` em rotas que movimentam dinheiro.
+ * Deve ser usado depois do protectUser e do upload.single, e antes do upload.store (quando houver).
+ * - Sem o cabeçalho, a requisição segue normalmente.
+ * - Na primeira vez, a resposta é guardada pelo período de retenção.
+ * - Repetições com a mesma chave e o mesmo conteúdo recebem a resposta guardada.
+ * - Reutilizar a chave com outro conteúdo ou em outra rota é rejeitado com 422.
+ * - Uma repetição enquanto a original ainda está em andamento recebe 409.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ message: `A Idempotency-Key deve ter no máximo ${MAX_KEY_LENGTH} caracteres.` });
+    }
+
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+
+    try {
+        // Chaves vencidas que o MongoDB ainda não removeu não devem bloquear a nova requisição
+        await IdempotencyKey.deleteOne({ user: req.user._id, key, expiresAt: { $lte: new Date() } });
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                user: req.user._id,
+                endpoint,
+                requestHash,
+                expiresAt: new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000)
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            // A chave já existe: decide entre repetir a resposta ou rejeitar
+            const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+            if (!existing || existing.status === 'processing') {
+                return res.status(409).json({ message: 'Uma requisição com esta Idempotency-Key ainda está em processamento.' });
+            }
+            if (existing.endpoint !== endpoint || existing.requestHash !== requestHash) {
+                return res.status(422).json({ message: 'Esta Idempotency-Key já foi usada com uma requisição diferente.' });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Intercepta a resposta para guardá-la antes de enviá-la ao cliente
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            const saveResponse = res.statusCode >= 500
+                // Erros do servidor não são guardados: o cliente pode tentar novamente com a mesma chave
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    // Guarda o JSON serializado para que a repetição seja idêntica (ex: valores já formatados pelo toJSON)
+                    { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+                );
+
+            saveResponse
+                .catch((error) => console.error('Erro ao salvar resposta idempotente:', error))
+                .finally(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao processar a Idempotency-Key.', error: error.message });
+    }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,221 @@
+const { User, LedgerEntry } = require('./models');
+const { HttpError, runInTransaction } = require('./utils');
+
+// Contas da plataforma usadas como contrapartida dos movimentos nas carteiras
+const ACCOUNTS = {
+    CASH: 'platform:cash',                               // Dinheiro recebido via M-Pesa/e-Mola
+    WITHDRAWALS_PAYABLE: 'platform:withdrawals_payable', // Saques solicitados e ainda não pagos
+    INVESTMENTS: 'platform:investments',                 // Valores investidos em planos
+    BONUS_EXPENSE: 'platform:bonus_expense',             // Saldo de boas-vindas e outros bônus
+    EARNINGS_EXPENSE: 'platform:earnings_expense',       // Lucros diários pagos aos usuários
+    COMMISSION_EXPENSE: 'platform:commission_expense',   // Comissões de referência
+    ADJUSTMENTS: 'platform:adjustments',                 // Ajustes manuais feitos por administradores
+    FEE_INCOME: 'platform:fee_income',                   // Taxas cobradas nos saques
+    OPENING_BALANCE: 'platform:opening_balance'          // Saldos anteriores à criação do livro-razão
+};
+
+/**
+ * Retorna o nome da conta de carteira de um usuário no livro-razão.
+ * @param {string|import('mongoose').Types.ObjectId} userId - O _id do usuário.
+ * @returns {string} O nome da conta (ex: "user:64f...").
+ */
+const userAccount = (userId) => `user:${userId}`;
+
+/**
+ * Extrai o _id do usuário de uma conta de carteira, ou null para contas da plataforma.
+ * @param {string} account - O nome da conta.
+ * @returns {string|null}
+ */
+const userIdFromAccount = (account) => (account.startsWith('user:') ? account.slice(5) : null);
+
+/**
+ * Lança um Error se as linhas do lançamento não formarem partidas dobradas válidas.
+ * Os valores são inteiros em centavos, então a soma precisa fechar exatamente.
+ * @param {Array<{account: string, debit?: number, credit?: number}>} lines
+ */
+const assertBalanced = (lines) => {
+    if (!Array.isArray(lines) || lines.length < 2) {
+        throw new Error('Um lançamento precisa de pelo menos duas linhas.');
+    }
+
+    let totalDebit = 0;
+    let totalCredit = 0;
+
+    for (const line of lines) {
+        const debit = line.debit || 0;
+        const credit = line.credit || 0;
+
+        if (!line.account) throw new Error('Linha de lançamento sem conta.');
+        if (debit < 0 || credit < 0 || !Number.isInteger(debit) || !Number.isInteger(credit)) {
+            throw new Error(`Valor inválido na conta ${line.account}.`);
+        }
+        if ((debit > 0) === (credit > 0)) {
+            throw new Error(`A linha da conta ${line.account} deve ter débito ou crédito, não ambos.`);
+        }
+
+        totalDebit += debit;
+        totalCredit += credit;
+    }
+
+    if (totalDebit !== totalCredit) {
+        throw new Error(`Lançamento desbalanceado: débitos ${totalDebit} != créditos ${totalCredit}.`);
+    }
+};
+
+/**
+ * Registra um lançamento de partidas dobradas e aplica o efeito líquido
+ * nas carteiras (walletBalance) dos usuários envolvidos.
+ * Nas contas de usuário, créditos aumentam o saldo e débitos o diminuem.
+ * Sem uma sessão, o lançamento e a atualização dos saldos rodam em uma transação própria.
+ * Débitos em carteiras são condicionais ao saldo disponível no momento da escrita, então
+ * requisições concorrentes não conseguem deixar a carteira negativa.
+ *
+ * @param {object} entry
+ * @param {string} entry.kind - Tipo do movimento (ex: 'deposit', 'earning').
+ * @param {Array<{account: string, debit?: number, credit?: number}>} entry.lines - Linhas do lançamento.
+ * @param {string} [entry.transaction] - _id da Transaction relacionada, se houver.
+ * @param {string} [entry.description] - Descrição legível do movimento.
+ * @param {object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Sessão do MongoDB, se houver.
+ * @param {boolean} [options.allowNegative=false] - Permite que o débito deixe a carteira negativa.
+ * @returns {Promise<object>} O LedgerEntry criado.
+ * @throws {HttpError} 400 se alguma carteira debitada não tiver saldo suficiente.
+ */
+const postEntry = async ({ kind, lines, transaction = null, description }, { session, allowNegative = false } = {}) => {
+    assertBalanced(lines);
+
+    if (!session) {
+        return runInTransaction((ownSession) => postEntry(
+            { kind, lines, transaction, description },
+            { session: ownSession, allowNegative }
+        ));
+    }
+
+    const normalizedLines = lines.map((line) => ({
+        account: line.account,
+        user: userIdFromAccount(line.account),
+        debit: line.debit || 0,
+        credit: line.credit || 0
+    }));
+
+    const [ledgerEntry] = await LedgerEntry.create(
+        [{ kind, transaction, description, lines: normalizedLines }],
+        { session }
+    );
+
+    // Agrupa o efeito líquido por usuário e atualiza a projeção do saldo
+    const deltas = new Map();
+    for (const line of normalizedLines) {
+        if (!line.user) continue;
+        deltas.set(line.user, (deltas.get(line.user) || 0) + line.credit - line.debit);
+    }
+
+    for (const [userId, delta] of deltas) {
+        if (delta === 0) continue;
+
+        const filter = { _id: userId };
+        if (delta < 0 && !allowNegative) {
+            filter.walletBalance = { $gte: -delta };
+        }
+
+        const result = await User.updateOne(filter, { $inc: { walletBalance: delta } }, { session });
+        if (result.matchedCount === 0) {
+            throw new HttpError(400, 'Saldo insuficiente.');
+        }
+    }
+
+    return ledgerEntry;
+};
+
+/**
+ * Atalho para um lançamento simples de duas linhas: debita `from` e credita `to`.
+ * @param {object} params
+ * @param {string} params.kind - Tipo do movimento.
+ * @param {string} params.from - Conta debitada.
+ * @param {string} params.to - Conta creditada.
+ * @param {number} params.amount - Valor positivo do movimento.
+ * @param {string} [params.transaction] - _id da Transaction relacionada.
+ * @param {string} [params.description] - Descrição legível do movimento.
+ * @param {object} [options] - Repassado para postEntry.
+ * @returns {Promise<object>} O LedgerEntry criado.
+ */
+const transfer = ({ kind, from, to, amount, transaction, description }, options) => {
+    return postEntry({
+        kind,
+        transaction,
+        description,
+        lines: [
+            { account: from, debit: amount },
+            { account: to, credit: amount }
+        ]
+    }, options);
+};
+
+/**
+ * Calcula o saldo de uma conta a partir do histórico (créditos - débitos).
+ * @param {string} account - O nome da conta.
+ * @returns {Promise<number>}
+ */
+const getAccountBalance = async (account) => {
+    const [result] = await LedgerEntry.aggregate([
+        { $match: { 'lines.account': account } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account } },
+        { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]);
+    return result ? result.balance : 0;
+};
+
+/**
+ * Compara o walletBalance armazenado de um usuário com o saldo derivado do livro-razão.
+ * @param {object} user - Documento do usuário (precisa de _id e walletBalance).
+ * @returns {Promise<{walletBalance: number, ledgerBalance: number, difference: number, inSync: boolean}>}
+ */
+const reconcileUser = async (user) => {
+    const ledgerBalance = await getAccountBalance(userAccount(user._id));
+    const difference = user.walletBalance - ledgerBalance;
+    return {
+        walletBalance: user.walletBalance,
+        ledgerBalance,
+        difference,
+        inSync: difference === 0
+    };
+};
+
+/**
+ * Registra no livro-razão o saldo de um usuário criado antes da existência do ledger,
+ * sem alterar o walletBalance. Só pode ser usado enquanto o usuário não tem lançamentos.
+ * @param {object} user - Documento do usuário.
+ * @returns {Promise<object|null>} O LedgerEntry criado, ou null se não houver saldo a abrir.
+ */
+const postOpeningBalance = async (user) => {
+    const hasEntries = await LedgerEntry.exists({ 'lines.user': user._id });
+    if (hasEntries) {
+        throw new Error('O usuário já possui lançamentos no livro-razão.');
+    }
+    if (!user.walletBalance) return null;
+
+    const amount = Math.abs(user.walletBalance);
+    const credited = user.walletBalance > 0;
+    const account = userAccount(user._id);
+
+    // Cria o lançamento diretamente: o saldo já está refletido na carteira
+    return LedgerEntry.create({
+        kind: 'opening_balance',
+        description: 'Saldo de abertura do livro-razão',
+        lines: [
+            { account: ACCOUNTS.OPENING_BALANCE, debit: credited ? amount : 0, credit: credited ? 0 : amount },
+            { account, user: user._id, debit: credited ? 0 : amount, credit: credited ? amount : 0 }
+        ]
+    });
+};
+
+module.exports = {
+    ACCOUNTS,
+    userAccount,
+    postEntry,
+    transfer,
+    getAccountBalance,
+    reconcileUser,
+    postOpeningBalance
+};
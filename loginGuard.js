@@ -0,0 +1,248 @@
+const { LoginAttempt } = require('./models');
+const { normalizePhoneNumber } = require('./phone');
+
+// =================
+// PROTEÇÃO CONTRA FORÇA BRUTA NO LOGIN
+// =================
+// As falhas são contadas por conta (telefone) e por IP. Depois de algumas tentativas
+// livres, cada nova tentativa precisa esperar um intervalo que dobra a cada falha;
+// ao atingir o limite, a chave fica bloqueada por um período. Um login bem-sucedido
+// zera a contagem da conta (a do IP expira sozinha com a janela).
+//
+// O armazenamento é escolhido por LOGIN_GUARD_STORE:
+//   'mongo'  - coleção LoginAttempt, compartilhada entre instâncias (padrão, produção)
+//   'memory' - Map no processo (testes e desenvolvimento local)
+
+const minutes = (value) => value * 60 * 1000;
+
+const POLICY = {
+    freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    maxDelayMs: (Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60) * 1000,
+    windowMs: minutes(Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15),
+    lockoutMs: minutes(Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15),
+    maxFailures: {
+        account: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10,
+        ip: Number(process.env.LOGIN_MAX_IP_FAILURES) || 50
+    }
+};
+
+/**
+ * Armazenamento em memória. Cada registro: { key, failures, lastFailureAt, lockedUntil }.
+ */
+const createMemoryStore = () => {
+    const records = new Map();
+
+    const isExpired = (record, now) => now - record.lastFailureAt > POLICY.windowMs
+        && (!record.lockedUntil || record.lockedUntil <= now);
+
+    return {
+        async get(key) {
+            const record = records.get(key);
+            if (record && isExpired(record, new Date())) {
+                records.delete(key);
+                return null;
+            }
+            return record ? { ...record } : null;
+        },
+        async increment(key, now) {
+            const current = records.get(key);
+            const failures = current && now - current.lastFailureAt <= POLICY.windowMs ? current.failures + 1 : 1;
+            const record = { key, failures, lastFailureAt: now, lockedUntil: current ? current.lockedUntil : null };
+            records.set(key, record);
+            return { ...record };
+        },
+        async lock(key, until) {
+            const record = records.get(key);
+            if (record) record.lockedUntil = until;
+        },
+        async reset(key) {
+            records.delete(key);
+        },
+        async list() {
+            const now = new Date();
+            return [...records.values()]
+                .filter((record) => !isExpired(record, now))
+                .sort((a, b) => b.lastFailureAt - a.lastFailureAt)
+                .map((record) => ({ ...record }));
+        }
+    };
+};
+
+/**
+ * Armazenamento no MongoDB (modelo LoginAttempt). As escritas são atômicas, então
+ * tentativas simultâneas em instâncias diferentes são todas contadas.
+ */
+const createMongoStore = () => ({
+    async get(key) {
+        return LoginAttempt.findOne({ key }).lean();
+    },
+    async increment(key, now) {
+        const windowStart = new Date(now.getTime() - POLICY.windowMs);
+        return LoginAttempt.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    key,
+                    // Falhas fora da janela recomeçam a contagem
+                    failures: { $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1] },
+                    lastFailureAt: now,
+                    lockedUntil: { $ifNull: ['$lockedUntil', null] },
+                    expiresAt: new Date(now.getTime() + POLICY.windowMs + POLICY.lockoutMs),
+                    createdAt: { $ifNull: ['$createdAt', now] },
+                    updatedAt: now
+                }
+            }],
+            { upsert: true, new: true, lean: true }
+        );
+    },
+    async lock(key, until) {
+        await LoginAttempt.updateOne(
+            { key },
+            { $set: { lockedUntil: until, expiresAt: new Date(until.getTime() + POLICY.windowMs) } }
+        );
+    },
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key });
+    },
+    async list() {
+        const windowStart = new Date(Date.now() - POLICY.windowMs);
+        return LoginAttempt.find({
+            $or: [{ lockedUntil: { $gt: new Date() } }, { lastFailureAt: { $gt: windowStart } }]
+        }).sort({ lastFailureAt: -1 }).limit(500).lean();
+    }
+});
+
+const store = process.env.LOGIN_GUARD_STORE === 'memory' ? createMemoryStore() : createMongoStore();
+
+/**
+ * Monta as chaves de tentativa de um login.
+ * @param {'user'|'admin'|'admin-2fa'} scope - Tipo de login.
+ * @param {string} account - Identificador da conta (telefone, ou _id do admin no 2FA).
+ * @param {string} ip - IP da requisição.
+ * @returns {{account: string, ip: string}}
+ */
+const loginKeys = (scope, account, ip) => ({
+    account: `${scope}:account:${account}`,
+    ip: `${scope}:ip:${ip}`
+});
+
+/**
+ * Verifica se alguma das chaves está bloqueada ou ainda esperando o intervalo progressivo.
+ * @param {{account: string, ip: string}} keys
+ * @returns {Promise<{message: string, retryAfter: number}|null>} O motivo da recusa, ou null se pode tentar.
+ */
+const checkAttempt = async (keys) => {
+    const now = Date.now();
+    for (const key of Object.values(keys)) {
+        const record = await store.get(key);
+        if (!record) continue;
+
+        if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+            return {
+                message: 'Acesso temporariamente bloqueado por excesso de tentativas. Tente novamente mais tarde.',
+                retryAfter: Math.ceil((record.lockedUntil.getTime() - now) / 1000)
+            };
+        }
+
+        const inWindow = now - record.lastFailureAt.getTime() <= POLICY.windowMs;
+        if (inWindow && record.failures >= POLICY.freeAttempts) {
+            const delayMs = Math.min(1000 * 2 ** (record.failures - POLICY.freeAttempts), POLICY.maxDelayMs);
+            const waitMs = record.lastFailureAt.getTime() + delayMs - now;
+            if (waitMs > 0) {
+                return {
+                    message: `Muitas tentativas. Aguarde ${Math.ceil(waitMs / 1000)} segundos para tentar novamente.`,
+                    retryAfter: Math.ceil(waitMs / 1000)
+                };
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Registra uma tentativa falha em todas as chaves e bloqueia as que atingirem o limite.
+ * @param {{account: string, ip: string}} keys
+ */
+const recordFailure = async (keys) => {
+    const now = new Date();
+    for (const [type, key] of Object.entries(keys)) {
+        const record = await store.increment(key, now);
+        if (record.failures >= POLICY.maxFailures[type]) {
+            await store.lock(key, new Date(now.getTime() + POLICY.lockoutMs));
+        }
+    }
+};
+
+/**
+ * Zera a contagem da conta depois de um login bem-sucedido.
+ * @param {{account: string, ip: string}} keys
+ */
+const recordSuccess = async (keys) => {
+    await store.reset(keys.account);
+};
+
+/**
+ * Middleware para as rotas de login com telefone e senha. Recusa com 429 (e Retry-After)
+ * enquanto a conta ou o IP estiverem bloqueados, e expõe req.loginAttempt para o controller
+ * registrar o resultado: await req.loginAttempt.failed() / await req.loginAttempt.succeeded().
+ * Deve ser usado depois do validate.
+ * @param {'user'|'admin'} scope - Tipo de login.
+ */
+const guardLogin = (scope) => async (req, res, next) => {
+    const phoneNumber = req.body.phoneNumber;
+    const account = scope === 'user' ? normalizePhoneNumber(phoneNumber) || phoneNumber : phoneNumber;
+    const keys = loginKeys(scope, account, req.ip);
+
+    try {
+        const refusal = await checkAttempt(keys);
+        if (refusal) {
+            res.set('Retry-After', String(refusal.retryAfter));
+            return res.status(429).json(refusal);
+        }
+
+        req.loginAttempt = {
+            failed: () => recordFailure(keys),
+            succeeded: () => recordSuccess(keys)
+        };
+        next();
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao verificar tentativas de login.', error: error.message });
+    }
+};
+
+/**
+ * Lista as chaves com falhas recentes ou bloqueadas.
+ * @returns {Promise<Array<{key: string, failures: number, lastFailureAt: Date, lockedUntil: Date|null, locked: boolean}>>}
+ */
+const listAttempts = async () => {
+    const now = Date.now();
+    const records = await store.list();
+    return records.map(({ key, failures, lastFailureAt, lockedUntil }) => ({
+        key,
+        failures,
+        lastFailureAt,
+        lockedUntil,
+        locked: Boolean(lockedUntil && lockedUntil.getTime() > now)
+    }));
+};
+
+/**
+ * Remove o registro de uma chave (libera o bloqueio e zera a contagem).
+ * @param {string} key - A chave, como retornada por listAttempts.
+ * @returns {Promise<object|null>} O registro removido, ou null se não existia.
+ */
+const clearAttempts = async (key) => {
+    const record = await store.get(key);
+    if (record) await store.reset(key);
+    return record;
+};
+
+module.exports = {
+    loginKeys,
+    checkAttempt,
+    recordFailure,
+    recordSuccess,
+    guardLogin,
+    listAttempts,
+    clearAttempts
+};
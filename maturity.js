@@ -0,0 +1,85 @@
+const { User, PlanMaturity, Settings } = require('./models');
+const { runInTransaction } = require('./utils');
+const { collectAccruedEarnings } = require('./earnings');
+
+/**
+ * Retorna o início do dia de hoje (00:00 no fuso do servidor).
+ * Um plano vence quando o dia da sua endDate já terminou.
+ * @returns {Date}
+ */
+const startOfToday = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+};
+
+/**
+ * Verifica se um plano ativo do usuário já passou da data de término.
+ * @param {object} activePlan - Item de user.activePlans.
+ * @param {Date} [today] - Início do dia de referência.
+ * @returns {boolean}
+ */
+const isPastEndDate = (activePlan, today = startOfToday()) => today > activePlan.endDate;
+
+/**
+ * Marca um plano ativo como encerrado e registra o evento de vencimento.
+ * No modo de coleta 'accrual', os dias ainda não coletados são creditados antes do encerramento.
+ * A escrita é condicional: se o plano já foi encerrado por outra requisição
+ * (ou outra instância do agendador), nada é feito e retorna null.
+ * @param {string} userId - O _id do usuário.
+ * @param {string} activePlanId - O _id do item em user.activePlans.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ * @returns {Promise<object|null>} O PlanMaturity criado, ou null se o plano já estava encerrado.
+ */
+const maturePlan = async (userId, activePlanId, session) => {
+    const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session);
+    if (settings && settings.collectionMode === 'accrual') {
+        await collectAccruedEarnings(userId, activePlanId, session);
+    }
+
+    const user = await User.findOneAndUpdate(
+        { _id: userId, activePlans: { $elemMatch: { _id: activePlanId, isActive: true } } },
+        { $set: { 'activePlans.$.isActive': false }, $inc: { __v: 1 } },
+        { new: true, session }
+    );
+    if (!user) return null;
+
+    const activePlan = user.activePlans.id(activePlanId);
+    const [maturity] = await PlanMaturity.create([{
+        user: user._id,
+        activePlanId: activePlan._id,
+        plan: activePlan.planId,
+        investedAmount: activePlan.investedAmount,
+        totalEarned: activePlan.totalEarned,
+        startDate: activePlan.startDate,
+        endDate: activePlan.endDate
+    }], { session });
+
+    return maturity;
+};
+
+/**
+ * Encerra todos os planos ativos cuja data de término já passou.
+ * Cada plano é encerrado na sua própria transação.
+ * @returns {Promise<{checkedUsers: number, maturedPlans: number}>} Resumo da execução.
+ */
+const expireMaturedPlans = async () => {
+    const today = startOfToday();
+    const users = await User.find({
+        activePlans: { $elemMatch: { isActive: true, endDate: { $lt: today } } }
+    }).select('activePlans');
+
+    let maturedPlans = 0;
+    for (const user of users) {
+        for (const activePlan of user.activePlans) {
+            if (!activePlan.isActive || !isPastEndDate(activePlan, today)) continue;
+
+            const maturity = await runInTransaction((session) => maturePlan(user._id, activePlan._id, session));
+            if (maturity) maturedPlans += 1;
+        }
+    }
+
+    return { checkedUsers: users.length, maturedPlans };
+};
+
+module.exports = { startOfToday, isPastEndDate, maturePlan, expireMaturedPlans };
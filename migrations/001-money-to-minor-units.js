@@ -0,0 +1,141 @@
+// =================
+// MIGRAÇÃO: VALORES EM MT (PONTO FLUTUANTE) -> CENTAVOS (INTEIROS)
+// =================
+// Converte todos os valores monetários já gravados para inteiros em centavos (ver money.js)
+// e registra a moeda explícita nas carteiras, transações e lançamentos do livro-razão.
+// Tudo roda em uma única transação e a migração fica registrada na coleção "migrations",
+// então executá-la de novo não converte os valores duas vezes.
+//
+// Uso: npm run migrate:money   (com o servidor parado)
+//
+// Não são convertidos: os registros de auditoria (before/after ficam como foram gravados)
+// e as respostas guardadas das chaves de idempotência (expiram sozinhas).
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { User, Plan, Transaction, LedgerEntry, PlanMaturity, ApprovalRequest, Settings } = require('../models');
+const { runInTransaction } = require('../utils');
+const { CURRENCY } = require('../money');
+
+const MIGRATION_ID = '001-money-to-minor-units';
+
+/**
+ * Expressão de agregação que converte um campo em MT para centavos.
+ * Campos ausentes ou que não são números são mantidos como estão.
+ * @param {string} field - Caminho do campo (ex: '$amount' ou '$$plan.dailyProfit').
+ */
+const toMinorExpr = (field) => ({
+    $cond: [{ $isNumber: field }, { $toInt: { $round: [{ $multiply: [field, 100] }, 0] } }, field]
+});
+
+const migrate = async (session) => {
+    const migrations = mongoose.connection.collection('migrations');
+    if (await migrations.findOne({ _id: MIGRATION_ID }, { session })) {
+        return null;
+    }
+
+    const options = { session };
+    const result = {};
+
+    result.users = (await User.collection.updateMany({}, [{
+        $set: {
+            walletBalance: toMinorExpr('$walletBalance'),
+            currency: CURRENCY,
+            activePlans: {
+                $map: {
+                    input: { $ifNull: ['$activePlans', []] },
+                    as: 'plan',
+                    in: {
+                        $mergeObjects: ['$$plan', {
+                            investedAmount: toMinorExpr('$$plan.investedAmount'),
+                            dailyProfit: toMinorExpr('$$plan.dailyProfit'),
+                            totalEarned: toMinorExpr('$$plan.totalEarned')
+                        }]
+                    }
+                }
+            }
+        }
+    }], options)).modifiedCount;
+
+    result.plans = (await Plan.collection.updateMany({}, [{
+        $set: {
+            minAmount: toMinorExpr('$minAmount'),
+            maxAmount: toMinorExpr('$maxAmount'),
+            // Só o rendimento fixo é dinheiro; o percentual continua sendo uma porcentagem
+            dailyIncomeValue: {
+                $cond: [{ $eq: ['$dailyIncomeType', 'fixed'] }, toMinorExpr('$dailyIncomeValue'), '$dailyIncomeValue']
+            }
+        }
+    }], options)).modifiedCount;
+
+    result.transactions = (await Transaction.collection.updateMany({}, [{
+        $set: { amount: toMinorExpr('$amount'), currency: CURRENCY }
+    }], options)).modifiedCount;
+
+    result.ledgerEntries = (await LedgerEntry.collection.updateMany({}, [{
+        $set: {
+            currency: CURRENCY,
+            lines: {
+                $map: {
+                    input: '$lines',
+                    as: 'line',
+                    in: {
+                        $mergeObjects: ['$$line', {
+                            debit: toMinorExpr('$$line.debit'),
+                            credit: toMinorExpr('$$line.credit')
+                        }]
+                    }
+                }
+            }
+        }
+    }], options)).modifiedCount;
+
+    result.planMaturities = (await PlanMaturity.collection.updateMany({}, [{
+        $set: { investedAmount: toMinorExpr('$investedAmount'), totalEarned: toMinorExpr('$totalEarned') }
+    }], options)).modifiedCount;
+
+    result.approvalRequests = (await ApprovalRequest.collection.updateMany({}, [{
+        $set: {
+            amount: toMinorExpr('$amount'),
+            // Ajustes de saldo pendentes guardam o valor com sinal no payload
+            payload: {
+                $cond: [
+                    { $isNumber: '$payload.amount' },
+                    { $mergeObjects: ['$payload', { amount: toMinorExpr('$payload.amount') }] },
+                    '$payload'
+                ]
+            }
+        }
+    }], options)).modifiedCount;
+
+    result.settings = (await Settings.collection.updateMany({}, [{
+        $set: {
+            welcomeBonus: toMinorExpr('$welcomeBonus'),
+            dualApprovalThreshold: toMinorExpr('$dualApprovalThreshold')
+        }
+    }], options)).modifiedCount;
+
+    await migrations.insertOne({ _id: MIGRATION_ID, appliedAt: new Date(), result }, { session });
+    return result;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const result = await runInTransaction(migrate);
+        if (result) {
+            console.log('Valores monetários convertidos para centavos:', result);
+        } else {
+            console.log(`A migração ${MIGRATION_ID} já foi aplicada. Nada a fazer.`);
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('Erro ao executar a migração:', error);
+    process.exit(1);
+});
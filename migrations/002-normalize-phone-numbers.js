@@ -0,0 +1,52 @@
+// =================
+// MIGRAÇÃO: NÚMEROS DE TELEFONE DOS USUÁRIOS PARA E.164
+// =================
+// Converte os números já cadastrados para o formato E.164 (ver phone.js), que é como
+// o cadastro, o login e os códigos OTP passam a procurá-los.
+// Números que não são celulares moçambicanos válidos, ou que colidiriam com outro
+// usuário depois de normalizados, são mantidos e listados para revisão manual.
+// Pode ser executada mais de uma vez: números já normalizados são ignorados.
+//
+// Uso: npm run migrate:phones   (com o servidor parado)
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { User } = require('../models');
+const { normalizePhoneNumber } = require('../phone');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const result = { normalized: 0, invalid: [], conflicts: [] };
+        const users = User.find({ phoneNumber: { $not: /^\+258/ } }).select('userId phoneNumber').lean().cursor();
+
+        for await (const user of users) {
+            const normalized = normalizePhoneNumber(user.phoneNumber);
+            if (!normalized) {
+                result.invalid.push({ userId: user.userId, phoneNumber: user.phoneNumber });
+                continue;
+            }
+
+            if (await User.exists({ phoneNumber: normalized })) {
+                result.conflicts.push({ userId: user.userId, phoneNumber: user.phoneNumber, normalized });
+                continue;
+            }
+
+            await User.updateOne({ _id: user._id }, { $set: { phoneNumber: normalized } });
+            result.normalized += 1;
+        }
+
+        console.log(`${result.normalized} número(s) normalizado(s).`);
+        if (result.invalid.length > 0) console.log('Números inválidos (mantidos):', result.invalid);
+        if (result.conflicts.length > 0) console.log('Números em conflito (mantidos):', result.conflicts);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('Erro ao executar a migração:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+// =================
+// MIGRAÇÃO: SAQUES PARA O NOVO FLUXO DE STATUS
+// =================
+// Saques pagos antes do fluxo de withdrawals.js ficaram como 'completed': passam a 'paid'.
+// Saques sem payoutDestination ganham o destino lido do texto de details
+// ("Saque para: NOME - TELEFONE"), com o método pela operadora do número, para que os
+// pendentes possam entrar em lotes de pagamento.
+// Tudo roda em uma única transação e a migração fica registrada na coleção "migrations".
+// Saques cujo details não puder ser lido são mantidos e listados para revisão manual.
+//
+// Uso: npm run migrate:withdrawals   (com o servidor parado)
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { Transaction } = require('../models');
+const { runInTransaction } = require('../utils');
+const { normalizePhoneNumber } = require('../phone');
+const { providerForPhone } = require('../paymentProviders');
+
+const MIGRATION_ID = '003-withdrawal-states';
+const DETAILS_PATTERN = /^Saque para: (.+) - ([^-]+)$/;
+
+const migrate = async (session) => {
+    const migrations = mongoose.connection.collection('migrations');
+    if (await migrations.findOne({ _id: MIGRATION_ID }, { session })) {
+        return null;
+    }
+
+    const options = { session };
+    const result = { paid: 0, destinations: 0, unreadable: [] };
+
+    result.paid = (await Transaction.collection.updateMany(
+        { type: 'withdrawal', status: 'completed' },
+        { $set: { status: 'paid' } },
+        options
+    )).modifiedCount;
+
+    const withoutDestination = Transaction.collection.find(
+        { type: 'withdrawal', 'payoutDestination.phoneNumber': { $exists: false } },
+        { projection: { details: 1 }, session }
+    );
+    for await (const transaction of withoutDestination) {
+        const match = DETAILS_PATTERN.exec(transaction.details || '');
+        const phoneNumber = match && normalizePhoneNumber(match[2].trim());
+        if (!phoneNumber) {
+            result.unreadable.push({ _id: transaction._id, details: transaction.details });
+            continue;
+        }
+
+        const accountHolderName = match[1].trim();
+        await Transaction.collection.updateOne(
+            { _id: transaction._id },
+            { $set: { payoutDestination: { method: providerForPhone(phoneNumber), accountHolderName, phoneNumber } } },
+            options
+        );
+        result.destinations += 1;
+    }
+
+    await migrations.insertOne({ _id: MIGRATION_ID, appliedAt: new Date(), result }, { session });
+    return result;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const result = await runInTransaction(migrate);
+        if (!result) {
+            console.log(`A migração ${MIGRATION_ID} já foi aplicada. Nada a fazer.`);
+            return;
+        }
+
+        console.log(`${result.paid} saque(s) concluído(s) marcado(s) como pagos.`);
+        console.log(`${result.destinations} destino(s) de saque preenchido(s).`);
+        if (result.unreadable.length > 0) console.log('Saques sem destino legível (mantidos):', result.unreadable);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('Erro ao executar a migração:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+// =================
+// MIGRAÇÃO: DESTINO DE SAQUE SALVO -> CONTAS DE SAQUE
+// =================
+// O destino único em User.withdrawalDestination vira a primeira conta de payoutAccounts
+// (ver payoutAccounts.js). Ele já tinha sido confirmado por OTP, então a conta fica
+// disponível para saques na hora, sem período de espera.
+// Tudo roda em uma única transação e a migração fica registrada na coleção "migrations".
+//
+// Uso: npm run migrate:payout-accounts   (com o servidor parado)
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { User } = require('../models');
+const { runInTransaction } = require('../utils');
+const { providerForPhone } = require('../paymentProviders');
+
+const MIGRATION_ID = '004-payout-accounts';
+
+const migrate = async (session) => {
+    const migrations = mongoose.connection.collection('migrations');
+    if (await migrations.findOne({ _id: MIGRATION_ID }, { session })) {
+        return null;
+    }
+
+    const result = { converted: 0, unreadable: [] };
+    const users = User.collection.find(
+        { withdrawalDestination: { $exists: true } },
+        { projection: { userId: 1, withdrawalDestination: 1 }, session }
+    );
+
+    for await (const user of users) {
+        const destination = user.withdrawalDestination || {};
+        const method = destination.method || providerForPhone(destination.phoneNumber || '');
+        const update = { $unset: { withdrawalDestination: 1 } };
+
+        if (destination.accountHolderName && destination.phoneNumber && method) {
+            const confirmedAt = destination.updatedAt || new Date();
+            update.$push = {
+                payoutAccounts: {
+                    _id: new mongoose.Types.ObjectId(),
+                    method,
+                    accountHolderName: destination.accountHolderName,
+                    phoneNumber: destination.phoneNumber,
+                    availableAt: confirmedAt,
+                    lockedAt: null,
+                    lockedBy: null,
+                    lockReason: null,
+                    createdAt: confirmedAt,
+                    updatedAt: confirmedAt
+                }
+            };
+            result.converted += 1;
+        } else {
+            result.unreadable.push({ userId: user.userId, withdrawalDestination: destination });
+        }
+
+        await User.collection.updateOne({ _id: user._id }, update, { session });
+    }
+
+    await migrations.insertOne({ _id: MIGRATION_ID, appliedAt: new Date(), result }, { session });
+    return result;
+};
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    try {
+        const result = await runInTransaction(migrate);
+        if (!result) {
+            console.log(`A migração ${MIGRATION_ID} já foi aplicada. Nada a fazer.`);
+            return;
+        }
+
+        console.log(`${result.converted} destino(s) de saque convertido(s) em conta de saque.`);
+        if (result.unreadable.length > 0) console.log('Destinos incompletos (removidos, o usuário cadastra de novo):', result.unreadable);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+run().catch((error) => {
+    console.error('Erro ao executar a migração:', error);
+    process.exit(1);
+});
@@ -1,33 +1,77 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('./permissions');
+const { CURRENCY, minorUnits, moneyTransform } = require('./money');
+
+// Provedores de pagamento móvel integrados (ver paymentProviders.js); também são os métodos de saque
+const PAYMENT_PROVIDERS = ['mpesa', 'emola'];
 
 // ==================
 // ESQUEMA DO USUÁRIO
 // ==================
+// Conta cadastrada pelo usuário para receber saques (ver payoutAccounts.js).
+// Cadastrar ou alterar exige OTP e só libera saques depois do período de espera (availableAt).
+const PayoutAccountSchema = new mongoose.Schema({
+    method: { type: String, enum: PAYMENT_PROVIDERS, required: true },
+    accountHolderName: { type: String, required: true },
+    phoneNumber: { type: String, required: true }, // E.164
+    availableAt: { type: Date, required: true }, // Fim do período de espera
+    // Bloqueio feito pelo suporte (ex: suspeita de fraude); conta bloqueada não recebe saques nem pode ser alterada
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    lockReason: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now } // Última alteração feita pelo usuário
+});
+
 const UserSchema = new mongoose.Schema({
   userId: { type: String, required: true, unique: true, index: true }, // ID único de 5 dígitos
-  phoneNumber: { type: String, required: true, unique: true },
+  phoneNumber: { type: String, required: true, unique: true }, // E.164 (ver phone.js)
+  phoneVerifiedAt: { type: Date, default: null }, // Preenchido quando o número é confirmado por OTP
   password: { type: String, required: true },
   profilePicture: { 
     type: String, 
     default: 'https://res.cloudinary.com/dje6f5k5u/image/upload/v1625247913/default_user_icon.png' // URL de um ícone de usuário padrão
   },
-  walletBalance: { type: Number, default: 0 }, // Saldo real (depósitos + lucros coletados + saldo de boas-vindas)
+  // Saldo real (depósitos + lucros coletados + saldo de boas-vindas).
+  // É uma projeção do livro-razão: só deve ser alterado através de ledger.postEntry.
+  // Todos os valores em dinheiro são inteiros em centavos (ver money.js).
+  walletBalance: minorUnits({ default: 0 }),
+  currency: { type: String, default: CURRENCY },
   // O campo bonusBalance foi REMOVIDO daqui.
   invitedBy: { type: String, default: null }, // Armazena o userId de quem convidou
   activePlans: [{
     planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
-    investedAmount: Number,
-    dailyProfit: Number,
+    investedAmount: minorUnits(),
+    dailyProfit: minorUnits(),
     startDate: { type: Date, default: Date.now },
     endDate: Date,
     lastCollectionDate: Date,
-    totalEarned: { type: Number, default: 0 },
+    collectedDays: Number, // Dias de rendimento já creditados (sem default: planos antigos são estimados pelo totalEarned)
+    totalEarned: minorUnits({ default: 0 }),
     isActive: { type: Boolean, default: true }
   }],
   hasDeposited: { type: Boolean, default: false }, // Flag para permitir saques
+  payoutAccounts: [PayoutAccountSchema], // Contas que recebem os saques
   isBlocked: { type: Boolean, default: false },
-}, { timestamps: true });
+  // Incrementado para invalidar todos os tokens de acesso já emitidos (logout geral, bloqueio, troca de credenciais)
+  tokenVersion: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+  // Cada save() confere a versão do documento: se outra requisição alterou o usuário
+  // no meio do caminho (ex: duas ativações simultâneas), o save falha com VersionError.
+  optimisticConcurrency: true
+});
+
+UserSchema.set('toJSON', {
+  transform: moneyTransform(['walletBalance', 'activePlans.investedAmount', 'activePlans.dailyProfit', 'activePlans.totalEarned'])
+});
+
+// Lista de usuários do painel (ver pagination.js): o _id desempata a ordenação
+UserSchema.index({ createdAt: -1, _id: -1 });
+UserSchema.index({ walletBalance: -1, _id: -1 });
+UserSchema.index({ isBlocked: 1, createdAt: -1, _id: -1 });
+UserSchema.index({ invitedBy: 1, createdAt: -1, _id: -1 });
 
 // Middleware para criptografar a senha antes de salvar
 UserSchema.pre('save', async function(next) {
@@ -44,33 +88,246 @@ UserSchema.pre('save', async function(next) {
 // =================
 const PlanSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  minAmount: { type: Number, required: true },
-  maxAmount: { type: Number, required: true },
+  minAmount: minorUnits({ required: true }),
+  maxAmount: minorUnits({ required: true }),
   dailyIncomeType: { type: String, enum: ['percentage', 'fixed'], required: true },
+  // 'percentage': porcentagem do valor investido (ex: 2.5); 'fixed': valor em centavos
   dailyIncomeValue: { type: Number, required: true },
   duration: { type: Number, required: true }, // Duração em dias
   imageUrl: { type: String, required: true },
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+PlanSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const paths = ret.dailyIncomeType === 'fixed' ? ['minAmount', 'maxAmount', 'dailyIncomeValue'] : ['minAmount', 'maxAmount'];
+    return moneyTransform(paths)(doc, ret);
+  }
+});
+
 // =================
 // ESQUEMA DE TRANSAÇÕES
 // =================
+// Motivos aceitos para ajustes manuais de saldo feitos por administradores
+const ADJUSTMENT_REASON_CODES = ['correction', 'refund', 'promotion', 'chargeback', 'fraud', 'other'];
+
+// Cobrança ou pagamento feito por um provedor de pagamento móvel
+const PaymentSchema = new mongoose.Schema({
+    provider: { type: String, enum: PAYMENT_PROVIDERS, required: true },
+    phoneNumber: { type: String, required: true }, // Celular cobrado (depósito) ou pago (saque), em E.164
+    reference: { type: String, required: true }, // Nossa referência, enviada ao provedor e devolvida na notificação
+    providerReference: { type: String, default: null }, // ID da transação no provedor
+    // queued: ainda não aceito pelo provedor; sent: aceito, aguardando o resultado
+    status: { type: String, enum: ['queued', 'sent', 'completed', 'failed'], default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    lastCheckedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Depósito anterior que usou o mesmo comprovante (ou um visualmente quase igual), ver proofs.js
+const ProofReuseSchema = new mongoose.Schema({
+    match: { type: String, enum: ['exact', 'similar'], required: true },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    distance: { type: Number, default: 0 } // Bits diferentes entre os hashes perceptuais (0 na cópia exata)
+}, { _id: false });
+
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'investment', 'earning', 'bonus', 'commission', 'adjustment', 'fee'];
+const TRANSACTION_STATUSES = ['pending', 'under_review', 'processing', 'completed', 'paid', 'failed', 'reversed', 'rejected'];
+
 const TransactionSchema = new mongoose.Schema({
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    type: { type: String, enum: ['deposit', 'withdrawal', 'investment', 'earning', 'bonus', 'commission'], required: true },
-    amount: { type: Number, required: true },
-    status: { type: String, enum: ['pending', 'completed', 'rejected'], default: 'pending' },
+    type: { type: String, enum: TRANSACTION_TYPES, required: true },
+    amount: minorUnits({ required: true }), // Em centavos. Nos ajustes ('adjustment') o valor tem sinal: negativo debita a carteira
+    currency: { type: String, default: CURRENCY },
+    // Depósitos: pending -> completed | rejected, ou processing (provedor de pagamento) -> completed | rejected.
+    // Saques seguem WITHDRAWAL_TRANSITIONS (ver withdrawals.js). Taxas: completed, ou reversed
+    // quando o saque cobrado é rejeitado ou estornado.
+    status: { type: String, enum: TRANSACTION_STATUSES, default: 'pending' },
+    statusReason: { type: String }, // Motivo informado pelo admin (ex: por que o saque falhou ou foi rejeitado)
     proofScreenshot: { type: String }, // Para comprovantes de depósito
-    details: { type: String } // Ex: "Lucro diário do Plano VIP"
+    depositReference: { type: String, uppercase: true, trim: true }, // Código da transação M-Pesa/e-Mola informado no depósito
+    // Impressão digital do comprovante; fica fora das respostas e é lida só na detecção de reuso
+    proof: {
+        sha256: { type: String, select: false },
+        perceptualHash: { type: String, select: false },
+        perceptualBands: { type: [String], default: undefined, select: false }
+    },
+    proofReuse: { type: [ProofReuseSchema], default: undefined, select: false }, // Preenchido quando o comprovante já foi usado
+    fee: minorUnits(), // Apenas saques: taxa cobrada à parte, na transação 'fee' ligada a ele
+    relatedTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // Apenas taxas: o saque cobrado
+    payoutDestination: { // Conta que recebe o saque (cópia da conta cadastrada no momento do pedido)
+        payoutAccount: { type: mongoose.Schema.Types.ObjectId },
+        method: { type: String, enum: PAYMENT_PROVIDERS },
+        accountHolderName: { type: String },
+        phoneNumber: { type: String } // E.164
+    },
+    payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch', default: null }, // Lote de pagamento em que o saque foi exportado
+    payment: { type: PaymentSchema, default: undefined }, // Apenas depósitos e saques pelo provedor
+    details: { type: String }, // Ex: "Lucro diário do Plano VIP"
+    reasonCode: { type: String, enum: ADJUSTMENT_REASON_CODES }, // Apenas para ajustes
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' } // Admin que fez o ajuste
 }, { timestamps: true });
 
+TransactionSchema.set('toJSON', { transform: moneyTransform(['amount', 'fee']) });
+
+// Um código de transação M-Pesa/e-Mola só pode comprovar um depósito
+TransactionSchema.index(
+    { depositReference: 1 },
+    { unique: true, partialFilterExpression: { depositReference: { $type: 'string' } } }
+);
+TransactionSchema.index({ 'proof.sha256': 1 });
+TransactionSchema.index({ 'proof.perceptualBands': 1 });
+TransactionSchema.index(
+    { 'payment.reference': 1 },
+    { unique: true, partialFilterExpression: { 'payment.reference': { $type: 'string' } } }
+);
+TransactionSchema.index({ status: 1, 'payment.status': 1 });
+TransactionSchema.index({ type: 1, status: 1, 'payoutDestination.method': 1, createdAt: 1 });
+TransactionSchema.index({ user: 1, type: 1, createdAt: -1 }); // Limites diário e semanal de saque
+// Listas paginadas (ver pagination.js): o _id desempata a ordenação
+TransactionSchema.index({ status: 1, createdAt: -1, _id: -1 });
+TransactionSchema.index({ status: 1, amount: -1, _id: -1 });
+TransactionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+TransactionSchema.index({ user: 1, amount: -1, _id: -1 });
+TransactionSchema.index({ type: 1, status: 1, createdAt: 1, _id: 1 }); // Fila de saques (getWithdrawals)
+TransactionSchema.index({ relatedTransaction: 1 }, { sparse: true });
+
+// =================
+// ESQUEMA DOS LOTES DE PAGAMENTO DE SAQUES
+// =================
+// Saques aprovados exportados num arquivo para a ferramenta de pagamentos em massa do
+// provedor; o arquivo devolvido pelo provedor é importado para marcar cada item.
+const PayoutBatchItemSchema = new mongoose.Schema({
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+    reference: { type: String, required: true }, // Vai no arquivo e identifica a linha no retorno
+    phoneNumber: { type: String, required: true },
+    accountHolderName: { type: String },
+    amount: minorUnits({ required: true }), // Em centavos
+    result: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
+    providerReference: { type: String, default: null },
+    failureReason: { type: String, default: null },
+    settledAt: { type: Date, default: null }
+}, { _id: false });
+
+const PayoutBatchSchema = new mongoose.Schema({
+    method: { type: String, enum: PAYMENT_PROVIDERS, required: true },
+    // created: montado; exported: arquivo baixado; settled: todos os itens com resultado
+    status: { type: String, enum: ['created', 'exported', 'settled'], default: 'created' },
+    items: { type: [PayoutBatchItemSchema], required: true },
+    totalAmount: minorUnits({ default: 0 }), // Em centavos
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    exportedAt: { type: Date, default: null },
+    settledAt: { type: Date, default: null }
+}, { timestamps: true });
+
+PayoutBatchSchema.set('toJSON', { transform: moneyTransform(['totalAmount', 'items.amount']) });
+
+PayoutBatchSchema.index({ status: 1, createdAt: -1 });
+PayoutBatchSchema.index({ 'items.reference': 1 });
+
+// =================
+// ESQUEMA DO LIVRO-RAZÃO (PARTIDAS DOBRADAS)
+// =================
+const LedgerLineSchema = new mongoose.Schema({
+    account: { type: String, required: true }, // Ex: "user:<id>", "platform:cash"
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Preenchido apenas em contas de usuário
+    debit: minorUnits({ default: 0 }), // Em centavos
+    credit: minorUnits({ default: 0 })
+}, { _id: false });
+
+const LedgerEntrySchema = new mongoose.Schema({
+    kind: { type: String, required: true }, // Ex: 'deposit', 'earning', 'commission'
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    description: { type: String },
+    currency: { type: String, default: CURRENCY },
+    lines: { type: [LedgerLineSchema], required: true }
+}, { timestamps: true });
+
+LedgerEntrySchema.set('toJSON', { transform: moneyTransform(['lines.debit', 'lines.credit']) });
+
+LedgerEntrySchema.index({ 'lines.account': 1, createdAt: 1 });
+LedgerEntrySchema.index({ 'lines.user': 1, createdAt: 1 });
+
+// =================
+// ESQUEMA DAS CHAVES DE IDEMPOTÊNCIA
+// =================
+const IdempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true }, // Valor do cabeçalho Idempotency-Key
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    endpoint: { type: String, required: true }, // Ex: "POST /api/users/deposit"
+    requestHash: { type: String, required: true }, // Hash do corpo da requisição original
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // O MongoDB remove as chaves vencidas
+
+// =================
+// ESQUEMA DOS EVENTOS DE VENCIMENTO DE PLANOS
+// =================
+const PlanMaturitySchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    activePlanId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true }, // _id do item em user.activePlans
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+    investedAmount: minorUnits(),
+    totalEarned: minorUnits(),
+    startDate: { type: Date },
+    endDate: { type: Date },
+    maturedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+PlanMaturitySchema.set('toJSON', { transform: moneyTransform(['investedAmount', 'totalEarned']) });
+
+// =================
+// ESQUEMAS DO AGENDADOR DE TAREFAS
+// =================
+// Trava distribuída: garante que só uma instância do servidor execute cada tarefa por vez
+const JobLockSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    owner: { type: String, required: true }, // Identificador da instância que detém a trava
+    token: { type: String }, // Identifica a execução que detém a trava; só ela pode liberá-la
+    lockedUntil: { type: Date, required: true }
+}, { timestamps: true });
+
+const JobRunSchema = new mongoose.Schema({
+    job: { type: String, required: true },
+    owner: { type: String },
+    status: { type: String, enum: ['running', 'success', 'failed'], default: 'running' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String }
+});
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
 // =================
 // ESQUEMA DO ADMINISTRADOR
 // =================
 const AdminSchema = new mongoose.Schema({
     phoneNumber: { type: String, required: true, unique: true },
-    password: { type: String, required: true }
+    password: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'support' }, // Define as permissões (ver permissions.js)
+    isActive: { type: Boolean, default: true }, // Admins desativados não conseguem mais acessar o painel
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    // Incrementado para invalidar todos os tokens de acesso já emitidos (logout geral, desativação)
+    tokenVersion: { type: Number, default: 0 },
+    // Autenticação em dois fatores (ver twoFactor.js). Segredos e códigos de recuperação
+    // nunca são carregados por padrão: use select('+twoFactor.secret ...') quando precisar.
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: { type: Date, default: null },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // Segredo gerado no cadastro, ainda não confirmado
+        recoveryCodes: { type: [String], select: false }, // Hashes SHA-256 dos códigos ainda não usados
+        lastUsedStep: { type: Number, select: false } // Último passo TOTP aceito (impede reutilizar um código)
+    }
 }, { timestamps: true });
 
 // Middleware para criptografar a senha do admin antes de salvar
@@ -83,19 +340,149 @@ AdminSchema.pre('save', async function(next) {
     next();
 });
 
+// =================
+// ESQUEMA DOS CÓDIGOS DE VERIFICAÇÃO POR SMS (OTP)
+// =================
+const OTP_PURPOSES = ['signup', 'password_reset', 'withdrawal_destination'];
+
+const OtpCodeSchema = new mongoose.Schema({
+    phoneNumber: { type: String, required: true }, // E.164
+    purpose: { type: String, enum: OTP_PURPOSES, required: true },
+    codeHash: { type: String, required: true }, // O código em si só é enviado por SMS
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+    consumedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+OtpCodeSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+OtpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // O MongoDB remove os códigos vencidos
+
+// =================
+// ESQUEMA DAS TENTATIVAS DE LOGIN FALHAS (PROTEÇÃO CONTRA FORÇA BRUTA)
+// =================
+const LoginAttemptSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // Ex: "user:account:+258841234567", "admin:ip:10.0.0.1"
+    failures: { type: Number, default: 0 }, // Falhas seguidas dentro da janela
+    lastFailureAt: { type: Date },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+LoginAttemptSchema.index({ lockedUntil: -1 });
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Registros antigos são removidos sozinhos
+
+// =================
+// ESQUEMA DOS REFRESH TOKENS (SESSÕES)
+// =================
+const RefreshTokenSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 do token; o valor original só é enviado ao cliente
+    subjectType: { type: String, enum: ['User', 'Admin'], required: true },
+    subject: { type: mongoose.Schema.Types.ObjectId, refPath: 'subjectType', required: true },
+    family: { type: String, required: true }, // Mesmo valor para todos os tokens gerados por rotação a partir de um login
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }, // Ex: 'rotated', 'logout', 'logout_all', 'reuse', 'blocked'
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken', default: null },
+    ip: { type: String },
+    userAgent: { type: String }
+}, { timestamps: true });
+
+RefreshTokenSchema.index({ subjectType: 1, subject: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // O MongoDB remove os tokens vencidos
+
+// =================
+// ESQUEMA DO REGISTRO DE AUDITORIA (AÇÕES DE ADMIN)
+// =================
+const AuditLogSchema = new mongoose.Schema({
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    action: { type: String, required: true }, // Ex: 'user.balance.update'
+    targetType: { type: String, required: true }, // Ex: 'User', 'Plan', 'Transaction'
+    targetId: { type: String, default: null },
+    before: { type: mongoose.Schema.Types.Mixed, default: null }, // Estado antes da alteração
+    after: { type: mongoose.Schema.Types.Mixed, default: null }, // Estado depois da alteração
+    ip: { type: String },
+    userAgent: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Lista paginada por cursor (ver pagination.js): o _id desempata a ordenação
+AuditLogSchema.index({ createdAt: -1, _id: -1 });
+AuditLogSchema.index({ admin: 1, createdAt: -1, _id: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1, _id: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1, _id: -1 });
+
+// =================
+// ESQUEMA DOS PEDIDOS DE APROVAÇÃO DUPLA (MAKER-CHECKER)
+// =================
+const ApprovalRequestSchema = new mongoose.Schema({
+    action: { type: String, enum: ['withdrawal_approval', 'balance_adjustment'], required: true },
+    targetType: { type: String, enum: ['Transaction', 'User'], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    amount: minorUnits({ required: true }), // Valor (em centavos) que motivou a aprovação dupla
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Dados para efetivar a ação (ex: { status }); valores em centavos
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String }
+}, { timestamps: true });
+
+ApprovalRequestSchema.set('toJSON', { transform: moneyTransform(['amount', 'payload.amount']) });
+
+ApprovalRequestSchema.index({ status: 1, createdAt: -1 });
+// Só pode haver um pedido pendente por alvo
+ApprovalRequestSchema.index(
+    { targetType: 1, targetId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
 // =================
 // ESQUEMA DE CONFIGURAÇÕES GLOBAIS
 // =================
 const SettingsSchema = new mongoose.Schema({
     settingId: { type: String, default: "global_settings", unique: true },
-    welcomeBonus: { type: Number, default: 50 }, // Renomeado para "welcomeBonus" para clareza
+    welcomeBonus: minorUnits({ default: 5000 }), // Em centavos (50 MT). Renomeado para "welcomeBonus" para clareza
     referralCommissionPercentage: { type: Number, default: 15 },
     dailyProfitSharePercentage: { type: Number, default: 5 },
     mpesaNumber: { type: String, default: "" },
     mpesaHolderName: { type: String, default: "" },
     emolaNumber: { type: String, default: "" },
     emolaHolderName: { type: String, default: "" },
-    luckWheelEnabled: { type: Boolean, default: false }
+    luckWheelEnabled: { type: Boolean, default: false },
+    // Saques e ajustes manuais de saldo acima deste valor (em centavos) exigem a confirmação
+    // de um segundo administrador. 0 desativa a aprovação dupla.
+    dualApprovalThreshold: minorUnits({ default: 1000000 }),
+    // Como os lucros dos planos são coletados:
+    // 'manual'  - o usuário coleta um dia de lucro por vez, uma vez por dia (dia do calendário do servidor)
+    // 'accrual' - cada coleta credita todos os dias completos (períodos de 24h desde a ativação)
+    //             ainda não coletados até a endDate; no vencimento o restante é creditado automaticamente
+    collectionMode: { type: String, enum: ['manual', 'accrual'], default: 'manual' },
+    // Papéis de admin que só acessam o painel com 2FA ativado. Por padrão, os que aprovam saques.
+    twoFactorRequiredRoles: { type: [{ type: String, enum: ROLES }], default: ['finance', 'superadmin'] },
+    // Limites de saque em centavos (ver withdrawals.js). 0 desativa o limite.
+    // Os limites diário e semanal somam os saques do usuário que não foram rejeitados nem estornados.
+    minWithdrawalAmount: minorUnits({ default: 0 }),
+    maxWithdrawalAmount: minorUnits({ default: 0 }),
+    dailyWithdrawalLimit: minorUnits({ default: 0 }),
+    weeklyWithdrawalLimit: minorUnits({ default: 0 }), // Semana de segunda a domingo
+    // Taxa de saque, cobrada além do valor sacado. 'percentage': porcentagem do saque; 'fixed': valor em centavos
+    withdrawalFeeType: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+    withdrawalFeeValue: { type: Number, min: 0, default: 0 },
+    // Quando saques podem ser pedidos, no horário do servidor: dias da semana (0 = domingo)
+    // e horas cheias de início (inclusive) e fim (exclusive)
+    withdrawalDays: { type: [{ type: Number, min: 0, max: 6 }], default: [0, 1, 2, 3, 4, 5, 6] },
+    withdrawalStartHour: { type: Number, min: 0, max: 23, default: 0 },
+    withdrawalEndHour: { type: Number, min: 1, max: 24, default: 24 },
+    // Horas de espera depois de cadastrar ou alterar uma conta de saque até ela poder receber saques
+    payoutAccountCooldownHours: { type: Number, min: 0, default: 24 }
+});
+
+const SETTINGS_MONEY_PATHS = ['welcomeBonus', 'dualApprovalThreshold', 'minWithdrawalAmount', 'maxWithdrawalAmount', 'dailyWithdrawalLimit', 'weeklyWithdrawalLimit'];
+SettingsSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        const paths = ret.withdrawalFeeType === 'fixed' ? [...SETTINGS_MONEY_PATHS, 'withdrawalFeeValue'] : SETTINGS_MONEY_PATHS;
+        return moneyTransform(paths)(doc, ret);
+    }
 });
 
 // =================
@@ -112,8 +499,19 @@ const BannerSchema = new mongoose.Schema({
 const User = mongoose.model('User', UserSchema);
 const Plan = mongoose.model('Plan', PlanSchema);
 const Transaction = mongoose.model('Transaction', TransactionSchema);
+const PayoutBatch = mongoose.model('PayoutBatch', PayoutBatchSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+const PlanMaturity = mongoose.model('PlanMaturity', PlanMaturitySchema);
+const JobLock = mongoose.model('JobLock', JobLockSchema);
+const JobRun = mongoose.model('JobRun', JobRunSchema);
 const Admin = mongoose.model('Admin', AdminSchema);
+const OtpCode = mongoose.model('OtpCode', OtpCodeSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const ApprovalRequest = mongoose.model('ApprovalRequest', ApprovalRequestSchema);
 const Settings = mongoose.model('Settings', SettingsSchema);
 const Banner = mongoose.model('Banner', BannerSchema);
 
-module.exports = { User, Plan, Transaction, Admin, Settings, Banner };
\ No newline at end of file
+module.exports = { ADJUSTMENT_REASON_CODES, OTP_PURPOSES, PAYMENT_PROVIDERS, TRANSACTION_TYPES, TRANSACTION_STATUSES, User, Plan, Transaction, PayoutBatch, LedgerEntry, IdempotencyKey, PlanMaturity, JobLock, JobRun, Admin, OtpCode, LoginAttempt, RefreshToken, AuditLog, ApprovalRequest, Settings, Banner };
\ No newline at end of file
@@ -0,0 +1,125 @@
+// =================
+// VALORES MONETÁRIOS EM UNIDADES MÍNIMAS (CENTAVOS)
+// =================
+// Todos os valores em dinheiro são armazenados como inteiros em centavos da moeda
+// (1 MT = 100 centavos), o que evita o acúmulo de erros de ponto flutuante.
+// A API recebe valores em MT (no máximo duas casas decimais, ver validators.js)
+// e responde com textos de duas casas decimais (ex: "150.00").
+//
+// Regras de arredondamento:
+// - Comissões (referência e participação nos lucros) são arredondadas para baixo:
+//   a plataforma nunca paga uma fração de centavo a mais.
+// - Rendimentos percentuais de planos (lucro diário) são arredondados para o centavo
+//   mais próximo, com metades arredondadas para cima.
+// - Taxas de saque percentuais também são arredondadas para o centavo mais próximo.
+
+const CURRENCY = 'MZN';
+const MINOR_UNITS_PER_MAJOR = 100;
+
+const ROUNDING = {
+    DOWN: 'down',
+    HALF_UP: 'half-up'
+};
+
+// Tolerância para ruído de ponto flutuante ao arredondar (ex: 12.4999999998)
+const EPSILON = 1e-9;
+
+/**
+ * Converte um valor em MT para centavos.
+ * @param {number} major - Valor em MT (no máximo duas casas decimais).
+ * @returns {number} Valor inteiro em centavos.
+ */
+const toMinor = (major) => Math.round(major * MINOR_UNITS_PER_MAJOR);
+
+/**
+ * Converte um valor em centavos para MT (apenas para cálculos de exibição).
+ * @param {number} minor - Valor inteiro em centavos.
+ * @returns {number}
+ */
+const toMajor = (minor) => minor / MINOR_UNITS_PER_MAJOR;
+
+/**
+ * Formata um valor em centavos como texto com duas casas decimais (ex: 15050 -> "150.50").
+ * Valores que não são números são devolvidos sem alteração.
+ * @param {number} minor - Valor inteiro em centavos.
+ * @returns {string}
+ */
+const format = (minor) => {
+    if (typeof minor !== 'number') return minor;
+    const sign = minor < 0 ? '-' : '';
+    const absolute = Math.abs(Math.round(minor));
+    const units = Math.floor(absolute / MINOR_UNITS_PER_MAJOR);
+    const cents = String(absolute % MINOR_UNITS_PER_MAJOR).padStart(2, '0');
+    return `${sign}${units}.${cents}`;
+};
+
+/**
+ * Calcula uma porcentagem de um valor em centavos, arredondando para um inteiro.
+ * @param {number} minor - Valor base em centavos.
+ * @param {number} percentage - Porcentagem (ex: 15 para 15%).
+ * @param {string} rounding - ROUNDING.DOWN ou ROUNDING.HALF_UP.
+ * @returns {number} Resultado inteiro em centavos.
+ */
+const percentOf = (minor, percentage, rounding) => {
+    const raw = (minor * percentage) / 100;
+    if (rounding === ROUNDING.DOWN) return Math.floor(raw + EPSILON);
+    if (rounding === ROUNDING.HALF_UP) return Math.floor(raw + 0.5 + EPSILON);
+    throw new Error(`Regra de arredondamento desconhecida: ${rounding}`);
+};
+
+/**
+ * Definição de campo do Mongoose para valores em centavos.
+ * @param {object} [options] - Opções adicionais do campo (default, required...).
+ * @returns {object}
+ */
+const minorUnits = (options = {}) => ({
+    type: Number,
+    validate: {
+        validator: (value) => value === null || value === undefined || Number.isInteger(value),
+        message: '{PATH} deve ser um valor inteiro em centavos.'
+    },
+    ...options
+});
+
+/**
+ * Formata, em um objeto simples, os campos monetários indicados.
+ * Um caminho com ponto percorre arrays (ex: 'activePlans.dailyProfit').
+ * @param {object} target - Objeto a alterar.
+ * @param {string[]} paths - Caminhos dos campos em centavos.
+ */
+const formatPaths = (target, paths) => {
+    for (const path of paths) {
+        const [head, ...rest] = path.split('.');
+        if (!target || target[head] === undefined || target[head] === null) continue;
+
+        if (rest.length === 0) {
+            target[head] = format(target[head]);
+        } else if (Array.isArray(target[head])) {
+            target[head].forEach((item) => formatPaths(item, [rest.join('.')]));
+        } else {
+            formatPaths(target[head], [rest.join('.')]);
+        }
+    }
+};
+
+/**
+ * Cria uma função transform de toJSON que exibe os campos em centavos como texto de
+ * duas casas decimais. Use com schema.set('toJSON', { transform: moneyTransform([...]) }).
+ * @param {string[]} paths - Caminhos dos campos em centavos.
+ */
+const moneyTransform = (paths) => (doc, ret) => {
+    formatPaths(ret, paths);
+    return ret;
+};
+
+module.exports = {
+    CURRENCY,
+    ROUNDING,
+    toMinor,
+    toMajor,
+    format,
+    percentOf,
+    minorUnits,
+    formatPaths,
+    moneyTransform
+};
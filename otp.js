@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { OtpCode } = require('./models');
+const { HttpError } = require('./utils');
+const { sendSms } = require('./sms');
+
+// =================
+// CÓDIGOS DE VERIFICAÇÃO POR SMS (OTP)
+// =================
+// Códigos de 6 dígitos, de uso único, atrelados a um número e a uma finalidade
+// (ver OTP_PURPOSES em models.js). Só o hash do código é guardado.
+
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+
+const hashCode = (phoneNumber, purpose, code) => crypto
+    .createHash('sha256')
+    .update(`${phoneNumber}:${purpose}:${code}`)
+    .digest('hex');
+
+/**
+ * Gera um novo código para o número e a finalidade e o envia por SMS.
+ * Códigos anteriores ainda não usados para a mesma finalidade deixam de valer.
+ * @param {string} phoneNumber - Número em E.164.
+ * @param {string} purpose - Um dos OTP_PURPOSES.
+ * @throws {HttpError} 429 se um código foi enviado há menos de OTP_RESEND_SECONDS.
+ */
+const requestOtp = async (phoneNumber, purpose) => {
+    const latest = await OtpCode.findOne({ phoneNumber, purpose }).sort({ createdAt: -1 });
+    if (latest) {
+        const waitSeconds = Math.ceil((latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+        if (waitSeconds > 0) {
+            throw new HttpError(429, `Aguarde ${waitSeconds} segundos para pedir um novo código.`);
+        }
+    }
+
+    await OtpCode.updateMany(
+        { phoneNumber, purpose, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+    );
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await OtpCode.create({
+        phoneNumber,
+        purpose,
+        codeHash: hashCode(phoneNumber, purpose, code),
+        expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+    });
+
+    await sendSms(phoneNumber, `Indodax: o seu código de verificação é ${code}. Válido por ${OTP_TTL_MINUTES} minutos. Não o partilhe com ninguém.`);
+};
+
+/**
+ * Confere e consome o código mais recente do número para a finalidade.
+ * Deve ser chamado fora de transações: as tentativas erradas precisam ficar registradas.
+ * @param {string} phoneNumber - Número em E.164.
+ * @param {string} purpose - Um dos OTP_PURPOSES.
+ * @param {string} code - Código digitado pelo usuário.
+ * @throws {HttpError} 400 se o código for inválido ou expirado; 429 após OTP_MAX_ATTEMPTS tentativas erradas.
+ */
+const verifyOtp = async (phoneNumber, purpose, code) => {
+    const otp = await OtpCode.findOne({
+        phoneNumber,
+        purpose,
+        consumedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!otp) throw new HttpError(400, 'Código de verificação inválido ou expirado.');
+    if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        throw new HttpError(429, 'Muitas tentativas erradas. Peça um novo código.');
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const received = Buffer.from(hashCode(phoneNumber, purpose, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+        await OtpCode.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+        throw new HttpError(400, 'Código de verificação inválido ou expirado.');
+    }
+
+    // O consumo é condicional: o mesmo código não pode ser usado por duas requisições simultâneas
+    const consumed = await OtpCode.updateOne(
+        { _id: otp._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+    );
+    if (consumed.modifiedCount === 0) {
+        throw new HttpError(400, 'Código de verificação inválido ou expirado.');
+    }
+};
+
+module.exports = { requestOtp, verifyOtp };
@@ -0,0 +1,135 @@
+const { HttpError } = require('./utils');
+
+// =================
+// PAGINAÇÃO POR CURSOR
+// =================
+// As listas que crescem sem limite (usuários, transações, saques, auditoria) são paginadas por cursor: cada
+// página traz nextCursor, que guarda o valor do campo de ordenação e o _id do último item,
+// e a página seguinte continua a partir dele. Ao contrário de skip, o custo não cresce com
+// o número da página e nada é pulado ou repetido quando novos registros chegam no meio.
+// O _id desempata itens com o mesmo valor. Os campos de ordenação nunca devem ser nulos.
+//
+// Resposta das listas: { <itens>, nextCursor } (nextCursor null na última página).
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Interpreta a ordenação pedida ('createdAt' crescente, '-createdAt' decrescente).
+ * @param {string} sort
+ * @returns {{field: string, direction: 1|-1}}
+ */
+const parseSort = (sort) => (sort.startsWith('-')
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 });
+
+/**
+ * @param {string} sort - A ordenação da página (o cursor só vale para ela).
+ * @param {*} value - Valor do campo de ordenação no último item.
+ * @param {object} id - _id do último item.
+ * @returns {string}
+ */
+const encodeCursor = (sort, value, id) => Buffer
+    .from(JSON.stringify({ sort, value: value instanceof Date ? { date: value.toISOString() } : value, id: String(id) }))
+    .toString('base64url');
+
+/**
+ * @throws {HttpError} 400 se o cursor não foi gerado por esta API ou é de outra ordenação.
+ */
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Cursor inválido.');
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !('value' in decoded)) {
+        throw new HttpError(400, 'Cursor inválido.');
+    }
+    if (decoded.sort !== sort) {
+        throw new HttpError(400, 'O cursor foi gerado com outra ordenação. Recomece a lista sem cursor.');
+    }
+    const value = decoded.value && decoded.value.date ? new Date(decoded.value.date) : decoded.value;
+    return { value, id: decoded.id };
+};
+
+/**
+ * Busca uma página de documentos.
+ * @param {import('mongoose').Model} Model
+ * @param {object} filter - Filtro da lista.
+ * @param {object} options
+ * @param {string} options.sort - Ex: '-createdAt'.
+ * @param {string} [options.cursor] - nextCursor da página anterior.
+ * @param {number} [options.limit=DEFAULT_LIMIT]
+ * @param {(query: import('mongoose').Query) => import('mongoose').Query} [build] - Ajusta a consulta (select, populate).
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+const paginate = async (Model, filter, { sort, cursor, limit = DEFAULT_LIMIT }, build = (query) => query) => {
+    const { field, direction } = parseSort(sort);
+
+    let pageFilter = filter;
+    if (cursor) {
+        const { value, id } = decodeCursor(cursor, sort);
+        const operator = direction === 1 ? '$gt' : '$lt';
+        pageFilter = {
+            $and: [filter, { $or: [{ [field]: { [operator]: value } }, { [field]: value, _id: { [operator]: id } }] }]
+        };
+    }
+
+    // Um item a mais indica se há próxima página
+    const items = await build(Model.find(pageFilter).sort({ [field]: direction, _id: direction }).limit(limit + 1));
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    const last = items[items.length - 1];
+    return { items, nextCursor: hasMore ? encodeCursor(sort, last.get(field), last._id) : null };
+};
+
+// =================
+// FILTROS DAS LISTAS
+// =================
+
+/**
+ * Monta um filtro de intervalo ({ $gte, $lte }) com os limites informados.
+ * @returns {object|undefined} undefined se nenhum limite foi informado.
+ */
+const rangeFilter = (min, max) => {
+    if (min === undefined && max === undefined) return undefined;
+    const range = {};
+    if (min !== undefined) range.$gte = min;
+    if (max !== undefined) range.$lte = max;
+    return range;
+};
+
+/**
+ * Escapa um texto para uso literal em uma expressão regular.
+ * @param {string} text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filtro de usuários cujo userId ou telefone contém o texto buscado.
+ * @param {string} search - Parte do userId ou do telefone (ex: '12345', '84123').
+ * @returns {object}
+ */
+const userSearchFilter = (search) => {
+    const pattern = new RegExp(escapeRegExp(search));
+    return { $or: [{ userId: pattern }, { phoneNumber: pattern }] };
+};
+
+/**
+ * Monta o filtro de transações a partir da query já validada.
+ * @param {{type?: string, status?: string, from?: Date, to?: Date, minAmount?: number, maxAmount?: number}} query
+ * @returns {object}
+ */
+const transactionFilter = ({ type, status, from, to, minAmount, maxAmount }) => {
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    const createdAt = rangeFilter(from, to);
+    if (createdAt) filter.createdAt = createdAt;
+    const amount = rangeFilter(minAmount, maxAmount);
+    if (amount) filter.amount = amount;
+    return filter;
+};
+
+module.exports = { DEFAULT_LIMIT, paginate, rangeFilter, userSearchFilter, transactionFilter };
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const money = require('./money');
+const { PAYMENT_PROVIDERS } = require('./models');
+const { HttpError } = require('./utils');
+
+// =================
+// PROVEDORES DE PAGAMENTO MÓVEL (M-PESA E E-MOLA)
+// =================
+// Cada provedor expõe a mesma interface, usada por payments.js:
+//   collect({ reference, phoneNumber, amount })  - cobrança por push no celular do cliente (C2B)
+//   payout({ reference, phoneNumber, amount })   - pagamento para o celular do cliente (B2C)
+//     -> { accepted: true, providerReference } ou { accepted: false, message } se o provedor recusou
+//        (referência repetida conta como aceito: o pedido já está no provedor)
+//   queryStatus(reference)                       -> { status: 'pending'|'completed'|'failed', providerReference }
+//   parseCallback(req)                           -> { reference, providerReference, status, amount }
+// Falhas de rede lançam erro: o resultado é desconhecido e payments.js consulta o status depois.
+//
+// Um provedor fica ativo quando <PREFIXO>_API_URL está definido (ex: MPESA_API_URL).
+// Com o simulador local (simulators/payment-provider.js) os dois usam o mesmo servidor:
+//   MPESA_API_URL=http://localhost:5055/mpesa  EMOLA_API_URL=http://localhost:5055/emola
+//
+// As notificações (callbacks) são assinadas com HMAC-SHA256 do texto "<X-Timestamp>.<corpo>"
+// usando <PREFIXO>_CALLBACK_SECRET, enviado em X-Signature.
+
+const REQUEST_TIMEOUT_MS = Number(process.env.PAYMENT_REQUEST_TIMEOUT_MS) || 15000;
+const CALLBACK_TOLERANCE_SECONDS = 5 * 60; // Notificações mais antigas são recusadas (evita reenvio de uma notificação capturada)
+
+/**
+ * Assina o corpo de uma notificação.
+ * @param {string} secret - Segredo compartilhado com o provedor.
+ * @param {string|number} timestamp - Segundos desde 1970, enviado em X-Timestamp.
+ * @param {string|Buffer} body - Corpo exato da requisição.
+ * @returns {string} Assinatura em hexadecimal.
+ */
+const signCallback = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+/**
+ * Confere a assinatura e a idade de uma notificação recebida.
+ * @param {string} secret
+ * @param {object} req - Requisição do Express (req.rawBody vem do express.json no app.js).
+ * @throws {HttpError} 401 se a assinatura for inválida ou a notificação for antiga.
+ */
+const verifyCallbackSignature = (secret, req) => {
+    const timestamp = Number(req.get('X-Timestamp'));
+    const signature = req.get('X-Signature') || '';
+    if (!secret || !req.rawBody || !Number.isInteger(timestamp)) {
+        throw new HttpError(401, 'Notificação sem assinatura válida.');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > CALLBACK_TOLERANCE_SECONDS) {
+        throw new HttpError(401, 'Notificação expirada.');
+    }
+
+    const expected = Buffer.from(signCallback(secret, timestamp, req.rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        throw new HttpError(401, 'Notificação sem assinatura válida.');
+    }
+};
+
+/**
+ * Número no formato dos provedores: 258 seguido dos 9 dígitos, sem o '+'.
+ * @param {string} phoneNumber - Número em E.164.
+ */
+const toMsisdn = (phoneNumber) => phoneNumber.replace(/^\+/, '');
+
+/**
+ * Faz uma chamada JSON à API do provedor.
+ * @param {object} config - Configuração do provedor.
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [body]
+ * @returns {Promise<object>} O corpo da resposta.
+ */
+const callApi = async (config, method, path, body) => {
+    const response = await fetch(`${config.apiUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${config.apiKey}`,
+            Origin: config.origin
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch (error) {
+        throw new Error(`${config.label} respondeu ${response.status} com um corpo inválido.`);
+    }
+    // Erros 5xx não dizem se o pedido foi aceito: tratados como falha de rede
+    if (response.status >= 500) {
+        throw new Error(`${config.label} respondeu ${response.status}.`);
+    }
+    return data;
+};
+
+/**
+ * Adaptador no formato da API M-Pesa da Vodacom (campos input_/output_, código INS-0 para sucesso).
+ * @param {object} config
+ */
+const createMpesaProvider = (config) => {
+    const request = (path, { reference, phoneNumber, amount }) => callApi(config, 'POST', path, {
+        input_TransactionReference: reference,
+        input_ThirdPartyReference: reference,
+        input_CustomerMSISDN: toMsisdn(phoneNumber),
+        input_Amount: money.format(amount),
+        input_ServiceProviderCode: config.serviceCode
+    });
+
+    // INS-10 (referência repetida): um envio anterior chegou ao provedor, só a resposta se perdeu
+    const toResult = (data) => (data.output_ResponseCode === 'INS-0' || data.output_ResponseCode === 'INS-10'
+        ? { accepted: true, providerReference: data.output_TransactionID || null }
+        : { accepted: false, message: data.output_ResponseDesc || data.output_ResponseCode || 'Pedido recusado.' });
+
+    const STATUS = { Completed: 'completed', Pending: 'pending', Failed: 'failed', Cancelled: 'failed', Expired: 'failed' };
+
+    return {
+        ...config,
+        async collect(payment) {
+            return toResult(await request('/ipg/v1x/c2bPayment/singleStage/', payment));
+        },
+        async payout(payment) {
+            return toResult(await request('/ipg/v1x/b2cPayment/', payment));
+        },
+        async queryStatus(reference) {
+            const query = new URLSearchParams({
+                input_QueryReference: reference,
+                input_ThirdPartyReference: reference,
+                input_ServiceProviderCode: config.serviceCode
+            });
+            const data = await callApi(config, 'GET', `/ipg/v1x/queryTransactionStatus/?${query}`);
+            return {
+                status: STATUS[data.output_ResponseTransactionStatus] || 'pending',
+                providerReference: data.output_TransactionID || null
+            };
+        },
+        parseCallback(req) {
+            verifyCallbackSignature(config.callbackSecret, req);
+            const body = req.body;
+            return {
+                reference: body.input_ThirdPartyReference,
+                providerReference: body.output_TransactionID || null,
+                status: STATUS[body.output_ResponseTransactionStatus] || 'pending',
+                amount: body.input_Amount !== undefined ? money.toMinor(Number(body.input_Amount)) : undefined
+            };
+        }
+    };
+};
+
+/**
+ * Adaptador no formato da API e-Mola da Movitel (cobranças e desembolsos por referência).
+ * @param {object} config
+ */
+const createEmolaProvider = (config) => {
+    const request = (path, { reference, phoneNumber, amount }) => callApi(config, 'POST', path, {
+        partnerCode: config.serviceCode,
+        reference,
+        msisdn: toMsisdn(phoneNumber),
+        amount: money.format(amount),
+        currency: money.CURRENCY
+    });
+
+    // 1002 (referência repetida): um envio anterior chegou ao provedor, só a resposta se perdeu
+    const toResult = (data) => (data.code === '0' || data.code === '1002'
+        ? { accepted: true, providerReference: data.transactionId || null }
+        : { accepted: false, message: data.message || data.code || 'Pedido recusado.' });
+
+    const STATUS = { SUCCESS: 'completed', PENDING: 'pending', FAILED: 'failed', CANCELLED: 'failed' };
+
+    return {
+        ...config,
+        async collect(payment) {
+            return toResult(await request('/v1/collections', payment));
+        },
+        async payout(payment) {
+            return toResult(await request('/v1/disbursements', payment));
+        },
+        async queryStatus(reference) {
+            const data = await callApi(config, 'GET', `/v1/transactions/${encodeURIComponent(reference)}?partnerCode=${encodeURIComponent(config.serviceCode)}`);
+            return { status: STATUS[data.status] || 'pending', providerReference: data.transactionId || null };
+        },
+        parseCallback(req) {
+            verifyCallbackSignature(config.callbackSecret, req);
+            const body = req.body;
+            return {
+                reference: body.reference,
+                providerReference: body.transactionId || null,
+                status: STATUS[body.status] || 'pending',
+                amount: body.amount !== undefined ? money.toMinor(Number(body.amount)) : undefined
+            };
+        }
+    };
+};
+
+// Prefixos das operadoras: Vodacom (M-Pesa) 84/85, Movitel (e-Mola) 86/87
+const PROVIDER_DEFINITIONS = {
+    mpesa: { label: 'M-Pesa', envPrefix: 'MPESA', prefixes: ['84', '85'], create: createMpesaProvider },
+    emola: { label: 'e-Mola', envPrefix: 'EMOLA', prefixes: ['86', '87'], create: createEmolaProvider }
+};
+
+/**
+ * Retorna o provedor configurado, ou null se ele não estiver ativo.
+ * @param {string} name - 'mpesa' ou 'emola'.
+ */
+const getProvider = (name) => {
+    const definition = PROVIDER_DEFINITIONS[name];
+    if (!definition) return null;
+    const env = (key) => process.env[`${definition.envPrefix}_${key}`];
+    if (!env('API_URL')) return null;
+
+    return definition.create({
+        name,
+        label: definition.label,
+        apiUrl: env('API_URL').replace(/\/$/, ''),
+        apiKey: env('API_KEY'),
+        origin: env('ORIGIN') || '*',
+        serviceCode: env('SERVICE_PROVIDER_CODE'),
+        callbackSecret: env('CALLBACK_SECRET')
+    });
+};
+
+/**
+ * Escolhe o provedor pela operadora do número.
+ * @param {string} phoneNumber - Número em E.164.
+ * @returns {string|null} O nome do provedor, ou null se a operadora não tem provedor.
+ */
+const providerForPhone = (phoneNumber) => {
+    const prefix = String(phoneNumber).replace(/^\+258/, '').slice(0, 2);
+    return PAYMENT_PROVIDERS.find((name) => PROVIDER_DEFINITIONS[name].prefixes.includes(prefix)) || null;
+};
+
+/**
+ * Lista os provedores ativos.
+ * @returns {Array<{name: string, label: string}>}
+ */
+const enabledProviders = () => PAYMENT_PROVIDERS
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+
+module.exports = {
+    PAYMENT_PROVIDERS,
+    signCallback,
+    getProvider,
+    providerForPhone,
+    enabledProviders
+};
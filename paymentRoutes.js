@@ -0,0 +1,9 @@
+const express = require('express');
+const paymentsController = require('./paymentsController');
+
+const router = express.Router();
+
+// --- Notificações dos provedores de pagamento (sem login: autenticadas pela assinatura) ---
+router.post('/:provider/callback', paymentsController.handlePaymentCallback);
+
+module.exports = router;
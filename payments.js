@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { Transaction } = require('./models');
+const { HttpError, runInTransaction } = require('./utils');
+const { getProvider, providerForPhone } = require('./paymentProviders');
+const { settleTransaction } = require('./settlement');
+
+// =================
+// DEPÓSITOS E SAQUES PELO PROVEDOR DE PAGAMENTO
+// =================
+// Fluxo de uma transação com `payment`:
+//   1. Criada (depósito) ou aprovada (saque) com status 'processing' e payment.status 'queued'.
+//   2. sendPayment envia o pedido ao provedor; aceito, passa para payment.status 'sent'.
+//   3. A notificação assinada do provedor (ou a consulta de status do reconcilePayments)
+//      chega em applyPaymentOutcome, que conclui a transação e lança o livro-razão
+//      (depósitos: completed/rejected; saques: paid/failed, ver withdrawals.js).
+// O envio acontece sempre depois de a transação estar gravada: se o servidor cair no
+// meio do caminho, o reconcilePayments reenvia (o provedor recusa referências repetidas).
+// Depois de MAX_SEND_ATTEMPTS envios sem resposta (rede ou erro 5xx), o pagamento é dado
+// como falho: o depósito é rejeitado e o saque vai para 'failed', onde o admin pode tentar
+// de novo ou estornar.
+
+const MINUTE = 60 * 1000;
+const MAX_SEND_ATTEMPTS = 3;
+const STATUS_CHECK_AFTER_MS = (Number(process.env.PAYMENT_STATUS_CHECK_MINUTES) || 5) * MINUTE;
+// Um depósito não confirmado no celular dentro deste prazo é dado como falho
+const DEPOSIT_EXPIRY_MS = (Number(process.env.PAYMENT_DEPOSIT_EXPIRY_MINUTES) || 30) * MINUTE;
+const RECONCILE_BATCH_SIZE = 100;
+
+/**
+ * Gera a referência enviada ao provedor (única, até 20 caracteres alfanuméricos).
+ */
+const newPaymentReference = () => `IDX${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+/**
+ * Monta o `payment` de uma transação para o provedor da operadora do número.
+ * @param {string} phoneNumber - Número em E.164.
+ * @param {string} [requested] - Provedor escolhido pelo usuário (padrão: pela operadora).
+ * @returns {object|null} O subdocumento payment, ou null se não há provedor ativo para o número.
+ */
+const buildPayment = (phoneNumber, requested) => {
+    const provider = getProvider(requested || providerForPhone(phoneNumber));
+    if (!provider) return null;
+    return { provider: provider.name, phoneNumber, reference: newPaymentReference(), status: 'queued' };
+};
+
+/**
+ * Conclui uma transação com o resultado informado pelo provedor. Notificações repetidas
+ * (ou que chegam depois da consulta de status) não têm efeito.
+ * @param {string} providerName - 'mpesa' ou 'emola'.
+ * @param {{reference: string, providerReference?: string, status: string, amount?: number, reason?: string}} outcome
+ * @returns {Promise<object|null>} A transação, ou null se o pagamento ainda está pendente.
+ */
+const applyPaymentOutcome = async (providerName, { reference, providerReference, status, amount, reason }) => {
+    if (status !== 'completed' && status !== 'failed') return null;
+
+    return runInTransaction(async (session) => {
+        const current = await Transaction.findOne({ 'payment.reference': reference, 'payment.provider': providerName }).session(session);
+        if (!current) throw new HttpError(404, 'Pagamento não encontrado.');
+        if (current.status !== 'processing') return current;
+
+        if (status === 'completed' && amount !== undefined && amount !== current.amount) {
+            throw new HttpError(409, 'O valor confirmado pelo provedor não confere com a transação.');
+        }
+
+        // Saque pago vira 'paid'; saque que falhou continua retido em 'failed' até o admin tentar de novo ou estornar
+        const finalStatus = current.type === 'withdrawal'
+            ? (status === 'completed' ? 'paid' : 'failed')
+            : (status === 'completed' ? 'completed' : 'rejected');
+        // Só uma notificação consegue tirar a transação de 'processing'
+        const transaction = await Transaction.findOneAndUpdate(
+            { _id: current._id, status: 'processing' },
+            {
+                $set: {
+                    status: finalStatus,
+                    'payment.status': status,
+                    'payment.providerReference': providerReference || current.payment.providerReference,
+                    'payment.lastError': status === 'failed' ? reason || 'Pagamento não concluído pelo provedor.' : null,
+                    'payment.completedAt': new Date()
+                }
+            },
+            { new: true, session }
+        );
+        if (!transaction) return current;
+
+        await settleTransaction(transaction, finalStatus, session);
+        return transaction;
+    });
+};
+
+/**
+ * Conclui como falho um pagamento que esgotou as tentativas de envio ao provedor.
+ * @param {object} transaction - A transação, com payment.status 'queued'.
+ * @param {string} [lastError] - Erro do último envio.
+ */
+const failUndeliveredPayment = (transaction, lastError) => applyPaymentOutcome(transaction.payment.provider, {
+    reference: transaction.payment.reference,
+    status: 'failed',
+    reason: `Não foi possível enviar o pedido ao provedor após ${MAX_SEND_ATTEMPTS} tentativas${lastError ? `: ${lastError}` : '.'}`
+});
+
+/**
+ * Envia ao provedor uma transação com payment.status 'queued'.
+ * @param {object} transaction - A transação (documento ou objeto simples).
+ * @returns {Promise<'sent'|'queued'|'failed'>} 'queued' quando o envio falhou e será tentado de novo;
+ *          'failed' quando o provedor recusou ou as tentativas se esgotaram.
+ */
+const sendPayment = async (transaction) => {
+    const { payment } = transaction;
+    const provider = getProvider(payment.provider);
+    const request = { reference: payment.reference, phoneNumber: payment.phoneNumber, amount: transaction.amount };
+
+    let result;
+    try {
+        if (!provider) throw new Error(`Provedor ${payment.provider} não está configurado.`);
+        result = transaction.type === 'deposit' ? await provider.collect(request) : await provider.payout(request);
+    } catch (error) {
+        const updated = await Transaction.findOneAndUpdate(
+            { _id: transaction._id, 'payment.status': 'queued' },
+            { $inc: { 'payment.attempts': 1 }, $set: { 'payment.lastError': error.message } },
+            { new: true }
+        );
+        if (updated && updated.payment.attempts >= MAX_SEND_ATTEMPTS) {
+            await failUndeliveredPayment(updated, error.message);
+            return 'failed';
+        }
+        return 'queued';
+    }
+
+    if (!result.accepted) {
+        await applyPaymentOutcome(payment.provider, { reference: payment.reference, status: 'failed', reason: result.message });
+        return 'failed';
+    }
+
+    // A notificação pode ter chegado antes desta atualização: o filtro não desfaz o resultado
+    await Transaction.updateOne(
+        { _id: transaction._id, 'payment.status': 'queued' },
+        {
+            $inc: { 'payment.attempts': 1 },
+            $set: {
+                'payment.status': 'sent',
+                'payment.providerReference': result.providerReference,
+                'payment.lastError': null,
+                'payment.sentAt': new Date()
+            }
+        }
+    );
+    return 'sent';
+};
+
+/**
+ * Envia um saque aprovado ao provedor. Chamado depois de a aprovação estar gravada;
+ * falhas ficam registradas no payment e o reconcilePayments tenta de novo.
+ * @param {string} transactionId
+ */
+const dispatchPayout = async (transactionId) => {
+    try {
+        const transaction = await Transaction.findOne({ _id: transactionId, status: 'processing', 'payment.status': 'queued' });
+        if (transaction) await sendPayment(transaction);
+    } catch (error) {
+        console.error(`Erro ao enviar o saque ${transactionId} ao provedor:`, error.message);
+    }
+};
+
+/**
+ * Tarefa agendada: reenvia pedidos que não chegaram ao provedor e consulta o status
+ * dos que estão sem notificação há algum tempo (notificação perdida ou servidor fora do ar).
+ * @returns {Promise<{sent: number, settled: number, expired: number, errors: number}>}
+ */
+const reconcilePayments = async () => {
+    const summary = { sent: 0, settled: 0, expired: 0, errors: 0 };
+
+    const queued = await Transaction.find({
+        status: 'processing',
+        'payment.status': 'queued',
+        'payment.attempts': { $lt: MAX_SEND_ATTEMPTS }
+    }).limit(RECONCILE_BATCH_SIZE);
+    for (const transaction of queued) {
+        const result = await sendPayment(transaction);
+        if (result === 'sent') summary.sent += 1;
+        else if (result === 'failed') summary.settled += 1;
+        else summary.errors += 1;
+    }
+
+    // updatedAt muda a cada consulta, então cada transação é consultada no máximo uma vez por intervalo
+    const stale = await Transaction.find({
+        status: 'processing',
+        'payment.provider': { $exists: true },
+        updatedAt: { $lt: new Date(Date.now() - STATUS_CHECK_AFTER_MS) }
+    }).limit(RECONCILE_BATCH_SIZE);
+    for (const transaction of stale) {
+        const { payment } = transaction;
+        try {
+            // Envio que esgotou as tentativas sem ser encerrado (ver sendPayment)
+            if (payment.status === 'queued' && payment.attempts >= MAX_SEND_ATTEMPTS) {
+                await failUndeliveredPayment(transaction, payment.lastError);
+                summary.settled += 1;
+                continue;
+            }
+
+            const provider = getProvider(payment.provider);
+            if (!provider) throw new Error(`Provedor ${payment.provider} não está configurado.`);
+
+            const result = await provider.queryStatus(payment.reference);
+            if (result.status !== 'pending') {
+                await applyPaymentOutcome(payment.provider, { reference: payment.reference, ...result });
+                summary.settled += 1;
+            } else if (transaction.type === 'deposit' && Date.now() - transaction.createdAt.getTime() > DEPOSIT_EXPIRY_MS) {
+                await applyPaymentOutcome(payment.provider, { reference: payment.reference, status: 'failed', reason: 'Pagamento não confirmado no prazo.' });
+                summary.expired += 1;
+            } else {
+                await Transaction.updateOne({ _id: transaction._id }, { $set: { 'payment.lastCheckedAt': new Date() } });
+            }
+        } catch (error) {
+            summary.errors += 1;
+            await Transaction.updateOne(
+                { _id: transaction._id },
+                { $set: { 'payment.lastCheckedAt': new Date(), 'payment.lastError': error.message } }
+            );
+        }
+    }
+
+    return summary;
+};
+
+module.exports = { newPaymentReference, buildPayment, applyPaymentOutcome, sendPayment, dispatchPayout, reconcilePayments };
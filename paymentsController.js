@@ -0,0 +1,32 @@
+const { HttpError } = require('./utils');
+const { getProvider } = require('./paymentProviders');
+const { applyPaymentOutcome } = require('./payments');
+
+/**
+ * @desc    Receber a notificação assinada do provedor com o resultado de uma cobrança ou pagamento
+ * @route   POST /api/v1/payments/:provider/callback
+ * @access  Public (assinatura HMAC do provedor)
+ */
+const handlePaymentCallback = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: 'Provedor de pagamento não encontrado.' });
+        }
+
+        const outcome = provider.parseCallback(req);
+        const transaction = await applyPaymentOutcome(provider.name, outcome);
+
+        res.json({
+            message: transaction ? 'Notificação processada.' : 'Notificação recebida; pagamento ainda pendente.',
+            status: transaction ? transaction.status : 'processing'
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao processar a notificação de pagamento.', error: error.message });
+    }
+};
+
+module.exports = { handlePaymentCallback };
@@ -0,0 +1,167 @@
+const { User, Settings } = require('./models');
+const { HttpError } = require('./utils');
+const { providerForPhone } = require('./paymentProviders');
+
+// =================
+// CONTAS DE SAQUE DOS USUÁRIOS
+// =================
+// O usuário cadastra suas contas M-Pesa/e-Mola uma vez e escolhe uma delas a cada saque.
+// Cadastrar ou alterar uma conta exige o código enviado por SMS e abre um período de espera
+// (Settings.payoutAccountCooldownHours) antes de ela receber saques: quem tomar a sessão de
+// um usuário não consegue cadastrar o próprio número e sacar na mesma hora.
+// Contas bloqueadas pelo suporte não recebem saques nem podem ser alteradas pelo usuário.
+// As alterações usam user.save(), que falha com VersionError se outra requisição mudou o usuário.
+
+const MAX_PAYOUT_ACCOUNTS = 5;
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Calcula até quando uma conta cadastrada ou alterada agora fica em espera.
+ * @param {Date} [now]
+ * @returns {Promise<Date>}
+ */
+const cooldownEnd = async (now = new Date()) => {
+    const settings = await Settings.findOne({ settingId: 'global_settings' }) || new Settings();
+    return new Date(now.getTime() + settings.payoutAccountCooldownHours * HOUR);
+};
+
+/**
+ * Busca uma conta de saque do usuário.
+ * @throws {HttpError} 404 se a conta não existe.
+ */
+const findPayoutAccount = (user, accountId) => {
+    const account = user.payoutAccounts.id(accountId);
+    if (!account) throw new HttpError(404, 'Conta de saque não encontrada.');
+    return account;
+};
+
+/**
+ * Impede que o usuário cadastre duas vezes a mesma conta.
+ * @throws {HttpError} 409 se já existe outra conta com o mesmo método e número.
+ */
+const assertNotDuplicate = (user, { method, phoneNumber }, exceptId = null) => {
+    const duplicate = user.payoutAccounts.some((account) => account.method === method
+        && account.phoneNumber === phoneNumber
+        && !(exceptId && account._id.equals(exceptId)));
+    if (duplicate) throw new HttpError(409, 'Esta conta de saque já está cadastrada.');
+};
+
+/**
+ * Cadastra uma conta de saque. O OTP deve ter sido conferido antes.
+ * @param {object} user - Documento do usuário.
+ * @param {{method?: string, accountHolderName: string, phoneNumber: string}} data - Sem método, usa o da operadora do número.
+ * @returns {Promise<object>} A conta criada.
+ */
+const addPayoutAccount = async (user, { method, accountHolderName, phoneNumber }) => {
+    if (user.payoutAccounts.length >= MAX_PAYOUT_ACCOUNTS) {
+        throw new HttpError(400, `Você pode cadastrar no máximo ${MAX_PAYOUT_ACCOUNTS} contas de saque.`);
+    }
+    const resolvedMethod = method || providerForPhone(phoneNumber);
+    if (!resolvedMethod) throw new HttpError(400, 'Informe o método da conta (mpesa ou emola).');
+    assertNotDuplicate(user, { method: resolvedMethod, phoneNumber });
+
+    user.payoutAccounts.push({ method: resolvedMethod, accountHolderName, phoneNumber, availableAt: await cooldownEnd() });
+    await user.save();
+    return user.payoutAccounts[user.payoutAccounts.length - 1];
+};
+
+/**
+ * Altera uma conta de saque e reinicia o período de espera. O OTP deve ter sido conferido antes.
+ * @param {object} user - Documento do usuário.
+ * @param {string} accountId
+ * @param {{method?: string, accountHolderName?: string, phoneNumber?: string}} changes
+ * @returns {Promise<object>} A conta alterada.
+ */
+const updatePayoutAccount = async (user, accountId, changes) => {
+    const account = findPayoutAccount(user, accountId);
+    if (account.lockedAt) throw new HttpError(403, 'Esta conta de saque foi bloqueada pelo suporte e não pode ser alterada.');
+
+    const phoneNumber = changes.phoneNumber || account.phoneNumber;
+    // Um número novo sem método explícito usa a operadora do número
+    const method = changes.method || (changes.phoneNumber ? providerForPhone(phoneNumber) : account.method);
+    if (!method) throw new HttpError(400, 'Informe o método da conta (mpesa ou emola).');
+    assertNotDuplicate(user, { method, phoneNumber }, account._id);
+
+    account.set({
+        method,
+        phoneNumber,
+        accountHolderName: changes.accountHolderName || account.accountHolderName,
+        availableAt: await cooldownEnd(),
+        updatedAt: new Date()
+    });
+    await user.save();
+    return account;
+};
+
+/**
+ * Remove uma conta de saque. Os saques já pedidos guardam uma cópia do destino.
+ * @param {object} user - Documento do usuário.
+ * @param {string} accountId
+ */
+const removePayoutAccount = async (user, accountId) => {
+    const account = findPayoutAccount(user, accountId);
+    if (account.lockedAt) throw new HttpError(403, 'Esta conta de saque foi bloqueada pelo suporte e não pode ser removida.');
+
+    account.deleteOne();
+    await user.save();
+};
+
+/**
+ * Escolhe a conta que recebe um saque e confere se ela pode recebê-lo agora.
+ * @param {object} user - Documento do usuário.
+ * @param {string} [accountId] - Opcional quando o usuário tem uma única conta.
+ * @param {Date} [now]
+ * @returns {object} A conta.
+ * @throws {HttpError} 400 sem conta escolhida; 403 se a conta está bloqueada ou em espera.
+ */
+const payoutAccountForWithdrawal = (user, accountId, now = new Date()) => {
+    let account;
+    if (accountId) {
+        account = findPayoutAccount(user, accountId);
+    } else if (user.payoutAccounts.length === 1) {
+        [account] = user.payoutAccounts;
+    } else if (user.payoutAccounts.length === 0) {
+        throw new HttpError(400, 'Cadastre uma conta de saque antes de sacar.');
+    } else {
+        throw new HttpError(400, 'Escolha a conta de saque (payoutAccountId).');
+    }
+
+    if (account.lockedAt) {
+        throw new HttpError(403, 'Esta conta de saque foi bloqueada pelo suporte. Entre em contato para mais informações.');
+    }
+    if (account.availableAt > now) {
+        const hours = Math.ceil((account.availableAt.getTime() - now.getTime()) / HOUR);
+        throw new HttpError(403, `Esta conta de saque foi cadastrada ou alterada recentemente e poderá receber saques em ${hours} hora(s).`);
+    }
+    return account;
+};
+
+/**
+ * Bloqueia ou desbloqueia uma conta de saque de um usuário (ação do suporte).
+ * @param {string} userId
+ * @param {string} accountId
+ * @param {{locked: boolean, reason?: string, admin: object}} options
+ * @returns {Promise<{user: object, account: object, before: object}>}
+ */
+const setPayoutAccountLock = async (userId, accountId, { locked, reason, admin }) => {
+    const user = await User.findById(userId).select('payoutAccounts');
+    if (!user) throw new HttpError(404, 'Usuário não encontrado.');
+
+    const account = findPayoutAccount(user, accountId);
+    const before = { lockedAt: account.lockedAt, lockReason: account.lockReason };
+    account.set(locked
+        ? { lockedAt: new Date(), lockedBy: admin._id, lockReason: reason || null }
+        : { lockedAt: null, lockedBy: null, lockReason: null });
+    await user.save();
+
+    return { user, account, before };
+};
+
+module.exports = {
+    MAX_PAYOUT_ACCOUNTS,
+    addPayoutAccount,
+    updatePayoutAccount,
+    removePayoutAccount,
+    payoutAccountForWithdrawal,
+    setPayoutAccountLock
+};
@@ -0,0 +1,70 @@
+// =================
+// PERMISSÕES E PAPÉIS DOS ADMINISTRADORES
+// =================
+
+const PERMISSIONS = {
+    USERS_READ: 'users:read',                       // Listar usuários e ver detalhes
+    USERS_BLOCK: 'users:block',                     // Bloquear/desbloquear usuários
+    USERS_CREDENTIALS: 'users:credentials',         // Alterar senha ou telefone de usuários
+    USERS_BALANCE: 'users:balance',                 // Alterar o saldo de usuários
+    LEDGER_READ: 'ledger:read',                     // Ver o livro-razão de usuários
+    LEDGER_WRITE: 'ledger:write',                   // Registrar saldos de abertura no livro-razão
+    TRANSACTIONS_READ: 'transactions:read',         // Ver transações pendentes
+    TRANSACTIONS_APPROVE: 'transactions:approve',   // Aprovar ou rejeitar depósitos e saques
+    PAYOUTS_MANAGE: 'payouts:manage',               // Montar, exportar e importar lotes de pagamento de saques
+    APPROVALS_REVIEW: 'approvals:review',           // Ver e confirmar pedidos de aprovação dupla
+    PLANS_WRITE: 'plans:write',                     // Criar, editar e remover planos
+    BANNERS_WRITE: 'banners:write',                 // Adicionar e remover banners
+    SETTINGS_READ: 'settings:read',                 // Ver configurações globais
+    SETTINGS_WRITE: 'settings:write',               // Alterar configurações globais
+    AUDIT_READ: 'audit:read',                       // Ver o registro de auditoria
+    JOBS_MANAGE: 'jobs:manage',                     // Ver e executar tarefas agendadas
+    SECURITY_MANAGE: 'security:manage',             // Ver e liberar bloqueios de login por excesso de tentativas
+    ADMINS_MANAGE: 'admins:manage'                  // Criar/desativar administradores e atribuir papéis
+};
+
+const ROLES = ['support', 'finance', 'content', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+    support: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_BLOCK,
+        PERMISSIONS.USERS_CREDENTIALS,
+        PERMISSIONS.TRANSACTIONS_READ,
+        PERMISSIONS.SECURITY_MANAGE
+    ],
+    finance: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_BALANCE,
+        PERMISSIONS.LEDGER_READ,
+        PERMISSIONS.LEDGER_WRITE,
+        PERMISSIONS.TRANSACTIONS_READ,
+        PERMISSIONS.TRANSACTIONS_APPROVE,
+        PERMISSIONS.PAYOUTS_MANAGE,
+        PERMISSIONS.APPROVALS_REVIEW,
+        PERMISSIONS.SETTINGS_READ
+    ],
+    content: [
+        PERMISSIONS.PLANS_WRITE,
+        PERMISSIONS.BANNERS_WRITE,
+        PERMISSIONS.SETTINGS_READ
+    ],
+    superadmin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Lista as permissões concedidas a um papel.
+ * @param {string} role - O papel do administrador.
+ * @returns {string[]} As permissões do papel (vazio para papéis desconhecidos).
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Verifica se um papel possui uma permissão.
+ * @param {string} role - O papel do administrador.
+ * @param {string} permission - A permissão exigida.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, getPermissions, hasPermission };
@@ -0,0 +1,31 @@
+// =================
+// NORMALIZAÇÃO DE NÚMEROS DE TELEFONE (MOÇAMBIQUE)
+// =================
+// Os números são guardados no formato E.164 (ex: +258841234567).
+// Aceita as formas comuns de digitação: "841234567", "84 123 4567", "258841234567",
+// "+258 84 123 4567" e "00258841234567".
+
+const COUNTRY_CODE = '258';
+
+// Celulares moçambicanos: 8 + operadora (2 a 7) + 7 dígitos (Vodacom 84/85, Movitel 86/87, Tmcel 82/83)
+const MOBILE_NUMBER = /^8[2-7]\d{7}$/;
+
+/**
+ * Converte um número de celular moçambicano para E.164.
+ * @param {string} input - Número digitado pelo usuário.
+ * @returns {string|null} O número em E.164, ou null se não for um celular moçambicano válido.
+ */
+const normalizePhoneNumber = (input) => {
+    if (typeof input !== 'string') return null;
+
+    let digits = input.replace(/[\s\-().]/g, '');
+    if (digits.startsWith('+')) digits = digits.slice(1);
+    else if (digits.startsWith('00')) digits = digits.slice(2);
+
+    if (!/^\d+$/.test(digits)) return null;
+    if (digits.length === 12 && digits.startsWith(COUNTRY_CODE)) digits = digits.slice(COUNTRY_CODE.length);
+
+    return MOBILE_NUMBER.test(digits) ? `+${COUNTRY_CODE}${digits}` : null;
+};
+
+module.exports = { normalizePhoneNumber };
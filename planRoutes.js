@@ -0,0 +1,13 @@
+const express = require('express');
+const { validate, schemas } = require('./validators');
+const { protectUser } = require('./auth');
+const { idempotent } = require('./idempotency');
+const plansController = require('./plansController');
+
+const router = express.Router();
+
+// --- Rotas de Planos ---
+router.get('/', plansController.getAllPlans);
+router.post('/activate', protectUser, validate(schemas.activatePlan), idempotent, plansController.activatePlan);
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const { Plan, User, Transaction, Settings } = require('./models');
+const ledger = require('./ledger');
+const { HttpError, runInTransaction } = require('./utils');
+const { collectAccruedEarnings } = require('./earnings');
+const money = require('./money');
 
 /**
  * @desc    Listar todos os planos de investimento ativos
- * @route   GET /api/plans
+ * @route   GET /api/v1/plans
  * @access  Public
  */
 const getAllPlans = async (req, res) => {
@@ -16,112 +20,148 @@ const getAllPlans = async (req, res) => {
 
 /**
  * @desc    Ativar um plano ou fazer upgrade (LÓGICA ATUALIZADA)
- * @route   POST /api/plans/activate
+ * @route   POST /api/v1/plans/activate
  * @access  Private
  */
 const activatePlan = async (req, res) => {
-  const { planId, amount } = req.body; // 'amount' aqui é o valor total do novo plano (ex: minAmount)
+  const { planId, amount } = req.body; // 'amount' aqui é o valor total do novo plano (ex: minAmount), já em centavos
   const userId = req.user._id;
 
   try {
-    const newPlan = await Plan.findById(planId);
-    const user = await User.findById(userId);
-    const settings = await Settings.findOne({ settingId: 'global_settings' });
+    // Débito, novo plano, transações e comissão são confirmados juntos ou nenhum deles
+    const { isUpgrade } = await runInTransaction(async (session) => {
+      const newPlan = await Plan.findById(planId).session(session);
+      const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session) || new Settings();
 
-    if (!newPlan || !newPlan.isActive) {
-      return res.status(404).json({ message: 'Plano não encontrado ou inativo.' });
-    }
-    
-    // O valor do investimento deve ser o valor exato do plano (minAmount)
-    const investmentAmount = Number(amount); 
-    if (investmentAmount !== newPlan.minAmount) {
-        return res.status(400).json({ message: `O investimento para este plano deve ser exatamente ${newPlan.minAmount} MT.` });
-    }
+      // No modo acumulado, os dias já completos do plano atual são creditados antes de um upgrade
+      if (settings.collectionMode === 'accrual') {
+        const current = await User.findOne({ _id: userId }).select('activePlans').session(session);
+        const currentPlan = current.activePlans.find(p => p.isActive === true);
+        if (currentPlan) {
+          await collectAccruedEarnings(userId, currentPlan._id, session);
+        }
+      }
 
-    // Encontra o plano ativo atual do usuário, se existir
-    const currentActivePlan = user.activePlans.find(p => p.isActive === true);
-    let costToUser = investmentAmount;
-    
-    // LÓGICA DE UPGRADE
-    if (currentActivePlan) {
-      // Verifica se o novo plano é realmente um upgrade
-      if (investmentAmount <= currentActivePlan.investedAmount) {
-        return res.status(400).json({ message: 'Só é permitido fazer upgrade para um plano de valor superior.' });
+      const user = await User.findById(userId).session(session);
+
+      if (!newPlan || !newPlan.isActive) {
+        throw new HttpError(404, 'Plano não encontrado ou inativo.');
       }
 
-      // Calcula a diferença a ser paga
-      const difference = investmentAmount - currentActivePlan.investedAmount;
-      costToUser = difference;
+      // O valor do investimento deve ser o valor exato do plano (minAmount)
+      const investmentAmount = amount;
+      if (investmentAmount !== newPlan.minAmount) {
+        throw new HttpError(400, `O investimento para este plano deve ser exatamente ${money.format(newPlan.minAmount)} MT.`);
+      }
 
-      // Desativa o plano antigo
-      currentActivePlan.isActive = false;
-    }
-    
-    // Verifica se o usuário tem saldo suficiente para a operação
-    if (user.walletBalance < costToUser) {
-      return res.status(400).json({ message: `Saldo insuficiente. Você precisa de ${costToUser.toFixed(2)} MT.` });
-    }
+      // Encontra o plano ativo atual do usuário, se existir
+      const currentActivePlan = user.activePlans.find(p => p.isActive === true);
+      let costToUser = investmentAmount;
 
-    // 1. Debita o custo do saldo do usuário (diferença ou valor total)
-    user.walletBalance -= costToUser;
-    
-    // 2. Calcula os detalhes do novo plano ativado
-    const dailyProfit = newPlan.dailyIncomeType === 'percentage'
-      ? (investmentAmount * newPlan.dailyIncomeValue) / 100
-      : newPlan.dailyIncomeValue;
-    
-    const startDate = new Date();
-    const endDate = new Date(startDate);
-    endDate.setDate(startDate.getDate() + newPlan.duration);
-
-    // 3. Adiciona o novo plano à lista de planos ativos do usuário
-    user.activePlans.push({
-      planId: newPlan._id,
-      investedAmount: investmentAmount,
-      dailyProfit: dailyProfit,
-      startDate: startDate,
-      endDate: endDate,
-      lastCollectionDate: null,
-      isActive: true // Garante que o novo plano esteja ativo
-    });
+      // LÓGICA DE UPGRADE
+      if (currentActivePlan) {
+        // Verifica se o novo plano é realmente um upgrade
+        if (investmentAmount <= currentActivePlan.investedAmount) {
+          throw new HttpError(400, 'Só é permitido fazer upgrade para um plano de valor superior.');
+        }
+
+        // Calcula a diferença a ser paga
+        const difference = investmentAmount - currentActivePlan.investedAmount;
+        costToUser = difference;
+
+        // Desativa o plano antigo
+        currentActivePlan.isActive = false;
+      }
+
+      // Verifica se o usuário tem saldo suficiente para a operação
+      if (user.walletBalance < costToUser) {
+        throw new HttpError(400, `Saldo insuficiente. Você precisa de ${money.format(costToUser)} MT.`);
+      }
 
-    // 4. Marca que o usuário já ativou um plano (habilita saques)
-    user.hasDeposited = true;
-    
-    // 5. Salva as alterações no usuário
-    await user.save();
-
-    // 6. Cria uma transação para o investimento
-    await Transaction.create({
-        user: userId,
-        type: 'investment',
-        amount: costToUser, // Registra na transação apenas o valor que saiu da carteira
-        status: 'completed',
-        details: `${currentActivePlan ? 'Upgrade para o plano' : 'Ativação do plano'}: ${newPlan.name}`
+      // 1. Calcula os detalhes do novo plano ativado (rendimento percentual arredondado ao centavo mais próximo)
+      const dailyProfit = newPlan.dailyIncomeType === 'percentage'
+        ? money.percentOf(investmentAmount, newPlan.dailyIncomeValue, money.ROUNDING.HALF_UP)
+        : newPlan.dailyIncomeValue;
+
+      const startDate = new Date();
+      const endDate = new Date(startDate);
+      endDate.setDate(startDate.getDate() + newPlan.duration);
+
+      // 2. Adiciona o novo plano à lista de planos ativos do usuário
+      user.activePlans.push({
+        planId: newPlan._id,
+        investedAmount: investmentAmount,
+        dailyProfit: dailyProfit,
+        startDate: startDate,
+        endDate: endDate,
+        lastCollectionDate: null,
+        collectedDays: 0,
+        isActive: true // Garante que o novo plano esteja ativo
+      });
+
+      // 3. Marca que o usuário já ativou um plano (habilita saques)
+      user.hasDeposited = true;
+
+      // 4. Salva as alterações no usuário
+      await user.save({ session });
+
+      // 5. Cria uma transação para o investimento e debita o custo da carteira (diferença ou valor total)
+      const [investment] = await Transaction.create([{
+          user: userId,
+          type: 'investment',
+          amount: costToUser, // Registra na transação apenas o valor que saiu da carteira
+          status: 'completed',
+          details: `${currentActivePlan ? 'Upgrade para o plano' : 'Ativação do plano'}: ${newPlan.name}`
+      }], { session });
+
+      await ledger.transfer({
+          kind: 'investment',
+          from: ledger.userAccount(userId),
+          to: ledger.ACCOUNTS.INVESTMENTS,
+          amount: costToUser,
+          transaction: investment._id,
+          description: investment.details
+      }, { session });
+
+      // 6. Lógica de Comissão de Referência (baseado no valor total do novo plano)
+      if (user.invitedBy) {
+          const inviter = await User.findOne({ userId: user.invitedBy }).session(session);
+          // Comissões são arredondadas para baixo; uma comissão de zero centavos não é lançada
+          const commission = money.percentOf(investmentAmount, settings.referralCommissionPercentage, money.ROUNDING.DOWN);
+          if (inviter && commission > 0) {
+              const [commissionTransaction] = await Transaction.create([{
+                  user: inviter._id,
+                  type: 'commission',
+                  amount: commission,
+                  status: 'completed',
+                  details: `Comissão de ${settings.referralCommissionPercentage}% pelo investimento de ${user.userId} no plano ${newPlan.name}`
+              }], { session });
+
+              await ledger.transfer({
+                  kind: 'commission',
+                  from: ledger.ACCOUNTS.COMMISSION_EXPENSE,
+                  to: ledger.userAccount(inviter._id),
+                  amount: commission,
+                  transaction: commissionTransaction._id,
+                  description: commissionTransaction.details
+              }, { session });
+          }
+      }
+
+      return { isUpgrade: Boolean(currentActivePlan) };
     });
 
-    // 7. Lógica de Comissão de Referência (baseado no valor total do novo plano)
-    if (user.invitedBy) {
-        const inviter = await User.findOne({ userId: user.invitedBy });
-        if (inviter) {
-            const commission = (investmentAmount * settings.referralCommissionPercentage) / 100;
-            inviter.walletBalance += commission;
-            await inviter.save();
-
-            await Transaction.create({
-                user: inviter._id,
-                type: 'commission',
-                amount: commission,
-                status: 'completed',
-                details: `Comissão de ${settings.referralCommissionPercentage}% pelo investimento de ${user.userId} no plano ${newPlan.name}`
-            });
-        }
-    }
-    
-    res.status(200).json({ message: `${currentActivePlan ? 'Upgrade realizado' : 'Plano ativado'} com sucesso!` });
+    res.status(200).json({ message: `${isUpgrade ? 'Upgrade realizado' : 'Plano ativado'} com sucesso!` });
 
   } catch (error) {
-    res.status(500).json({ message: 'Erro no servidor ao ativar o plano.', error: error.message });
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'VersionError') {
+      // Outra requisição alterou os planos do usuário ao mesmo tempo
+      return res.status(409).json({ message: 'Sua conta foi alterada por outra operação. Tente novamente.' });
+    }
+    res.status(500).json({ message: 'Erro no servidor ao ativar o plano. Nenhuma alteração foi aplicada.', error: error.message });
   }
 };
 
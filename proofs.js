@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Transaction } = require('./models');
+
+// =================
+// IMPRESSÃO DIGITAL DOS COMPROVANTES DE DEPÓSITO
+// =================
+// Cada comprovante recebe dois hashes:
+//   sha256         - idêntico só para o mesmo arquivo, byte a byte (reenvio do mesmo print)
+//   perceptualHash - dHash de 64 bits da imagem reduzida: continua parecido depois de
+//                    recortar, recomprimir ou editar um trecho (ex: o valor ou a data)
+// Um comprovante novo é comparado com os de todos os usuários. Para não varrer a coleção,
+// o dHash é dividido em 8 faixas de 8 bits: duas imagens a no máximo 7 bits de distância
+// têm pelo menos uma faixa igual, então só as transações com alguma faixa em comum são
+// comparadas bit a bit.
+
+const PERCEPTUAL_BANDS = 8;
+// Distância de Hamming máxima (em bits) para considerar duas imagens a mesma; deve ser menor que PERCEPTUAL_BANDS
+const SIMILARITY_THRESHOLD = 6;
+const MAX_CANDIDATES = 200;
+
+/**
+ * Calcula o dHash: a imagem é reduzida para 9x8 em tons de cinza e cada bit diz se
+ * um pixel é mais claro que o vizinho da direita.
+ * @param {Buffer} buffer - Conteúdo da imagem.
+ * @returns {Promise<string>} 16 dígitos hexadecimais.
+ */
+const perceptualHash = async (buffer) => {
+    const pixels = await sharp(buffer)
+        .rotate() // Respeita a orientação EXIF, como o visualizador do admin
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let column = 0; column < 8; column++) {
+            const bit = pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n;
+            hash = (hash << 1n) | bit;
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Divide o dHash em faixas identificadas pela posição (ex: '0:a3', '1:ff').
+ * @param {string} hash - dHash em hexadecimal.
+ * @returns {string[]}
+ */
+const perceptualBands = (hash) => {
+    const size = hash.length / PERCEPTUAL_BANDS;
+    return Array.from({ length: PERCEPTUAL_BANDS }, (_, index) => `${index}:${hash.slice(index * size, (index + 1) * size)}`);
+};
+
+/**
+ * Número de bits diferentes entre dois dHashes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const hammingDistance = (a, b) => {
+    let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (difference) {
+        distance += Number(difference & 1n);
+        difference >>= 1n;
+    }
+    return distance;
+};
+
+/**
+ * Calcula a impressão digital de um comprovante.
+ * @param {Buffer} buffer - Conteúdo da imagem (req.file.buffer).
+ * @returns {Promise<{sha256: string, perceptualHash: string, perceptualBands: string[]}>}
+ */
+const fingerprintProof = async (buffer) => {
+    const hash = await perceptualHash(buffer);
+    return {
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        perceptualHash: hash,
+        perceptualBands: perceptualBands(hash)
+    };
+};
+
+/**
+ * Procura depósitos anteriores, de qualquer usuário, com o mesmo comprovante ou um parecido.
+ * @param {{sha256: string, perceptualHash: string, perceptualBands: string[]}} proof - Resultado de fingerprintProof.
+ * @returns {Promise<Array<{match: 'exact'|'similar', transaction: ObjectId, user: ObjectId, distance: number}>>}
+ *   'similar' é uma imagem diferente mas visualmente quase igual: possível comprovante adulterado.
+ */
+const findProofReuse = async (proof) => {
+    const select = 'user proof.sha256 proof.perceptualHash';
+    // As cópias exatas são buscadas à parte para nunca ficarem de fora do limite de candidatos
+    const exact = await Transaction.find({ type: 'deposit', 'proof.sha256': proof.sha256 })
+        .select(select).sort({ createdAt: -1 }).limit(MAX_CANDIDATES).lean();
+    const candidates = await Transaction.find({
+        type: 'deposit',
+        'proof.sha256': { $ne: proof.sha256 },
+        'proof.perceptualBands': { $in: proof.perceptualBands }
+    }).select(select).sort({ createdAt: -1 }).limit(MAX_CANDIDATES).lean();
+
+    const similar = candidates
+        .map((candidate) => ({ candidate, distance: hammingDistance(candidate.proof.perceptualHash, proof.perceptualHash) }))
+        .filter(({ distance }) => distance <= SIMILARITY_THRESHOLD)
+        .map(({ candidate, distance }) => ({ match: 'similar', transaction: candidate._id, user: candidate.user, distance }));
+
+    return [
+        ...exact.map((candidate) => ({ match: 'exact', transaction: candidate._id, user: candidate.user, distance: 0 })),
+        ...similar
+    ];
+};
+
+module.exports = { fingerprintProof, findProofReuse, hammingDistance };
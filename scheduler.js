@@ -0,0 +1,145 @@
+const os = require('os');
+const crypto = require('crypto');
+const { JobLock, JobRun } = require('./models');
+const { expireMaturedPlans } = require('./maturity');
+const { reconcilePayments } = require('./payments');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Identifica esta instância do servidor na trava das tarefas
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const MINUTE = 60 * 1000;
+
+// Tarefas registradas no agendador
+const JOBS = {
+    expirePlans: {
+        description: 'Encerra planos vencidos e registra o evento de vencimento.',
+        intervalMs: (Number(process.env.PLAN_EXPIRY_INTERVAL_MINUTES) || 60) * MINUTE,
+        lockTtlMs: 10 * MINUTE, // A trava expira sozinha se a instância morrer no meio da execução
+        run: expireMaturedPlans
+    },
+    reconcilePayments: {
+        description: 'Reenvia pedidos ao provedor de pagamento e consulta o status dos que estão sem notificação.',
+        intervalMs: (Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 5) * MINUTE,
+        lockTtlMs: 10 * MINUTE,
+        run: reconcilePayments
+    }
+};
+
+const timers = [];
+
+/**
+ * Tenta adquirir a trava de uma tarefa para uma execução. A trava não é reentrante: enquanto
+ * valer, nem outra execução desta mesma instância (ex: runJobNow durante um tick) a obtém.
+ * @param {string} name - Nome da tarefa.
+ * @param {number} ttlMs - Por quanto tempo a trava vale.
+ * @returns {Promise<string|null>} O token da execução, ou null se a trava está ocupada.
+ */
+const acquireLock = async (name, ttlMs) => {
+    const now = new Date();
+    const token = crypto.randomBytes(8).toString('hex');
+    try {
+        await JobLock.findOneAndUpdate(
+            { name, lockedUntil: { $lte: now } },
+            { $set: { owner: INSTANCE_ID, token, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: true }
+        );
+        return token;
+    } catch (error) {
+        // Chave duplicada: outra execução detém uma trava ainda válida
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Libera a trava de uma tarefa, se ela ainda pertencer à execução do token.
+ * @param {string} name - Nome da tarefa.
+ * @param {string} token - Token devolvido por acquireLock.
+ */
+const releaseLock = async (name, token) => {
+    await JobLock.updateOne({ name, token }, { $set: { lockedUntil: new Date() } });
+};
+
+/**
+ * Executa uma tarefa registrada, se a trava estiver livre, e guarda o resultado em JobRun.
+ * @param {string} name - Nome da tarefa (chave de JOBS).
+ * @returns {Promise<object|null>} O JobRun da execução, ou null se outra instância já está executando.
+ */
+const runJob = async (name) => {
+    const job = JOBS[name];
+    if (!job) throw new Error(`Tarefa desconhecida: ${name}`);
+
+    const token = await acquireLock(name, job.lockTtlMs);
+    if (!token) return null;
+
+    const jobRun = await JobRun.create({ job: name, owner: INSTANCE_ID });
+    try {
+        jobRun.result = await job.run();
+        jobRun.status = 'success';
+    } catch (error) {
+        console.error(`Erro na tarefa ${name}:`, error);
+        jobRun.status = 'failed';
+        jobRun.error = error.message;
+    } finally {
+        jobRun.finishedAt = new Date();
+        await jobRun.save();
+        await releaseLock(name, token);
+    }
+    return jobRun;
+};
+
+/**
+ * Inicia o agendador: executa cada tarefa agora e depois no seu intervalo.
+ * Pode ser desativado com SCHEDULER_ENABLED=false (ex: em instâncias só de API).
+ */
+const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('Agendador de tarefas desativado.');
+        return;
+    }
+
+    for (const name of Object.keys(JOBS)) {
+        const tick = () => runJob(name).catch((error) => console.error(`Erro ao agendar a tarefa ${name}:`, error));
+        tick();
+        const timer = setInterval(tick, JOBS[name].intervalMs);
+        timer.unref(); // Não impede o processo de encerrar
+        timers.push(timer);
+    }
+    console.log(`Agendador de tarefas iniciado (${INSTANCE_ID}).`);
+};
+
+/**
+ * Para o agendador (usado em testes e no encerramento do servidor).
+ */
+const stopScheduler = () => {
+    while (timers.length) clearInterval(timers.pop());
+};
+
+/**
+ * Resume o estado de cada tarefa: trava atual e últimas execuções.
+ * @returns {Promise<object[]>}
+ */
+const getJobsStatus = async () => {
+    return Promise.all(Object.entries(JOBS).map(async ([name, job]) => {
+        const [lock, lastRun, lastSuccess] = await Promise.all([
+            JobLock.findOne({ name }),
+            JobRun.findOne({ job: name }).sort({ startedAt: -1 }),
+            JobRun.findOne({ job: name, status: 'success' }).sort({ startedAt: -1 })
+        ]);
+        const isRunning = Boolean(lock && lock.lockedUntil > new Date());
+        return {
+            name,
+            description: job.description,
+            intervalMs: job.intervalMs,
+            isRunning,
+            lockedBy: isRunning ? lock.owner : null,
+            lastRun,
+            lastSuccess
+        };
+    }));
+};
+
+module.exports = { JOBS, runJob, startScheduler, stopScheduler, getJobsStatus };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { User, Admin, RefreshToken } = require('./models');
+const { TOKEN_TYPES, generateToken } = require('./auth');
+const { HttpError } = require('./utils');
+
+// =================
+// SESSÕES COM REFRESH TOKENS ROTATIVOS
+// =================
+// Cada login cria uma "família" de refresh tokens. Usar um refresh token o revoga e emite
+// outro da mesma família (rotação). Se um token já revogado for apresentado de novo,
+// ele vazou: a família inteira é revogada e o dono precisa fazer login novamente.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sessões de admin duram menos que as de usuário
+const REFRESH_TOKEN_TTL_MS = {
+    User: (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * HOUR_MS,
+    Admin: (Number(process.env.ADMIN_REFRESH_TOKEN_TTL_HOURS) || 12) * HOUR_MS
+};
+
+const SUBJECT_MODELS = { User, Admin };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Emite um par de tokens (acesso + refresh) e guarda o hash do refresh token.
+ * @param {'User'|'Admin'} subjectType - Tipo do dono da sessão.
+ * @param {object} subject - Documento do usuário ou admin.
+ * @param {import('express').Request} req - Requisição (para registrar IP e user agent).
+ * @param {string} [family] - Família do token anterior, ao rotacionar.
+ * @returns {Promise<{tokens: {token: string, refreshToken: string, expiresIn: string}, record: object}>}
+ */
+const issueTokens = async (subjectType, subject, req, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+        tokenHash: hashToken(refreshToken),
+        subjectType,
+        subject: subject._id,
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS[subjectType]),
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    });
+
+    return {
+        tokens: { token: generateToken(subjectType, subject), refreshToken, expiresIn: TOKEN_TYPES[subjectType].ttl },
+        record
+    };
+};
+
+/**
+ * Inicia uma nova sessão (login ou cadastro).
+ * @param {'User'|'Admin'} subjectType - Tipo do dono da sessão.
+ * @param {object} subject - Documento do usuário ou admin.
+ * @param {import('express').Request} req - Requisição.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+const createSession = async (subjectType, subject, req) => {
+    const { tokens } = await issueTokens(subjectType, subject, req);
+    return tokens;
+};
+
+/**
+ * Troca um refresh token válido por um novo par de tokens.
+ * @param {'User'|'Admin'} subjectType - Tipo esperado do dono da sessão.
+ * @param {string} refreshToken - Refresh token apresentado pelo cliente.
+ * @param {import('express').Request} req - Requisição.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ * @throws {HttpError} 401 se o token for inválido, vencido ou reutilizado; 403 se a conta estiver bloqueada/desativada.
+ */
+const rotateSession = async (subjectType, refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // A revogação é condicional: de duas rotações simultâneas com o mesmo token, só uma vence
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, subjectType, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now, revokedReason: 'rotated' } },
+        { new: true }
+    );
+
+    if (!current) {
+        const reused = await RefreshToken.findOne({ tokenHash, subjectType, revokedAt: { $ne: null } });
+        if (reused) {
+            await RefreshToken.updateMany(
+                { family: reused.family, revokedAt: null },
+                { $set: { revokedAt: now, revokedReason: 'reuse' } }
+            );
+        }
+        throw new HttpError(401, 'Sessão inválida ou expirada. Faça login novamente.');
+    }
+
+    const subject = await SUBJECT_MODELS[subjectType].findById(current.subject);
+    if (!subject) throw new HttpError(401, 'Sessão inválida ou expirada. Faça login novamente.');
+    if (subjectType === 'User' && subject.isBlocked) {
+        throw new HttpError(403, 'Sua conta foi bloqueada. Entre em contato com o suporte.');
+    }
+    if (subjectType === 'Admin' && !subject.isActive) {
+        throw new HttpError(403, 'Esta conta de administrador foi desativada.');
+    }
+
+    const { tokens, record } = await issueTokens(subjectType, subject, req, current.family);
+    await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: record._id } });
+
+    return tokens;
+};
+
+/**
+ * Encerra a sessão de um refresh token (logout neste dispositivo).
+ * Tokens desconhecidos ou já revogados são ignorados.
+ * @param {'User'|'Admin'} subjectType - Tipo do dono da sessão.
+ * @param {string} refreshToken - Refresh token apresentado pelo cliente.
+ */
+const revokeSession = async (subjectType, refreshToken) => {
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), subjectType, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+};
+
+/**
+ * Encerra todas as sessões de um usuário ou admin: revoga os refresh tokens e
+ * incrementa a tokenVersion, o que invalida na hora os tokens de acesso já emitidos.
+ * @param {'User'|'Admin'} subjectType - Tipo do dono das sessões.
+ * @param {string|import('mongoose').Types.ObjectId} subjectId - O _id do usuário ou admin.
+ * @param {string} reason - Motivo registrado nos tokens (ex: 'logout_all', 'blocked', 'credentials').
+ * @param {{session?: import('mongoose').ClientSession}} [options]
+ */
+const revokeAllSessions = async (subjectType, subjectId, reason, { session } = {}) => {
+    await SUBJECT_MODELS[subjectType].updateOne({ _id: subjectId }, { $inc: { tokenVersion: 1 } }, { session });
+    await RefreshToken.updateMany(
+        { subjectType, subject: subjectId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { session }
+    );
+};
+
+module.exports = { createSession, rotateSession, revokeSession, revokeAllSessions };
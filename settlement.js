@@ -0,0 +1,72 @@
+const { Transaction } = require('./models');
+const ledger = require('./ledger');
+
+// =================
+// LIQUIDAÇÃO DE DEPÓSITOS E SAQUES
+// =================
+// Lança no livro-razão o movimento de um depósito ou saque que acabou de mudar de status.
+// É o mesmo para a ação manual do admin, para a confirmação automática do provedor de
+// pagamento (ver payments.js) e para o retorno de um lote de pagamento (ver withdrawals.js).
+// Os demais status de saque (under_review, processing, failed) não movimentam dinheiro:
+// o valor continua retido em "saques a pagar". A taxa do saque só é devolvida junto com ele.
+
+/**
+ * @param {object} transaction - A transação, já com o novo status gravado.
+ * @param {string} status - O novo status.
+ * @param {import('mongoose').ClientSession} session - Sessão da transação em andamento.
+ */
+const settleTransaction = async (transaction, status, session) => {
+    const userAccount = ledger.userAccount(transaction.user);
+
+    if (transaction.type === 'deposit' && status === 'completed') {
+        // O dinheiro recebido entra no caixa e é creditado na carteira do usuário
+        await ledger.transfer({
+            kind: 'deposit',
+            from: ledger.ACCOUNTS.CASH,
+            to: userAccount,
+            amount: transaction.amount,
+            transaction: transaction._id,
+            description: 'Depósito aprovado'
+        }, { session });
+    } else if (transaction.type === 'withdrawal' && status === 'paid') {
+        // O saque retido é pago a partir do caixa
+        await ledger.transfer({
+            kind: 'withdrawal',
+            from: ledger.ACCOUNTS.WITHDRAWALS_PAYABLE,
+            to: ledger.ACCOUNTS.CASH,
+            amount: transaction.amount,
+            transaction: transaction._id,
+            description: 'Saque pago'
+        }, { session });
+    } else if (transaction.type === 'withdrawal' && (status === 'rejected' || status === 'reversed')) {
+        // Devolve o dinheiro para a carteira do usuário se o saque for rejeitado ou estornado
+        await ledger.transfer({
+            kind: 'withdrawal_reversal',
+            from: ledger.ACCOUNTS.WITHDRAWALS_PAYABLE,
+            to: userAccount,
+            amount: transaction.amount,
+            transaction: transaction._id,
+            description: status === 'reversed'
+                ? 'Saque estornado, valor devolvido à carteira'
+                : 'Saque rejeitado, valor devolvido à carteira'
+        }, { session });
+
+        const fee = await Transaction.findOneAndUpdate(
+            { type: 'fee', relatedTransaction: transaction._id, status: 'completed' },
+            { $set: { status: 'reversed' } },
+            { new: true, session }
+        );
+        if (fee) {
+            await ledger.transfer({
+                kind: 'withdrawal_fee_reversal',
+                from: ledger.ACCOUNTS.FEE_INCOME,
+                to: userAccount,
+                amount: fee.amount,
+                transaction: fee._id,
+                description: 'Taxa de saque devolvida à carteira'
+            }, { session });
+        }
+    }
+};
+
+module.exports = { settleTransaction };
@@ -0,0 +1,241 @@
+// =================
+// SIMULADOR LOCAL DOS PROVEDORES DE PAGAMENTO (M-PESA E E-MOLA)
+// =================
+// Servidor HTTP que responde como as APIs dos provedores (ver paymentProviders.js) e,
+// depois de um intervalo, envia a notificação assinada para a API, como o celular do
+// cliente confirmando o pagamento. Permite testar depósitos e saques sem rede.
+//
+// Uso: npm run simulate:payments (os testes importam o app e escolhem a porta)
+// Configuração da API (.env):
+//   MPESA_API_URL=http://localhost:5055/mpesa   MPESA_CALLBACK_SECRET=segredo-mpesa
+//   EMOLA_API_URL=http://localhost:5055/emola   EMOLA_CALLBACK_SECRET=segredo-emola
+// O simulador lê os mesmos *_CALLBACK_SECRET e *_API_KEY do .env.
+//
+// O resultado depende do final do número do cliente:
+//   ...000 - recusado na hora (saldo insuficiente)
+//   ...503 - responde 503 sem registrar o pedido (provedor instável)
+//   ...111 - aceito, depois falha (cliente cancelou no celular)
+//   ...999 - aceito e fica pendente para sempre (para testar a consulta de status e o prazo)
+//   outros - aceito e concluído depois de SIMULATOR_CONFIRM_DELAY_MS (padrão 3000)
+// Com SIMULATOR_DROP_CALLBACKS=true o resultado muda mas a notificação não é enviada.
+//
+// Rotas auxiliares:
+//   GET  /_simulator/transactions                               - lista as transações recebidas
+//   POST /_simulator/transactions/:provider/:reference/complete - conclui na hora
+//   POST /_simulator/transactions/:provider/:reference/fail     - falha na hora
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const crypto = require('crypto');
+const express = require('express');
+const { signCallback } = require('../paymentProviders');
+
+const PORT = Number(process.env.SIMULATOR_PORT) || 5055;
+const CONFIRM_DELAY_MS = Number(process.env.SIMULATOR_CONFIRM_DELAY_MS) || 3000;
+const CALLBACK_BASE_URL = (process.env.SIMULATOR_CALLBACK_URL || `http://localhost:${process.env.PORT || 5000}/api/v1/payments`).replace(/\/$/, '');
+const DROP_CALLBACKS = process.env.SIMULATOR_DROP_CALLBACKS === 'true';
+
+const PROVIDERS = {
+    mpesa: { envPrefix: 'MPESA' },
+    emola: { envPrefix: 'EMOLA' }
+};
+
+// Transações recebidas, por "<provedor>:<referência>"
+const transactions = new Map();
+
+const providerEnv = (provider, key) => process.env[`${PROVIDERS[provider].envPrefix}_${key}`];
+
+/**
+ * Formato de cada provedor: leitura do pedido e montagem das respostas e notificações.
+ */
+const FORMATS = {
+    mpesa: {
+        readRequest: (body) => ({
+            reference: body.input_ThirdPartyReference,
+            msisdn: String(body.input_CustomerMSISDN || ''),
+            amount: body.input_Amount
+        }),
+        accepted: (transaction) => ({
+            output_ResponseCode: 'INS-0',
+            output_ResponseDesc: 'Request processed successfully',
+            output_TransactionID: transaction.providerReference,
+            output_ThirdPartyReference: transaction.reference
+        }),
+        refused: (code, message) => ({ output_ResponseCode: code, output_ResponseDesc: message }),
+        refusalCodes: { duplicate: 'INS-10', insufficientBalance: 'INS-2006', invalid: 'INS-13' },
+        status: (transaction) => ({
+            output_ResponseCode: 'INS-0',
+            output_ResponseTransactionStatus: { completed: 'Completed', failed: 'Failed', pending: 'Pending' }[transaction.status],
+            output_TransactionID: transaction.providerReference
+        }),
+        callback: (transaction) => ({
+            input_ThirdPartyReference: transaction.reference,
+            input_TransactionReference: transaction.reference,
+            input_CustomerMSISDN: transaction.msisdn,
+            input_Amount: transaction.amount,
+            output_TransactionID: transaction.providerReference,
+            output_ResponseTransactionStatus: transaction.status === 'completed' ? 'Completed' : 'Failed'
+        })
+    },
+    emola: {
+        readRequest: (body) => ({
+            reference: body.reference,
+            msisdn: String(body.msisdn || ''),
+            amount: body.amount
+        }),
+        accepted: (transaction) => ({ code: '0', message: 'Accepted', transactionId: transaction.providerReference }),
+        refused: (code, message) => ({ code, message }),
+        refusalCodes: { duplicate: '1002', insufficientBalance: '1001', invalid: '1000' },
+        status: (transaction) => ({
+            reference: transaction.reference,
+            transactionId: transaction.providerReference,
+            status: { completed: 'SUCCESS', failed: 'FAILED', pending: 'PENDING' }[transaction.status]
+        }),
+        callback: (transaction) => ({
+            reference: transaction.reference,
+            transactionId: transaction.providerReference,
+            msisdn: transaction.msisdn,
+            amount: transaction.amount,
+            status: transaction.status === 'completed' ? 'SUCCESS' : 'FAILED'
+        })
+    }
+};
+
+/**
+ * Envia a notificação assinada do resultado para a API.
+ * @param {object} transaction
+ */
+const sendCallback = async (transaction) => {
+    if (DROP_CALLBACKS) {
+        console.log(`[simulador] Notificação de ${transaction.provider}:${transaction.reference} descartada (SIMULATOR_DROP_CALLBACKS).`);
+        return;
+    }
+
+    const body = JSON.stringify(FORMATS[transaction.provider].callback(transaction));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = providerEnv(transaction.provider, 'CALLBACK_SECRET') || '';
+    try {
+        const response = await fetch(`${CALLBACK_BASE_URL}/${transaction.provider}/callback`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Timestamp': String(timestamp),
+                'X-Signature': signCallback(secret, timestamp, body)
+            },
+            body
+        });
+        console.log(`[simulador] Notificação de ${transaction.provider}:${transaction.reference} (${transaction.status}) -> ${response.status} ${await response.text()}`);
+    } catch (error) {
+        console.error(`[simulador] Falha ao notificar ${transaction.provider}:${transaction.reference}:`, error.message);
+    }
+};
+
+/**
+ * Conclui ou falha uma transação pendente e notifica a API.
+ * @param {object} transaction
+ * @param {'completed'|'failed'} status
+ */
+const resolveTransaction = async (transaction, status) => {
+    if (transaction.status !== 'pending') return;
+    clearTimeout(transaction.timer);
+    transaction.status = status;
+    transaction.resolvedAt = new Date().toISOString();
+    await sendCallback(transaction);
+};
+
+/**
+ * Trata um pedido de cobrança (C2B) ou pagamento (B2C).
+ * @param {string} provider - 'mpesa' ou 'emola'.
+ * @param {'collect'|'payout'} kind
+ */
+const handlePaymentRequest = (provider, kind) => (req, res) => {
+    const format = FORMATS[provider];
+    const apiKey = providerEnv(provider, 'API_KEY');
+    if (apiKey && req.get('Authorization') !== `Bearer ${apiKey}`) {
+        return res.status(401).json(format.refused('401', 'Invalid API key'));
+    }
+
+    const { reference, msisdn, amount } = format.readRequest(req.body);
+    if (!reference || !/^258\d{9}$/.test(msisdn) || !(Number(amount) > 0)) {
+        return res.status(400).json(format.refused(format.refusalCodes.invalid, 'Invalid request parameters'));
+    }
+    const key = `${provider}:${reference}`;
+    if (transactions.has(key)) {
+        return res.status(409).json(format.refused(format.refusalCodes.duplicate, 'Duplicate transaction'));
+    }
+    if (msisdn.endsWith('503')) {
+        return res.status(503).json(format.refused('503', 'Service temporarily unavailable'));
+    }
+    if (msisdn.endsWith('000')) {
+        return res.status(422).json(format.refused(format.refusalCodes.insufficientBalance, 'Insufficient balance'));
+    }
+
+    const transaction = {
+        provider,
+        kind,
+        reference,
+        msisdn,
+        amount,
+        providerReference: crypto.randomBytes(5).toString('hex').toUpperCase(),
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+    transactions.set(key, transaction);
+    console.log(`[simulador] ${provider} ${kind} ${reference}: ${amount} MT para ${msisdn}`);
+
+    if (!msisdn.endsWith('999')) {
+        const outcome = msisdn.endsWith('111') ? 'failed' : 'completed';
+        transaction.timer = setTimeout(() => resolveTransaction(transaction, outcome), CONFIRM_DELAY_MS);
+    }
+
+    res.status(201).json(format.accepted(transaction));
+};
+
+/**
+ * Consulta o status de uma transação pela referência.
+ * @param {string} provider
+ * @param {(req: object) => string} getReference
+ */
+const handleStatusQuery = (provider, getReference) => (req, res) => {
+    const format = FORMATS[provider];
+    const transaction = transactions.get(`${provider}:${getReference(req)}`);
+    if (!transaction) {
+        return res.status(404).json(format.refused(format.refusalCodes.invalid, 'Transaction not found'));
+    }
+    res.json(format.status(transaction));
+};
+
+const app = express();
+app.use(express.json());
+
+app.post('/mpesa/ipg/v1x/c2bPayment/singleStage/', handlePaymentRequest('mpesa', 'collect'));
+app.post('/mpesa/ipg/v1x/b2cPayment/', handlePaymentRequest('mpesa', 'payout'));
+app.get('/mpesa/ipg/v1x/queryTransactionStatus/', handleStatusQuery('mpesa', (req) => req.query.input_ThirdPartyReference));
+
+app.post('/emola/v1/collections', handlePaymentRequest('emola', 'collect'));
+app.post('/emola/v1/disbursements', handlePaymentRequest('emola', 'payout'));
+app.get('/emola/v1/transactions/:reference', handleStatusQuery('emola', (req) => req.params.reference));
+
+app.get('/_simulator/transactions', (req, res) => {
+    res.json([...transactions.values()].map(({ timer, ...transaction }) => transaction));
+});
+
+app.post('/_simulator/transactions/:provider/:reference/:outcome', async (req, res) => {
+    const transaction = transactions.get(`${req.params.provider}:${req.params.reference}`);
+    const status = { complete: 'completed', fail: 'failed' }[req.params.outcome];
+    if (!transaction || !status) return res.status(404).json({ message: 'Transação ou ação não encontrada.' });
+    if (transaction.status !== 'pending') return res.status(400).json({ message: `A transação já está ${transaction.status}.` });
+
+    await resolveTransaction(transaction, status);
+    const { timer, ...result } = transaction;
+    res.json(result);
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Simulador de pagamentos rodando na porta ${PORT}; notificações para ${CALLBACK_BASE_URL}`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// =================
+// ENVIO DE SMS (REMETENTES PLUGÁVEIS)
+// =================
+// O remetente é escolhido por SMS_SENDER. Um remetente é qualquer função
+// async (to, message) => void; novos provedores são adicionados com registerSmsSender.
+//   'console' - imprime a mensagem no log (desenvolvimento local, padrão)
+//   'file'    - acrescenta a mensagem em JSON ao arquivo SMS_OUTBOX_FILE (testes automatizados)
+
+const senders = {
+    console: async (to, message) => {
+        console.log(`[SMS] Para ${to}: ${message}`);
+    },
+    file: async (to, message) => {
+        const file = process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), 'sms-outbox.log');
+        const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+        await fs.promises.appendFile(file, `${line}\n`);
+    }
+};
+
+/**
+ * Registra (ou substitui) um remetente de SMS.
+ * @param {string} name - Nome usado em SMS_SENDER.
+ * @param {(to: string, message: string) => Promise<void>} sender
+ */
+const registerSmsSender = (name, sender) => {
+    senders[name] = sender;
+};
+
+/**
+ * Envia um SMS pelo remetente configurado.
+ * @param {string} to - Número de destino em E.164.
+ * @param {string} message - Texto da mensagem.
+ */
+const sendSms = async (to, message) => {
+    const name = process.env.SMS_SENDER || 'console';
+    const sender = senders[name];
+    if (!sender) throw new Error(`Remetente de SMS desconhecido: ${name}`);
+    await sender(to, message);
+};
+
+module.exports = { registerSmsSender, sendSms };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cloudinary } = require('./config');
+
+// =================
+// ARMAZENAMENTO DE ARQUIVOS (BACKENDS PLUGÁVEIS)
+// =================
+// O backend é escolhido por FILE_STORAGE:
+//   'cloudinary' - envia para o Cloudinary (padrão quando CLOUDINARY_CLOUD_NAME está definido)
+//   'local'      - grava em UPLOAD_DIR e serve em /uploads (padrão sem Cloudinary; desenvolvimento e testes)
+// Todo backend expõe save(file) -> { url, key } e remove(url). Só arquivos enviados por
+// este backend são removidos: URLs de terceiros (ex: a foto de perfil padrão) são ignoradas.
+
+const CLOUDINARY_FOLDER = 'indodax';
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+const LOCAL_PUBLIC_PATH = '/uploads';
+
+/**
+ * Gera um nome de arquivo único a partir do campo do formulário.
+ * @param {string} fieldname - Ex: 'profilePicture'.
+ */
+const uniqueName = (fieldname) => `${fieldname}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+const cloudinaryStorage = {
+    name: 'cloudinary',
+
+    /**
+     * @param {{buffer: Buffer, fieldname: string, extension: string}} file
+     * @returns {Promise<{url: string, key: string}>}
+     */
+    save(file) {
+        return new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream({
+                folder: CLOUDINARY_FOLDER,
+                public_id: uniqueName(file.fieldname),
+                format: file.extension,
+                resource_type: 'image'
+            }, (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, key: result.public_id })));
+            stream.end(file.buffer);
+        });
+    },
+
+    /**
+     * @param {string} url - URL devolvida por save.
+     */
+    async remove(url) {
+        // Ex: https://res.cloudinary.com/<cloud>/image/upload/v123/indodax/profilePicture_1_ab12.png
+        const match = /\/image\/upload\/(?:v\d+\/)?(.+)\.[a-z0-9]+$/i.exec(url || '');
+        if (!match || !match[1].startsWith(`${CLOUDINARY_FOLDER}/`)) return;
+        if (!url.includes(`/${process.env.CLOUDINARY_CLOUD_NAME}/`)) return;
+        await cloudinary.uploader.destroy(match[1], { resource_type: 'image' });
+    }
+};
+
+const localStorage = {
+    name: 'local',
+    directory: LOCAL_UPLOAD_DIR,
+    publicPath: LOCAL_PUBLIC_PATH,
+
+    async save(file) {
+        await fs.promises.mkdir(LOCAL_UPLOAD_DIR, { recursive: true });
+        const filename = `${uniqueName(file.fieldname)}.${file.extension}`;
+        await fs.promises.writeFile(path.join(LOCAL_UPLOAD_DIR, filename), file.buffer);
+        return { url: `${LOCAL_PUBLIC_PATH}/${filename}`, key: filename };
+    },
+
+    async remove(url) {
+        if (typeof url !== 'string' || !url.startsWith(`${LOCAL_PUBLIC_PATH}/`)) return;
+        // basename impede que uma URL manipulada apague arquivos fora da pasta de uploads
+        const filename = path.basename(url);
+        await fs.promises.rm(path.join(LOCAL_UPLOAD_DIR, filename), { force: true });
+    }
+};
+
+const BACKENDS = { cloudinary: cloudinaryStorage, local: localStorage };
+
+const backendName = process.env.FILE_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+const storage = BACKENDS[backendName];
+if (!storage) throw new Error(`FILE_STORAGE desconhecido: ${backendName}`);
+
+/**
+ * Remove um arquivo que deixou de ser usado (foto substituída, plano ou banner removido).
+ * Falhas são apenas registradas no log: o arquivo órfão não deve derrubar a operação principal.
+ * @param {string} url - URL salva no documento.
+ */
+const removeFile = async (url) => {
+    try {
+        await storage.remove(url);
+    } catch (error) {
+        console.error(`Erro ao remover arquivo ${url}:`, error.message);
+    }
+};
+
+module.exports = { storage, removeFile };
@@ -0,0 +1,161 @@
+// Tokens de acesso (auth.js): cada tipo de token só é aceito com as suas chaves, audiência e tipo.
+// Estes testes não usam o banco: todos os tokens recusados param antes da busca do dono.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const USER_KEY = { kid: 'user-2025', secret: 'segredo-de-usuario' };
+const ADMIN_KEY = { kid: 'admin-2025', secret: 'segredo-de-admin' };
+const subject = { _id: '64f000000000000000000001', tokenVersion: 0 };
+
+/**
+ * Carrega o auth.js de novo com as chaves informadas (as chaves são lidas quando o módulo é carregado).
+ * @param {{JWT_KEYS?: string, JWT_ADMIN_KEYS?: string, JWT_SECRET?: string}} env
+ */
+const loadAuth = ({ JWT_KEYS = '', JWT_ADMIN_KEYS = '', JWT_SECRET = '' } = {}) => {
+    Object.assign(process.env, { JWT_KEYS, JWT_ADMIN_KEYS, JWT_SECRET });
+    delete require.cache[require.resolve('../auth')];
+    return require('../auth');
+};
+
+const keys = (...pairs) => pairs.map(({ kid, secret }) => `${kid}:${secret}`).join(',');
+
+/**
+ * Assina um token arbitrário, para simular tokens forjados ou de outro tipo.
+ */
+const sign = (payload, key, { audience, kid = key.kid } = {}) => jwt.sign(payload, key.secret, {
+    algorithm: 'HS256',
+    ...(kid ? { keyid: kid } : {}),
+    subject: subject._id,
+    audience,
+    issuer: 'indodax-api',
+    expiresIn: '5m'
+});
+
+/**
+ * Resposta falsa do Express que guarda o status e o corpo.
+ */
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+/**
+ * Passa um token por um middleware de proteção.
+ * @returns {Promise<{res: object, nextCalled: boolean}>}
+ */
+const runMiddleware = async (middleware, token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = fakeResponse();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+};
+
+describe('auth', () => {
+    let auth;
+
+    beforeEach(() => {
+        auth = loadAuth({ JWT_KEYS: keys(USER_KEY), JWT_ADMIN_KEYS: keys(ADMIN_KEY) });
+    });
+
+    describe('verifyToken', () => {
+        it('aceita o token do próprio tipo e devolve o dono em sub', () => {
+            const payload = auth.verifyToken('User', auth.generateToken('User', subject));
+            assert.equal(payload.sub, subject._id);
+            assert.equal(payload.typ, auth.TOKEN_TYPES.User.type);
+            assert.equal(payload.aud, auth.TOKEN_TYPES.User.audience);
+        });
+
+        it('recusa um token de usuário como token de admin, e vice-versa', () => {
+            assert.throws(() => auth.verifyToken('Admin', auth.generateToken('User', subject)), /Chave do token desconhecida/);
+            assert.throws(() => auth.verifyToken('User', auth.generateToken('Admin', subject)), /Chave do token desconhecida/);
+        });
+
+        it('recusa o token de 2FA do login como token de admin', () => {
+            assert.throws(() => auth.verifyToken('Admin', auth.generateToken('AdminTwoFactor', subject)), /audience invalid/);
+        });
+
+        it('recusa um token assinado com a chave certa mas com a audiência de outro tipo', () => {
+            const token = sign({ typ: 'user', tv: 0 }, USER_KEY, { audience: auth.TOKEN_TYPES.Admin.audience });
+            assert.throws(() => auth.verifyToken('User', token), /audience invalid/);
+        });
+
+        it('recusa um token com a audiência certa mas de outro tipo (typ)', () => {
+            const token = sign({ typ: 'user', tv: 0 }, ADMIN_KEY, { audience: auth.TOKEN_TYPES.Admin.audience });
+            assert.throws(() => auth.verifyToken('Admin', token), /Tipo de token inválido/);
+        });
+
+        it('recusa um token com kid desconhecido ou sem kid', () => {
+            const unknown = sign({ typ: 'user', tv: 0 }, { kid: 'desconhecida', secret: USER_KEY.secret }, { audience: auth.TOKEN_TYPES.User.audience });
+            const withoutKid = sign({ typ: 'user', tv: 0 }, USER_KEY, { audience: auth.TOKEN_TYPES.User.audience, kid: null });
+            assert.throws(() => auth.verifyToken('User', unknown), /Chave do token desconhecida/);
+            assert.throws(() => auth.verifyToken('User', withoutKid), /Chave do token desconhecida/);
+        });
+
+        it('recusa um token com o kid certo mas assinado com outro segredo', () => {
+            const token = sign({ typ: 'user', tv: 0 }, { kid: USER_KEY.kid, secret: 'outro-segredo' }, { audience: auth.TOKEN_TYPES.User.audience });
+            assert.throws(() => auth.verifyToken('User', token), /invalid signature/);
+        });
+
+        it('sem JWT_ADMIN_KEYS, a chave de admin derivada do JWT_SECRET não aceita tokens de usuário', () => {
+            auth = loadAuth({ JWT_SECRET: 'segredo-unico' });
+            assert.throws(() => auth.verifyToken('Admin', auth.generateToken('User', subject)), /Chave do token desconhecida/);
+            assert.equal(auth.verifyToken('Admin', auth.generateToken('Admin', subject)).sub, subject._id);
+        });
+    });
+
+    describe('rotação de chaves', () => {
+        const NEW_USER_KEY = { kid: 'user-2026', secret: 'segredo-novo-de-usuario' };
+
+        it('tokens da chave anterior continuam válidos enquanto ela estiver na lista', () => {
+            const oldToken = auth.generateToken('User', subject);
+
+            auth = loadAuth({ JWT_KEYS: keys(NEW_USER_KEY, USER_KEY), JWT_ADMIN_KEYS: keys(ADMIN_KEY) });
+            assert.equal(auth.verifyToken('User', oldToken).sub, subject._id);
+
+            const newToken = auth.generateToken('User', subject);
+            assert.equal(jwt.decode(newToken, { complete: true }).header.kid, NEW_USER_KEY.kid);
+            assert.equal(auth.verifyToken('User', newToken).sub, subject._id);
+        });
+
+        it('tokens da chave removida deixam de ser aceitos', () => {
+            const oldToken = auth.generateToken('User', subject);
+
+            auth = loadAuth({ JWT_KEYS: keys(NEW_USER_KEY), JWT_ADMIN_KEYS: keys(ADMIN_KEY) });
+            assert.throws(() => auth.verifyToken('User', oldToken), /Chave do token desconhecida/);
+        });
+    });
+
+    describe('middlewares de proteção', () => {
+        it('protectAdmin recusa um token de usuário', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const { res, nextCalled } = await runMiddleware(auth.protectAdmin, auth.generateToken('User', subject));
+            assert.equal(nextCalled, false);
+            assert.equal(res.statusCode, 401);
+        });
+
+        it('protectUser recusa um token de admin', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const { res, nextCalled } = await runMiddleware(auth.protectUser, auth.generateToken('Admin', subject));
+            assert.equal(nextCalled, false);
+            assert.equal(res.statusCode, 401);
+        });
+
+        it('protectAdmin recusa o token de 2FA do login', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            const { res, nextCalled } = await runMiddleware(auth.protectAdmin, auth.generateToken('AdminTwoFactor', subject));
+            assert.equal(nextCalled, false);
+            assert.equal(res.statusCode, 401);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// Requisições simultâneas que movimentam a mesma carteira: nenhuma combinação pode deixar
+// o saldo negativo nem creditar o mesmo dia de rendimento duas vezes.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { User, Transaction } = require('../models');
+const ledger = require('../ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONCURRENT_REQUESTS = 8;
+
+/**
+ * Conta de saque já liberada (fora do período de espera).
+ */
+const payoutAccount = (phoneNumber) => ({
+    method: 'mpesa',
+    accountHolderName: 'Titular de Teste',
+    phoneNumber,
+    availableAt: new Date(Date.now() - DAY_MS)
+});
+
+describe('concorrência', () => {
+    let server;
+
+    before(async () => {
+        await helpers.startDatabase();
+        server = await helpers.startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        await helpers.stopDatabase();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+    });
+
+    describe('débitos na carteira', () => {
+        it('ledger.transfer simultâneos só debitam enquanto há saldo', async () => {
+            const user = await helpers.createUser({ walletBalance: 10000 });
+
+            const results = await Promise.allSettled(Array.from({ length: CONCURRENT_REQUESTS }, () => ledger.transfer({
+                kind: 'adjustment',
+                from: ledger.userAccount(user._id),
+                to: ledger.ACCOUNTS.ADJUSTMENTS,
+                amount: 3000
+            })));
+
+            const succeeded = results.filter((result) => result.status === 'fulfilled');
+            assert.equal(succeeded.length, 3);
+            for (const result of results.filter((item) => item.status === 'rejected')) {
+                assert.equal(result.reason.statusCode, 400);
+            }
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 1000);
+            assert.equal((await ledger.reconcileUser(updated)).inSync, true);
+        });
+
+        it('pedidos de saque simultâneos nunca deixam o saldo negativo', async () => {
+            await helpers.saveSettings({ withdrawalFeeType: 'percentage', withdrawalFeeValue: 10 });
+            const user = await helpers.createUser({ walletBalance: 10000, hasDeposited: true });
+            user.payoutAccounts.push(payoutAccount(user.phoneNumber));
+            await user.save();
+            const token = helpers.userToken(user);
+
+            // 30 MT + 3 MT de taxa por saque: só três cabem em 100 MT
+            const responses = await Promise.all(Array.from({ length: CONCURRENT_REQUESTS }, () => helpers.request(
+                server, 'POST', '/users/withdrawal', { token, body: { amount: 30 } }
+            )));
+
+            const statuses = responses.map((response) => response.status);
+            assert.equal(statuses.filter((status) => status === 201).length, 3, JSON.stringify(responses));
+            assert.ok(statuses.every((status) => status === 201 || status === 400), JSON.stringify(responses));
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 100);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'withdrawal' }), 3);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'fee' }), 3);
+            assert.equal((await ledger.reconcileUser(updated)).inSync, true);
+        });
+    });
+
+    describe('coleta de rendimentos', () => {
+        const activePlan = (fields) => {
+            const startDate = new Date(Date.now() - 3 * DAY_MS - 60 * 60 * 1000); // 3 dias completos e 1 hora
+            return {
+                investedAmount: 50000,
+                dailyProfit: 500,
+                startDate,
+                endDate: new Date(startDate.getTime() + 10 * DAY_MS),
+                collectedDays: 0,
+                ...fields
+            };
+        };
+
+        const collectConcurrently = async (user) => {
+            const token = helpers.userToken(user);
+            const activePlanId = String(user.activePlans[0]._id);
+            return Promise.all(Array.from({ length: CONCURRENT_REQUESTS }, () => helpers.request(
+                server, 'POST', '/bonus/collect', { token, body: { activePlanId } }
+            )));
+        };
+
+        it("no modo 'accrual', coletas simultâneas creditam cada dia uma única vez", async () => {
+            await helpers.saveSettings({ collectionMode: 'accrual' });
+            const user = await helpers.createUser({ activePlans: [activePlan()] });
+
+            const responses = await collectConcurrently(user);
+
+            const statuses = responses.map((response) => response.status);
+            assert.equal(statuses.filter((status) => status === 200).length, 1, JSON.stringify(responses));
+            assert.ok(statuses.every((status) => [200, 400, 409].includes(status)), JSON.stringify(responses));
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 1500);
+            assert.equal(updated.activePlans[0].collectedDays, 3);
+            assert.equal(updated.activePlans[0].totalEarned, 1500);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'earning' }), 3);
+            assert.equal((await ledger.reconcileUser(updated)).inSync, true);
+        });
+
+        it("no modo 'manual', coletas simultâneas creditam um único dia", async () => {
+            await helpers.saveSettings({ collectionMode: 'manual' });
+            const user = await helpers.createUser({ activePlans: [activePlan()] });
+
+            const responses = await collectConcurrently(user);
+
+            const statuses = responses.map((response) => response.status);
+            assert.equal(statuses.filter((status) => status === 200).length, 1, JSON.stringify(responses));
+            assert.ok(statuses.every((status) => status === 200 || status === 400), JSON.stringify(responses));
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 500);
+            assert.equal(updated.activePlans[0].collectedDays, 1);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'earning' }), 1);
+        });
+    });
+});
@@ -0,0 +1,249 @@
+// Dias de rendimento (earnings.js) e coleta nos modos 'accrual' e 'manual' (bonusController.js),
+// incluindo o último dia do plano e o crédito dos dias restantes no vencimento (maturity.js).
+
+// Os dias do calendário seguem o fuso do servidor; Maputo (UTC+2) separa meia-noite local de meia-noite UTC
+process.env.TZ = 'Africa/Maputo';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { User, Plan, Transaction, PlanMaturity } = require('../models');
+const { getAccruedDays } = require('../earnings');
+const { startOfToday, maturePlan, expireMaturedPlans } = require('../maturity');
+const { runInTransaction } = require('../utils');
+const ledger = require('../ledger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Datas do plano como o plansController.activatePlan calcula (endDate com setDate, no fuso local).
+ */
+const planDates = (startDate, duration) => {
+    const endDate = new Date(startDate);
+    endDate.setDate(startDate.getDate() + duration);
+    return { startDate, endDate };
+};
+
+describe('getAccruedDays', () => {
+    const start = new Date(2026, 4, 10, 23, 30); // 10/05 às 23:30, horário local
+    const plan = planDates(start, 10);
+
+    it('conta só períodos completos de 24h desde a ativação', () => {
+        assert.equal(getAccruedDays(plan, new Date(start.getTime() - HOUR_MS)), 0);
+        assert.equal(getAccruedDays(plan, new Date(start.getTime() + DAY_MS - 1)), 0);
+        assert.equal(getAccruedDays(plan, new Date(start.getTime() + DAY_MS)), 1);
+        assert.equal(getAccruedDays(plan, new Date(start.getTime() + 3 * DAY_MS + HOUR_MS)), 3);
+    });
+
+    it('a virada do dia no fuso local não conta um dia a mais', () => {
+        assert.equal(getAccruedDays(plan, new Date(2026, 4, 11, 0, 30)), 0);
+        assert.equal(getAccruedDays(plan, new Date(2026, 4, 11, 23, 29)), 0);
+        assert.equal(getAccruedDays(plan, new Date(2026, 4, 11, 23, 30)), 1);
+    });
+
+    it('o último dia do plano só conta na endDate e nunca passa da duração', () => {
+        assert.equal(getAccruedDays(plan, new Date(plan.endDate.getTime() - 1)), 9);
+        assert.equal(getAccruedDays(plan, plan.endDate), 10);
+        assert.equal(getAccruedDays(plan, new Date(plan.endDate.getTime() + 5 * DAY_MS)), 10);
+    });
+
+    it('um plano que atravessa a mudança de horário de verão mantém a duração', () => {
+        const timezone = process.env.TZ;
+        process.env.TZ = 'Europe/Lisbon'; // Horário de verão começa em 29/03/2026
+        try {
+            const dstPlan = planDates(new Date(2026, 2, 28, 23, 30), 10);
+            assert.equal(dstPlan.endDate.getTime() - dstPlan.startDate.getTime(), 10 * DAY_MS - HOUR_MS);
+            assert.equal(getAccruedDays(dstPlan, new Date(dstPlan.endDate.getTime() - 1)), 9);
+            assert.equal(getAccruedDays(dstPlan, dstPlan.endDate), 10);
+        } finally {
+            process.env.TZ = timezone;
+        }
+    });
+});
+
+describe('coleta de rendimentos', () => {
+    let server;
+
+    before(async () => {
+        await helpers.startDatabase();
+        server = await helpers.startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        await helpers.stopDatabase();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+    });
+
+    /**
+     * Plano de 10 dias de 5 MT por dia que começou há `elapsedMs`.
+     */
+    const activePlan = (elapsedMs, fields = {}) => ({
+        investedAmount: 50000,
+        dailyProfit: 500,
+        ...planDates(new Date(Date.now() - elapsedMs), 10),
+        collectedDays: 0,
+        ...fields
+    });
+
+    const collect = (user) => helpers.request(server, 'POST', '/bonus/collect', {
+        token: helpers.userToken(user),
+        body: { activePlanId: String(user.activePlans[0]._id) }
+    });
+
+    describe("modo 'accrual'", () => {
+        beforeEach(async () => {
+            await helpers.saveSettings({ collectionMode: 'accrual' });
+        });
+
+        it('credita todos os dias completos ainda não coletados, um rendimento por dia', async () => {
+            const user = await helpers.createUser({ activePlans: [activePlan(3 * DAY_MS + HOUR_MS)] });
+
+            const first = await collect(user);
+            assert.equal(first.status, 200);
+            assert.equal(first.body.days, 3);
+
+            const second = await collect(user);
+            assert.equal(second.status, 400);
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 1500);
+            assert.equal(updated.activePlans[0].collectedDays, 3);
+            const earnings = await Transaction.find({ user: user._id, type: 'earning' }).sort({ createdAt: 1, _id: 1 });
+            assert.deepEqual(earnings.map((earning) => earning.details), [1, 2, 3].map((day) => `Rendimento do dia ${day} de 10 do plano de investimento.`));
+        });
+
+        it('no último dia credita o restante e encerra o plano vencido', async () => {
+            // Venceu ontem: 10 dias acumulados, 7 já coletados
+            const user = await helpers.createUser({
+                activePlans: [activePlan(11 * DAY_MS, { collectedDays: 7, totalEarned: 3500 })]
+            });
+
+            const response = await collect(user);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.days, 3);
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.activePlans[0].isActive, false);
+            assert.equal(updated.activePlans[0].collectedDays, 10);
+            assert.equal(updated.activePlans[0].totalEarned, 5000);
+            assert.equal(updated.walletBalance, 1500);
+
+            const maturity = await PlanMaturity.findOne({ activePlanId: user.activePlans[0]._id });
+            assert.equal(maturity.totalEarned, 5000);
+        });
+
+        it('maturePlan credita os dias acumulados que não foram coletados', async () => {
+            const user = await helpers.createUser({
+                activePlans: [activePlan(11 * DAY_MS, { collectedDays: 4, totalEarned: 2000 })]
+            });
+
+            const maturity = await runInTransaction((session) => maturePlan(user._id, user.activePlans[0]._id, session));
+            assert.equal(maturity.totalEarned, 5000);
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.activePlans[0].isActive, false);
+            assert.equal(updated.activePlans[0].collectedDays, 10);
+            assert.equal(updated.walletBalance, 3000);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'earning' }), 6);
+            assert.equal((await ledger.reconcileUser(updated)).inSync, true);
+
+            // Encerrar de novo não credita nada
+            assert.equal(await runInTransaction((session) => maturePlan(user._id, user.activePlans[0]._id, session)), null);
+            assert.equal(await Transaction.countDocuments({ user: user._id, type: 'earning' }), 6);
+        });
+
+        it('a tarefa de vencimento credita os dias restantes de cada plano vencido', async () => {
+            const user = await helpers.createUser({ activePlans: [activePlan(11 * DAY_MS)] });
+
+            const result = await expireMaturedPlans();
+            assert.equal(result.maturedPlans, 1);
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 5000);
+            assert.equal(updated.activePlans[0].collectedDays, 10);
+        });
+    });
+
+    describe('sem configurações gravadas', () => {
+        it('ativa um plano', async () => {
+            const plan = await Plan.create({
+                name: 'Plano de Teste',
+                minAmount: 50000,
+                maxAmount: 50000,
+                dailyIncomeType: 'fixed',
+                dailyIncomeValue: 500,
+                duration: 10,
+                imageUrl: 'https://exemplo.com/plano.png'
+            });
+            const user = await helpers.createUser({ walletBalance: 50000 });
+
+            const response = await helpers.request(server, 'POST', '/plans/activate', {
+                token: helpers.userToken(user),
+                body: { planId: String(plan._id), amount: 500 }
+            });
+            assert.equal(response.status, 200, JSON.stringify(response.body));
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 0);
+            assert.equal(updated.activePlans[0].dailyProfit, 500);
+        });
+
+        it("coleta no modo padrão ('manual')", async () => {
+            const user = await helpers.createUser({ activePlans: [activePlan(3 * DAY_MS + HOUR_MS)] });
+
+            const response = await collect(user);
+            assert.equal(response.status, 200, JSON.stringify(response.body));
+            assert.equal(response.body.days, 1);
+            assert.equal((await User.findById(user._id)).walletBalance, 500);
+        });
+    });
+
+    describe("modo 'manual'", () => {
+        beforeEach(async () => {
+            await helpers.saveSettings({ collectionMode: 'manual' });
+        });
+
+        it('libera uma nova coleta quando o dia vira no fuso do servidor', async () => {
+            const yesterdayNight = new Date(startOfToday().getTime() - 60 * 1000); // 23:59 de ontem, horário local
+            const user = await helpers.createUser({
+                activePlans: [activePlan(3 * DAY_MS, { collectedDays: 1, totalEarned: 500, lastCollectionDate: yesterdayNight })]
+            });
+
+            const first = await collect(user);
+            assert.equal(first.status, 200);
+            assert.equal(first.body.days, 1);
+
+            const second = await collect(user);
+            assert.equal(second.status, 400);
+
+            const updated = await User.findById(user._id);
+            assert.equal(updated.walletBalance, 500);
+            assert.equal(updated.activePlans[0].collectedDays, 2);
+        });
+
+        it('recusa uma segunda coleta no mesmo dia do fuso do servidor', async () => {
+            const user = await helpers.createUser({
+                activePlans: [activePlan(3 * DAY_MS, { collectedDays: 1, totalEarned: 500, lastCollectionDate: startOfToday() })]
+            });
+
+            const response = await collect(user);
+            assert.equal(response.status, 400);
+            assert.equal((await User.findById(user._id)).walletBalance, 0);
+        });
+
+        it('maturePlan não credita dias no modo manual', async () => {
+            const user = await helpers.createUser({
+                activePlans: [activePlan(11 * DAY_MS, { collectedDays: 4, totalEarned: 2000 })]
+            });
+
+            const maturity = await runInTransaction((session) => maturePlan(user._id, user.activePlans[0]._id, session));
+            assert.equal(maturity.totalEarned, 2000);
+            assert.equal((await User.findById(user._id)).walletBalance, 0);
+        });
+    });
+});
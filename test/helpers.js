@@ -0,0 +1,146 @@
+// =================
+// UTILITÁRIOS DOS TESTES
+// =================
+// Os testes de integração sobem um MongoDB em memória como replica set (as operações
+// financeiras usam transações, ver utils.runInTransaction) e o app do app.js numa porta livre.
+// Cada arquivo de teste roda em um processo próprio, com o seu banco.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'segredo-dos-testes';
+process.env.SCHEDULER_ENABLED = 'false';
+process.env.LOGIN_GUARD_STORE = 'memory';
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, Admin, Settings } = require('../models');
+const { generateToken } = require('../auth');
+const ledger = require('../ledger');
+
+let replSet;
+
+/**
+ * Sobe o banco em memória, conecta o mongoose e cria as coleções e índices de todos os modelos
+ * (coleções não devem ser criadas implicitamente dentro de transações concorrentes).
+ */
+const startDatabase = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri(), { dbName: 'indodax-test' });
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+const stopDatabase = async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+};
+
+/**
+ * Apaga os documentos de todas as coleções (os índices continuam).
+ */
+const clearDatabase = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Sobe o app numa porta livre.
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+const startServer = () => new Promise((resolve) => {
+    const app = require('../app');
+    const server = app.listen(0, () => resolve({
+        url: `http://127.0.0.1:${server.address().port}/api/v1`,
+        close: () => new Promise((done) => server.close(done))
+    }));
+});
+
+/**
+ * Faz uma requisição JSON ao app.
+ * @param {{url: string}} server - Retorno de startServer.
+ * @param {string} method
+ * @param {string} path - Ex: '/users/withdrawal'.
+ * @param {object} [options]
+ * @param {string} [options.token] - Token de acesso (Bearer).
+ * @param {object} [options.body]
+ * @param {object} [options.headers]
+ * @returns {Promise<{status: number, body: object}>}
+ */
+const request = async (server, method, path, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${server.url}${path}`, {
+        method,
+        headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+let sequence = 0;
+
+/**
+ * Cria um usuário de teste. O saldo inicial entra pelo livro-razão, como um ajuste.
+ * @param {object} [fields] - Campos do User (ex: activePlans, payoutAccounts).
+ * @param {number} [fields.walletBalance=0] - Saldo inicial em centavos.
+ * @returns {Promise<object>} O usuário já com o saldo.
+ */
+const createUser = async ({ walletBalance = 0, ...fields } = {}) => {
+    sequence += 1;
+    const user = await User.create({
+        userId: String(10000 + sequence),
+        phoneNumber: `+25884${String(sequence).padStart(7, '0')}`,
+        password: 'senha-de-teste',
+        ...fields
+    });
+    if (walletBalance > 0) {
+        await ledger.transfer({
+            kind: 'adjustment',
+            from: ledger.ACCOUNTS.ADJUSTMENTS,
+            to: ledger.userAccount(user._id),
+            amount: walletBalance,
+            description: 'Saldo inicial do teste'
+        });
+    }
+    return User.findById(user._id);
+};
+
+/**
+ * Cria um administrador de teste com o 2FA já ativado (os papéis que o exigem passam pelo requireTwoFactor).
+ * @param {string} role - Ver ROLES em permissions.js.
+ */
+const createAdmin = async (role) => {
+    sequence += 1;
+    return Admin.create({
+        phoneNumber: `+25882${String(sequence).padStart(7, '0')}`,
+        password: 'senha-de-teste',
+        role,
+        twoFactor: { enabled: true, enabledAt: new Date() }
+    });
+};
+
+/**
+ * Grava as configurações globais.
+ * @param {object} [fields] - Campos do Settings que diferem do padrão.
+ */
+const saveSettings = (fields = {}) => Settings.findOneAndUpdate(
+    { settingId: 'global_settings' },
+    { $set: { settingId: 'global_settings', ...fields } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const userToken = (user) => generateToken('User', user);
+const adminToken = (admin) => generateToken('Admin', admin);
+
+module.exports = {
+    startDatabase,
+    stopDatabase,
+    clearDatabase,
+    startServer,
+    request,
+    createUser,
+    createAdmin,
+    saveSettings,
+    userToken,
+    adminToken
+};
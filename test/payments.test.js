@@ -0,0 +1,124 @@
+// Saques pagos pelo provedor (payments.js) contra o simulador local: um saque cujo envio
+// falha em todas as tentativas sai da fila e volta para o admin, que pode tentar de novo ou estornar.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { User, Transaction } = require('../models');
+const { reconcilePayments } = require('../payments');
+const ledger = require('../ledger');
+const simulator = require('../simulators/payment-provider');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// O simulador responde 503 aos números terminados em 503
+const UNAVAILABLE_NUMBER = '+258840000503';
+
+describe('pagamentos pelo provedor', () => {
+    let server;
+    let simulatorServer;
+
+    before(async () => {
+        await helpers.startDatabase();
+        server = await helpers.startServer();
+        simulatorServer = await new Promise((resolve) => {
+            const listening = simulator.listen(0, () => resolve(listening));
+        });
+        process.env.MPESA_API_URL = `http://127.0.0.1:${simulatorServer.address().port}/mpesa`;
+    });
+
+    after(async () => {
+        delete process.env.MPESA_API_URL;
+        if (simulatorServer) await new Promise((done) => simulatorServer.close(done));
+        if (server) await server.close();
+        await helpers.stopDatabase();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+    });
+
+    /**
+     * Pede um saque de 30 MT para o número informado e o aprova; a aprovação faz o primeiro envio.
+     */
+    const approvedWithdrawal = async (phoneNumber) => {
+        const user = await helpers.createUser({ walletBalance: 10000, hasDeposited: true });
+        user.payoutAccounts.push({
+            method: 'mpesa',
+            accountHolderName: 'Titular de Teste',
+            phoneNumber,
+            availableAt: new Date(Date.now() - DAY_MS)
+        });
+        await user.save();
+
+        const requested = await helpers.request(server, 'POST', '/users/withdrawal', { token: helpers.userToken(user), body: { amount: 30 } });
+        assert.equal(requested.status, 201, JSON.stringify(requested.body));
+        const withdrawal = await Transaction.findOne({ user: user._id, type: 'withdrawal' });
+
+        const finance = await helpers.createAdmin('finance');
+        const token = helpers.adminToken(finance);
+        const approved = await helpers.request(server, 'PUT', `/admin/transactions/${withdrawal._id}/status`, { token, body: { status: 'processing' } });
+        assert.equal(approved.status, 200, JSON.stringify(approved.body));
+
+        return { user, withdrawal, token };
+    };
+
+    /**
+     * Esgota as tentativas de envio: a primeira foi na aprovação, as outras duas vêm da tarefa de conciliação.
+     */
+    const exhaustAttempts = async (withdrawal) => {
+        const queued = await Transaction.findById(withdrawal._id);
+        assert.equal(queued.payment.status, 'queued');
+        assert.equal(queued.payment.attempts, 1);
+
+        assert.deepEqual(await reconcilePayments(), { sent: 0, settled: 0, expired: 0, errors: 1 });
+        assert.deepEqual(await reconcilePayments(), { sent: 0, settled: 1, expired: 0, errors: 0 });
+    };
+
+    it('um saque que recebe 5xx em todas as tentativas fica falho e sai da fila', async () => {
+        const { withdrawal } = await approvedWithdrawal(UNAVAILABLE_NUMBER);
+
+        await exhaustAttempts(withdrawal);
+
+        const failed = await Transaction.findById(withdrawal._id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.payment.status, 'failed');
+        assert.equal(failed.payment.attempts, 3);
+        assert.match(failed.payment.lastError, /503/);
+
+        // Nada mais a enviar nem a consultar
+        assert.deepEqual(await reconcilePayments(), { sent: 0, settled: 0, expired: 0, errors: 0 });
+    });
+
+    it('o admin pode estornar o saque que esgotou as tentativas', async () => {
+        const { user, withdrawal, token } = await approvedWithdrawal(UNAVAILABLE_NUMBER);
+        await exhaustAttempts(withdrawal);
+
+        const response = await helpers.request(server, 'PUT', `/admin/transactions/${withdrawal._id}/status`, {
+            token,
+            body: { status: 'reversed', reason: 'Provedor indisponível.' }
+        });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+
+        assert.equal((await Transaction.findById(withdrawal._id)).status, 'reversed');
+        const updated = await User.findById(user._id);
+        assert.equal(updated.walletBalance, 10000);
+        assert.equal((await ledger.reconcileUser(updated)).inSync, true);
+    });
+
+    it('o admin pode tentar de novo o saque que esgotou as tentativas', async () => {
+        const { withdrawal, token } = await approvedWithdrawal(UNAVAILABLE_NUMBER);
+        await exhaustAttempts(withdrawal);
+        const failed = await Transaction.findById(withdrawal._id);
+
+        const response = await helpers.request(server, 'PUT', `/admin/transactions/${withdrawal._id}/status`, { token, body: { status: 'processing' } });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+
+        // Nova tentativa: nova referência e contagem de envios do zero (o envio na aprovação já conta um)
+        const retried = await Transaction.findById(withdrawal._id);
+        assert.equal(retried.status, 'processing');
+        assert.equal(retried.payment.status, 'queued');
+        assert.equal(retried.payment.attempts, 1);
+        assert.notEqual(retried.payment.reference, failed.payment.reference);
+    });
+});
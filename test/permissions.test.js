@@ -0,0 +1,117 @@
+// Permissões por papel nas rotas do painel (adminRoutes.js): cada papel passa nas rotas das
+// suas permissões (ROLE_PERMISSIONS) e recebe 403 nas demais.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { Admin, Settings } = require('../models');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS, hasPermission } = require('../permissions');
+
+// Rotas de leitura, uma por permissão, que respondem 200 com o banco vazio
+const READ_ROUTES = [
+    { path: '/admin/admins', permission: PERMISSIONS.ADMINS_MANAGE },
+    { path: '/admin/security/lockouts', permission: PERMISSIONS.SECURITY_MANAGE },
+    { path: '/admin/users', permission: PERMISSIONS.USERS_READ },
+    { path: '/admin/transactions/pending', permission: PERMISSIONS.TRANSACTIONS_READ },
+    { path: '/admin/withdrawals', permission: PERMISSIONS.TRANSACTIONS_READ },
+    { path: '/admin/payout-batches', permission: PERMISSIONS.PAYOUTS_MANAGE },
+    { path: '/admin/approvals', permission: PERMISSIONS.APPROVALS_REVIEW },
+    { path: '/admin/settings', permission: PERMISSIONS.SETTINGS_READ },
+    { path: '/admin/jobs', permission: PERMISSIONS.JOBS_MANAGE },
+    { path: '/admin/audit', permission: PERMISSIONS.AUDIT_READ }
+];
+
+// Ações exclusivas do superadmin
+const SUPERADMIN_ONLY = [
+    PERMISSIONS.ADMINS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.JOBS_MANAGE,
+    PERMISSIONS.SETTINGS_WRITE
+];
+
+describe('permissões por papel', () => {
+    let server;
+    const admins = {};
+    const tokens = {};
+
+    before(async () => {
+        await helpers.startDatabase();
+        server = await helpers.startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        await helpers.stopDatabase();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        await helpers.saveSettings();
+        for (const role of ROLES) {
+            admins[role] = await helpers.createAdmin(role);
+            tokens[role] = helpers.adminToken(admins[role]);
+        }
+    });
+
+    it('as permissões exclusivas do superadmin não foram concedidas a outro papel', () => {
+        for (const role of ROLES.filter((item) => item !== 'superadmin')) {
+            for (const permission of SUPERADMIN_ONLY) {
+                assert.equal(ROLE_PERMISSIONS[role].includes(permission), false, `${role} tem ${permission}`);
+            }
+        }
+    });
+
+    for (const role of ROLES) {
+        it(`${role}: 200 nas rotas das suas permissões e 403 nas demais`, async () => {
+            for (const { path, permission } of READ_ROUTES) {
+                const { status } = await helpers.request(server, 'GET', path, { token: tokens[role] });
+                const expected = hasPermission(role, permission) ? 200 : 403;
+                assert.equal(status, expected, `${role} GET ${path} (${permission})`);
+            }
+        });
+    }
+
+    it('só o superadmin cria administradores', async () => {
+        const body = (role) => ({ phoneNumber: `+2588200000${ROLES.indexOf(role)}`, password: 'senha-forte-123', role: 'support' });
+
+        for (const role of ROLES.filter((item) => item !== 'superadmin')) {
+            const { status } = await helpers.request(server, 'POST', '/admin/admins', { token: tokens[role], body: body(role) });
+            assert.equal(status, 403, role);
+            assert.equal(await Admin.exists({ phoneNumber: body(role).phoneNumber }), null);
+        }
+
+        const { status } = await helpers.request(server, 'POST', '/admin/admins', { token: tokens.superadmin, body: body('superadmin') });
+        assert.equal(status, 201);
+        assert.ok(await Admin.exists({ phoneNumber: body('superadmin').phoneNumber }));
+    });
+
+    it('só o superadmin altera as configurações globais', async () => {
+        for (const role of ROLES.filter((item) => item !== 'superadmin')) {
+            const { status } = await helpers.request(server, 'PUT', '/admin/settings', { token: tokens[role], body: { welcomeBonus: 1 } });
+            assert.equal(status, 403, role);
+        }
+        assert.equal((await Settings.findOne({ settingId: 'global_settings' })).welcomeBonus, 5000);
+
+        const { status } = await helpers.request(server, 'PUT', '/admin/settings', { token: tokens.superadmin, body: { welcomeBonus: 1 } });
+        assert.equal(status, 200);
+        assert.equal((await Settings.findOne({ settingId: 'global_settings' })).welcomeBonus, 100);
+    });
+
+    it('só quem tem transactions:approve muda o status de uma transação', async () => {
+        const path = `/admin/transactions/${admins.support._id}/status`; // Qualquer ObjectId: a permissão é verificada antes
+        for (const role of ROLES) {
+            const { status } = await helpers.request(server, 'PUT', path, { token: tokens[role], body: { status: 'completed' } });
+            if (hasPermission(role, PERMISSIONS.TRANSACTIONS_APPROVE)) {
+                assert.notEqual(status, 403, role);
+            } else {
+                assert.equal(status, 403, role);
+            }
+        }
+    });
+
+    it('um admin desativado é recusado mesmo com a permissão', async () => {
+        await Admin.updateOne({ _id: admins.superadmin._id }, { $set: { isActive: false } });
+        const { status } = await helpers.request(server, 'GET', '/admin/audit', { token: tokens.superadmin });
+        assert.equal(status, 403);
+    });
+});
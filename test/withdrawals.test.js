@@ -0,0 +1,104 @@
+// Lotes de pagamento de saques (withdrawals.js): depois de exportado, o resultado de cada saque
+// vem do arquivo de retorno do lote, e o retorno só vale para os saques que continuam no lote.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { Transaction, PayoutBatch } = require('../models');
+const { createPayoutBatch, settlePayoutBatch } = require('../withdrawals');
+const { runInTransaction } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('lotes de pagamento', () => {
+    let server;
+
+    before(async () => {
+        await helpers.startDatabase();
+        server = await helpers.startServer();
+    });
+
+    after(async () => {
+        if (server) await server.close();
+        await helpers.stopDatabase();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+    });
+
+    const changeStatus = async (token, withdrawal, status, expected) => {
+        const response = await helpers.request(server, 'PUT', `/admin/transactions/${withdrawal._id}/status`, { token, body: { status } });
+        assert.equal(response.status, expected, `${status}: ${JSON.stringify(response.body)}`);
+    };
+
+    /**
+     * Pede um saque de 30 MT por M-Pesa e o aprova. Sem provedor ativo, o saque aguarda um lote.
+     */
+    const approvedWithdrawal = async () => {
+        const user = await helpers.createUser({ walletBalance: 10000, hasDeposited: true });
+        user.payoutAccounts.push({
+            method: 'mpesa',
+            accountHolderName: 'Titular de Teste',
+            phoneNumber: user.phoneNumber,
+            availableAt: new Date(Date.now() - DAY_MS)
+        });
+        await user.save();
+
+        const requested = await helpers.request(server, 'POST', '/users/withdrawal', { token: helpers.userToken(user), body: { amount: 30 } });
+        assert.equal(requested.status, 201, JSON.stringify(requested.body));
+        const withdrawal = await Transaction.findOne({ user: user._id, type: 'withdrawal' });
+
+        const finance = await helpers.createAdmin('finance');
+        const token = helpers.adminToken(finance);
+        await changeStatus(token, withdrawal, 'processing', 200);
+
+        return { withdrawal, finance, token };
+    };
+
+    const exportBatch = (batch) => PayoutBatch.updateOne({ _id: batch._id }, { $set: { status: 'exported', exportedAt: new Date() } });
+
+    const importBatch = (batch, rows) => runInTransaction((session) => settlePayoutBatch(batch._id, rows, session));
+
+    it('recusa paid e failed manuais de um saque em lote exportado', async () => {
+        const { withdrawal, finance, token } = await approvedWithdrawal();
+        const batch = await runInTransaction((session) => createPayoutBatch({ method: 'mpesa', admin: finance }, session));
+        await exportBatch(batch);
+
+        await changeStatus(token, withdrawal, 'paid', 409);
+        await changeStatus(token, withdrawal, 'failed', 409);
+        assert.equal((await Transaction.findById(withdrawal._id)).status, 'processing');
+
+        const { summary } = await importBatch(batch, [{ reference: batch.items[0].reference, status: 'paid' }]);
+        assert.equal(summary.paid, 1);
+        assert.deepEqual(summary.errors, []);
+        assert.equal((await Transaction.findById(withdrawal._id)).status, 'paid');
+        assert.equal((await PayoutBatch.findById(batch._id)).status, 'settled');
+    });
+
+    it('aceita paid manual enquanto o lote não foi exportado', async () => {
+        const { withdrawal, finance, token } = await approvedWithdrawal();
+        await runInTransaction((session) => createPayoutBatch({ method: 'mpesa', admin: finance }, session));
+
+        await changeStatus(token, withdrawal, 'paid', 200);
+        assert.equal((await Transaction.findById(withdrawal._id)).status, 'paid');
+    });
+
+    it('o retorno do lote ignora um saque que saiu dele', async () => {
+        const { withdrawal, finance, token } = await approvedWithdrawal();
+        const batch = await runInTransaction((session) => createPayoutBatch({ method: 'mpesa', admin: finance }, session));
+
+        // Falha manual antes da exportação e nova tentativa: o saque sai do lote
+        await changeStatus(token, withdrawal, 'failed', 200);
+        await changeStatus(token, withdrawal, 'processing', 200);
+        await exportBatch(batch);
+
+        const { summary } = await importBatch(batch, [{ reference: batch.items[0].reference, status: 'paid' }]);
+        assert.equal(summary.paid, 0);
+        assert.deepEqual(summary.errors, [{ line: 2, reference: batch.items[0].reference, message: 'O saque não pertence mais a este lote.' }]);
+
+        const current = await Transaction.findById(withdrawal._id);
+        assert.equal(current.status, 'processing');
+        assert.equal(current.payoutBatch, null);
+    });
+});
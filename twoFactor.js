@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// =================
+// AUTENTICAÇÃO EM DOIS FATORES (TOTP) DOS ADMINISTRADORES
+// =================
+// Códigos de 6 dígitos que mudam a cada 30 segundos (RFC 6238), compatíveis com
+// Google Authenticator, Authy etc. Códigos de recuperação de uso único servem
+// para entrar quando o dispositivo for perdido.
+
+const TOTP_ISSUER = 'Indodax Admin';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Aceita um passo antes e um depois, para tolerar relógios levemente fora de hora
+const RECOVERY_CODES_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (value) => {
+    let bits = '';
+    for (const char of value.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Segredo TOTP inválido.');
+        bits += index.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+/**
+ * Calcula o código HOTP (RFC 4226) de um contador.
+ * @param {string} secret - Segredo em base32.
+ * @param {number} counter - Contador (passo de tempo, no TOTP).
+ * @returns {string} Código com TOTP_DIGITS dígitos.
+ */
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Gera um novo segredo TOTP e a URL otpauth:// para o QR code do aplicativo autenticador.
+ * @param {string} accountName - Identificação da conta exibida no aplicativo (ex: telefone do admin).
+ * @returns {{secret: string, otpauthUrl: string}}
+ */
+const generateSecret = (accountName) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+    return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+};
+
+/**
+ * Confere um código TOTP.
+ * @param {string} secret - Segredo em base32.
+ * @param {string} code - Código digitado.
+ * @param {number} [lastUsedStep] - Último passo já aceito; códigos deste passo ou anteriores são recusados (evita replay).
+ * @returns {number|null} O passo de tempo do código aceito, ou null se inválido.
+ */
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+    if (!/^\d{6}$/.test(String(code))) return null;
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step += 1) {
+        if (step <= lastUsedStep) continue;
+        const expected = Buffer.from(hotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return step;
+    }
+    return null;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.toUpperCase()).digest('hex');
+
+/**
+ * Gera os códigos de recuperação. Os códigos em texto só são mostrados uma vez;
+ * apenas os hashes são guardados.
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Verifica se o papel do admin exige 2FA de acordo com as configurações globais.
+ * @param {string} role - Papel do admin.
+ * @param {object|null} settings - Documento de Settings.
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (role, settings) => Boolean(settings && settings.twoFactorRequiredRoles.includes(role));
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    isTwoFactorRequired
+};
@@ -0,0 +1,74 @@
+const multer = require('multer');
+const { storage } = require('./storage');
+
+// Os arquivos ficam em memória até passarem pelas verificações e então são
+// gravados no backend configurado (ver storage.js). A gravação (store) vem depois de
+// validate e idempotent nas rotas: requisições recusadas ou repetidas não deixam arquivos órfãos.
+//   router.post('/x', upload.single('campo'), validate(...), idempotent, upload.store, controller)
+const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Tipos aceitos, reconhecidos pelos primeiros bytes do arquivo (o mimetype enviado pelo cliente não é confiável)
+const IMAGE_SIGNATURES = [
+  { extension: 'png', matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: 'jpg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { extension: 'webp', matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+/**
+ * Detecta o tipo de imagem pelo conteúdo.
+ * @param {Buffer} buffer
+ * @returns {string|null} A extensão (png, jpg, webp) ou null se não for uma imagem aceita.
+ */
+const detectImageType = (buffer) => {
+  const signature = IMAGE_SIGNATURES.find((candidate) => candidate.matches(buffer));
+  return signature ? signature.extension : null;
+};
+
+/**
+ * Middleware que recebe um único arquivo de imagem no campo indicado e confere tipo e tamanho.
+ * O arquivo fica em req.file.buffer; só é gravado no armazenamento pelo store.
+ * @param {string} fieldname - Nome do campo do formulário multipart.
+ */
+const single = (fieldname) => (req, res, next) => {
+  parser.single(fieldname)(req, res, async (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `O arquivo deve ter no máximo ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`
+        : 'Envio de arquivo inválido.';
+      return res.status(400).json({ message, error: error.code });
+    }
+    if (error) return next(error);
+    if (!req.file) return next();
+
+    const extension = detectImageType(req.file.buffer);
+    if (!extension) {
+      return res.status(400).json({ message: 'Formato de arquivo não suportado. Envie uma imagem PNG, JPEG ou WEBP.' });
+    }
+    req.file.extension = extension;
+    next();
+  });
+};
+
+/**
+ * Middleware que grava no armazenamento o arquivo recebido pelo single. Depois dele,
+ * req.file.path contém a URL pública do arquivo (e req.file.buffer continua disponível).
+ * A partir daqui, o controller deve chamar removeFile(req.file.path) se a operação falhar.
+ */
+const store = async (req, res, next) => {
+  if (!req.file) return next();
+  try {
+    const { url, key } = await storage.save({ buffer: req.file.buffer, fieldname: req.file.fieldname, extension: req.file.extension });
+    req.file.path = url;
+    req.file.key = key;
+    next();
+  } catch (saveError) {
+    res.status(500).json({ message: 'Erro ao salvar o arquivo.', error: saveError.message });
+  }
+};
+
+module.exports = { single, store };
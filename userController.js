@@ -1,15 +1,50 @@
 const bcrypt = require('bcryptjs');
 const { User, Transaction, Plan, Settings, Banner } = require('./models');
-const { generateToken } = require('./auth');
-const { generateUniqueUserId } = require('./utils');
+const sessions = require('./sessions');
+const { HttpError, generateUniqueUserId, runInTransaction } = require('./utils');
+const ledger = require('./ledger');
+const money = require('./money');
+const otp = require('./otp');
+const { normalizePhoneNumber } = require('./phone');
+const { removeFile } = require('./storage');
+const { fingerprintProof, findProofReuse } = require('./proofs');
+const payments = require('./payments');
+const { withdrawalFee, checkWithdrawalPolicy } = require('./withdrawals');
+const payoutAccounts = require('./payoutAccounts');
+const { paginate, transactionFilter } = require('./pagination');
+const { getProvider, enabledProviders } = require('./paymentProviders');
 
 /**
- * @desc    Registrar um novo usuário
- * @route   POST /api/users/register
+ * @desc    Enviar por SMS o código de verificação do número para o cadastro
+ * @route   POST /api/v1/users/otp/signup
+ * @access  Public
+ */
+const requestSignupOtp = async (req, res) => {
+  const { phoneNumber } = req.body; // Já normalizado para E.164 pelo validador
+
+  try {
+    const userExists = await User.exists({ phoneNumber });
+    if (userExists) {
+      return res.status(400).json({ message: 'Um usuário com este número de telefone já existe.' });
+    }
+
+    await otp.requestOtp(phoneNumber, 'signup');
+    res.json({ message: 'Código de verificação enviado por SMS.' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Erro ao enviar o código de verificação.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Registrar um novo usuário (o número é confirmado com o código enviado por SMS)
+ * @route   POST /api/v1/users/register
  * @access  Public
  */
 const registerUser = async (req, res) => {
-  const { phoneNumber, password, inviterId } = req.body;
+  const { phoneNumber, password, inviterId, otpCode } = req.body;
 
   if (!phoneNumber || !password) {
     return res.status(400).json({ message: 'Por favor, forneça o número de telefone e a senha.' });
@@ -21,58 +56,80 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ message: 'Um usuário com este número de telefone já existe.' });
     }
 
+    await otp.verifyOtp(phoneNumber, 'signup', otpCode);
+
     const userId = await generateUniqueUserId();
 
     const settings = await Settings.findOne({ settingId: 'global_settings' });
     const welcomeAmount = settings ? settings.welcomeBonus : 0; // Pega o saldo de boas-vindas
 
-    const user = await User.create({
-      phoneNumber,
-      password,
-      userId,
-      invitedBy: inviterId || null,
-      walletBalance: welcomeAmount // Adiciona o saldo diretamente na carteira principal
-      // O campo bonusBalance foi removido
-    });
-
-    if (user) {
-      // Cria uma transação para registrar o saldo de boas-vindas
+    // Usuário, transação e crédito do saldo de boas-vindas são confirmados juntos
+    const user = await runInTransaction(async (session) => {
+      const [user] = await User.create([{
+        phoneNumber,
+        password,
+        userId,
+        phoneVerifiedAt: new Date(),
+        invitedBy: inviterId || null
+        // O campo bonusBalance foi removido
+      }], { session });
+
+      // Cria uma transação para registrar o saldo de boas-vindas e credita a carteira via livro-razão
       if (welcomeAmount > 0) {
-          await Transaction.create({
+          const [transaction] = await Transaction.create([{
               user: user._id,
               type: 'bonus', // Mantemos o tipo para clareza no histórico
               amount: welcomeAmount,
               status: 'completed',
               details: 'Saldo de Boas-Vindas'
-          });
+          }], { session });
+
+          await ledger.transfer({
+              kind: 'bonus',
+              from: ledger.ACCOUNTS.BONUS_EXPENSE,
+              to: ledger.userAccount(user._id),
+              amount: welcomeAmount,
+              transaction: transaction._id,
+              description: 'Saldo de Boas-Vindas'
+          }, { session });
       }
 
+      return user;
+    });
+
+    if (user) {
       res.status(201).json({
         _id: user._id,
         userId: user.userId,
         phoneNumber: user.phoneNumber,
-        token: generateToken(user._id),
+        ...(await sessions.createSession('User', user, req)),
       });
     } else {
       res.status(400).json({ message: 'Dados de usuário inválidos.' });
     }
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Erro no servidor', error: error.message });
   }
 };
 
 /**
  * @desc    Autenticar (login) um usuário
- * @route   POST /api/users/login
+ * @route   POST /api/v1/users/login
  * @access  Public
  */
 const loginUser = async (req, res) => {
   const { phoneNumber, password } = req.body;
 
   try {
-    const user = await User.findOne({ phoneNumber });
+    // Aceita o número em qualquer formato comum; números fora do padrão moçambicano são buscados como digitados
+    const user = await User.findOne({ phoneNumber: normalizePhoneNumber(phoneNumber) || phoneNumber });
 
     if (user && (await bcrypt.compare(password, user.password))) {
+      await req.loginAttempt.succeeded();
+
       if (user.isBlocked) {
           return res.status(403).json({ message: 'Sua conta foi bloqueada. Entre em contato com o suporte.' });
       }
@@ -82,9 +139,10 @@ const loginUser = async (req, res) => {
         userId: user.userId,
         phoneNumber: user.phoneNumber,
         profilePicture: user.profilePicture,
-        token: generateToken(user._id),
+        ...(await sessions.createSession('User', user, req)),
       });
     } else {
+      await req.loginAttempt.failed();
       res.status(401).json({ message: 'Número de telefone ou senha inválidos.' });
     }
   } catch (error) {
@@ -92,9 +150,107 @@ const loginUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Enviar por SMS o código para redefinir a senha
+ * @route   POST /api/v1/users/password/forgot
+ * @access  Public
+ */
+const forgotPassword = async (req, res) => {
+  const { phoneNumber } = req.body;
+
+  try {
+    // A resposta é a mesma exista ou não a conta, para não revelar quais números estão cadastrados
+    const user = await User.findOne({ phoneNumber }).select('isBlocked');
+    if (user && !user.isBlocked) {
+      await otp.requestOtp(phoneNumber, 'password_reset');
+    }
+
+    res.json({ message: 'Se o número estiver cadastrado, você receberá um código por SMS.' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Erro ao enviar o código de verificação.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Redefinir a senha com o código recebido por SMS (encerra todas as sessões)
+ * @route   POST /api/v1/users/password/reset
+ * @access  Public
+ */
+const resetPassword = async (req, res) => {
+  const { phoneNumber, otpCode, password } = req.body;
+
+  try {
+    await otp.verifyOtp(phoneNumber, 'password_reset', otpCode);
+
+    const user = await User.findOne({ phoneNumber });
+    if (!user) {
+      return res.status(400).json({ message: 'Código de verificação inválido ou expirado.' });
+    }
+
+    user.password = password; // O 'pre-save' hook vai criptografar
+    await user.save();
+    await sessions.revokeAllSessions('User', user._id, 'password_reset');
+
+    res.json({ message: 'Senha redefinida com sucesso. Faça login com a nova senha.' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Erro ao redefinir a senha.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Renovar o token de acesso com um refresh token (o refresh token é rotacionado)
+ * @route   POST /api/v1/users/refresh
+ * @access  Public
+ */
+const refreshUserToken = async (req, res) => {
+  try {
+    const tokens = await sessions.rotateSession('User', req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Erro ao renovar a sessão.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Encerrar a sessão deste dispositivo (revoga o refresh token)
+ * @route   POST /api/v1/users/logout
+ * @access  Public
+ */
+const logoutUser = async (req, res) => {
+  try {
+    await sessions.revokeSession('User', req.body.refreshToken);
+    res.json({ message: 'Sessão encerrada com sucesso.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao encerrar a sessão.', error: error.message });
+  }
+};
+
+/**
+ * @desc    Encerrar as sessões em todos os dispositivos
+ * @route   POST /api/v1/users/logout-all
+ * @access  Private
+ */
+const logoutAllUserSessions = async (req, res) => {
+  try {
+    await sessions.revokeAllSessions('User', req.user._id, 'logout_all');
+    res.json({ message: 'Todas as sessões foram encerradas.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao encerrar as sessões.', error: error.message });
+  }
+};
+
 /**
  * @desc    Obter perfil do usuário logado (ATUALIZADO com estatísticas)
- * @route   GET /api/users/profile
+ * @route   GET /api/v1/users/profile
  * @access  Private
  */
 const getUserProfile = async (req, res) => {
@@ -112,15 +268,15 @@ const getUserProfile = async (req, res) => {
             .reduce((acc, tx) => acc + tx.amount, 0);
 
         const totalWithdrawn = transactions
-            .filter(tx => tx.type === 'withdrawal' && tx.status === 'completed')
+            .filter(tx => tx.type === 'withdrawal' && tx.status === 'paid')
             .reduce((acc, tx) => acc + tx.amount, 0);
 
         const teamMembers = await User.countDocuments({ invitedBy: user.userId });
 
-        const userProfile = user.toObject();
+        const userProfile = user.toJSON(); // toJSON formata os valores em centavos (ver money.js)
         userProfile.stats = {
-            totalEarned,
-            totalWithdrawn,
+            totalEarned: money.format(totalEarned),
+            totalWithdrawn: money.format(totalWithdrawn),
             teamMembers
         };
         
@@ -133,7 +289,7 @@ const getUserProfile = async (req, res) => {
 
 /**
  * @desc    Atualizar foto de perfil do usuário
- * @route   PUT /api/users/profile/picture
+ * @route   PUT /api/v1/users/profile/picture
  * @access  Private
  */
 const updateUserProfilePicture = async (req, res) => {
@@ -144,20 +300,24 @@ const updateUserProfilePicture = async (req, res) => {
         
         const user = await User.findById(req.user._id);
         if (user) {
+            const previousPicture = user.profilePicture;
             user.profilePicture = req.file.path;
             await user.save();
+            await removeFile(previousPicture); // A foto padrão não é nossa e é ignorada
             res.json({ message: 'Foto de perfil atualizada com sucesso.', profilePicture: user.profilePicture });
         } else {
+            await removeFile(req.file.path);
             res.status(404).json({ message: 'Usuário não encontrado.' });
         }
     } catch (error) {
+        await removeFile(req.file.path);
         res.status(500).json({ message: 'Erro no servidor ao atualizar a foto.', error: error.message });
     }
 };
 
 /**
  * @desc    Obter informações de referência do usuário
- * @route   GET /api/users/referral
+ * @route   GET /api/v1/users/referral
  * @access  Private
  */
 const getReferralInfo = async (req, res) => {
@@ -181,89 +341,319 @@ const getReferralInfo = async (req, res) => {
 
 
 /**
- * @desc    Criar uma solicitação de depósito
- * @route   POST /api/users/deposit
+ * @desc    Criar uma solicitação de depósito. O comprovante é comparado com os de depósitos
+ *          anteriores (de qualquer usuário) e o reuso fica marcado para o admin que vai aprovar.
+ * @route   POST /api/v1/users/deposit
  * @access  Private
  */
 const createDepositRequest = async (req, res) => {
     const { amount } = req.body;
-    
+
     if (!amount || !req.file) {
+        if (req.file) await removeFile(req.file.path);
         return res.status(400).json({ message: 'Valor e comprovante são obrigatórios.' });
     }
+    const depositReference = req.body.depositReference.toUpperCase();
 
     try {
+        if (await Transaction.exists({ depositReference })) {
+            throw new HttpError(409, 'Este código de transação já foi usado em outro depósito.');
+        }
+
+        const proof = await fingerprintProof(req.file.buffer).catch(() => {
+            throw new HttpError(400, 'Não foi possível ler a imagem do comprovante.');
+        });
+        const proofReuse = await findProofReuse(proof);
+
         await Transaction.create({
             user: req.user._id,
             type: 'deposit',
             amount: Number(amount),
             status: 'pending',
-            proofScreenshot: req.file.path
+            proofScreenshot: req.file.path,
+            depositReference,
+            proof,
+            proofReuse: proofReuse.length > 0 ? proofReuse : undefined
         });
 
+        // O usuário não é avisado do reuso: a marcação é só para a revisão do admin
         res.status(201).json({ message: 'Solicitação de depósito enviada com sucesso. Aguarde a aprovação do administrador.' });
 
     } catch (error) {
+        await removeFile(req.file.path);
+        // Dois envios simultâneos com o mesmo código esbarram no índice único
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Este código de transação já foi usado em outro depósito.' });
+        }
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao criar solicitação de depósito.', error: error.message });
     }
 };
 
 /**
- * @desc    Criar uma solicitação de saque
- * @route   POST /api/users/withdrawal
+ * @desc    Criar um depósito cobrado direto no celular (push M-Pesa/e-Mola). O usuário
+ *          confirma no aparelho e o depósito é concluído pela notificação do provedor.
+ * @route   POST /api/v1/users/deposit/mobile
  * @access  Private
  */
-const createWithdrawalRequest = async (req, res) => {
-    const { amount, accountHolderName, phoneNumber } = req.body;
+const createMobileDeposit = async (req, res) => {
+    const { amount, provider } = req.body;
+    const phoneNumber = req.body.phoneNumber || req.user.phoneNumber;
 
     try {
-        const user = await User.findById(req.user._id);
+        const payment = payments.buildPayment(phoneNumber, provider);
+        if (!payment) {
+            throw new HttpError(400, 'Depósito automático indisponível para este número. Use o depósito com comprovante.');
+        }
+        const { label } = getProvider(payment.provider);
+
+        const transaction = await Transaction.create({
+            user: req.user._id,
+            type: 'deposit',
+            amount,
+            status: 'processing',
+            details: `Depósito via ${label}`,
+            payment
+        });
 
-        if (!user.hasDeposited) {
-            return res.status(403).json({ message: 'Você precisa ter ativado um plano para poder sacar.' });
+        const result = await payments.sendPayment(transaction);
+        if (result === 'failed') {
+            const failed = await Transaction.findById(transaction._id);
+            throw new HttpError(400, `O ${label} recusou a cobrança: ${failed.payment.lastError}`);
         }
-        if (user.walletBalance < amount) {
-            return res.status(400).json({ message: 'Saldo insuficiente.' });
+
+        res.status(202).json({
+            message: result === 'sent'
+                ? `Confirme o pagamento de ${money.format(amount)} MT no seu celular (${label}).`
+                : 'Pedido de depósito registrado. A cobrança será enviada ao seu celular em instantes.',
+            transactionId: transaction._id
+        });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
         }
-        if (!accountHolderName || !phoneNumber) {
-            return res.status(400).json({ message: 'O nome do titular e o número de telefone são obrigatórios.' });
+        res.status(500).json({ message: 'Erro ao criar depósito.', error: error.message });
+    }
+};
+
+/**
+ * @desc    Enviar por SMS o código que confirma o cadastro ou a alteração de uma conta de saque
+ * @route   POST /api/v1/users/otp/withdrawal-destination
+ * @access  Private
+ */
+const requestWithdrawalDestinationOtp = async (req, res) => {
+    try {
+        await otp.requestOtp(req.user.phoneNumber, 'withdrawal_destination');
+        res.json({ message: 'Código de verificação enviado por SMS.' });
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
         }
+        res.status(500).json({ message: 'Erro ao enviar o código de verificação.', error: error.message });
+    }
+};
 
-        user.walletBalance -= Number(amount);
-        await user.save();
+/**
+ * Responde a um erro das operações com contas de saque.
+ * @param {object} res - A resposta do Express.
+ * @param {Error} error - O erro capturado.
+ * @param {string} message - Mensagem para erros inesperados (500).
+ */
+const sendPayoutAccountError = (res, error, message) => {
+    if (error instanceof HttpError) {
+        return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'VersionError') {
+        // Outra requisição alterou as contas do usuário ao mesmo tempo
+        return res.status(409).json({ message: 'Sua conta foi alterada por outra operação. Tente novamente.' });
+    }
+    res.status(500).json({ message, error: error.message });
+};
 
-        await Transaction.create({
-            user: req.user._id,
-            type: 'withdrawal',
-            amount: Number(amount),
-            status: 'pending',
-            details: `Saque para: ${accountHolderName} - ${phoneNumber}`
+/**
+ * @desc    Listar as contas de saque do usuário
+ * @route   GET /api/v1/users/payout-accounts
+ * @access  Private
+ */
+const getPayoutAccounts = async (req, res) => {
+    res.json({ payoutAccounts: req.user.payoutAccounts });
+};
+
+/**
+ * @desc    Cadastrar uma conta de saque (exige o código enviado por SMS). A conta só
+ *          recebe saques depois do período de espera definido nas configurações.
+ * @route   POST /api/v1/users/payout-accounts
+ * @access  Private
+ */
+const addPayoutAccount = async (req, res) => {
+    const { otpCode, ...data } = req.body;
+    try {
+        // Fora de transação: tentativas erradas precisam ficar registradas
+        await otp.verifyOtp(req.user.phoneNumber, 'withdrawal_destination', otpCode);
+        const payoutAccount = await payoutAccounts.addPayoutAccount(req.user, data);
+        res.status(201).json({ message: 'Conta de saque cadastrada com sucesso.', payoutAccount });
+    } catch (error) {
+        sendPayoutAccountError(res, error, 'Erro ao cadastrar conta de saque.');
+    }
+};
+
+/**
+ * @desc    Alterar uma conta de saque (exige o código enviado por SMS e reinicia o período de espera)
+ * @route   PUT /api/v1/users/payout-accounts/:accountId
+ * @access  Private
+ */
+const updatePayoutAccount = async (req, res) => {
+    const { otpCode, ...changes } = req.body;
+    try {
+        await otp.verifyOtp(req.user.phoneNumber, 'withdrawal_destination', otpCode);
+        const payoutAccount = await payoutAccounts.updatePayoutAccount(req.user, req.params.accountId, changes);
+        res.json({ message: 'Conta de saque alterada com sucesso.', payoutAccount });
+    } catch (error) {
+        sendPayoutAccountError(res, error, 'Erro ao alterar conta de saque.');
+    }
+};
+
+/**
+ * @desc    Remover uma conta de saque
+ * @route   DELETE /api/v1/users/payout-accounts/:accountId
+ * @access  Private
+ */
+const removePayoutAccount = async (req, res) => {
+    try {
+        await payoutAccounts.removePayoutAccount(req.user, req.params.accountId);
+        res.json({ message: 'Conta de saque removida com sucesso.' });
+    } catch (error) {
+        sendPayoutAccountError(res, error, 'Erro ao remover conta de saque.');
+    }
+};
+
+/**
+ * @desc    Criar uma solicitação de saque para uma das contas de saque cadastradas
+ *          (payoutAccountId é opcional quando o usuário tem uma só).
+ *          Limites, horário e taxa vêm das configurações; a taxa é debitada à parte, como transação 'fee'.
+ * @route   POST /api/v1/users/withdrawal
+ * @access  Private
+ */
+const createWithdrawalRequest = async (req, res) => {
+    const { amount, payoutAccountId } = req.body;
+
+    try {
+        // Pedido de saque, taxa e retenção do valor na carteira são confirmados juntos
+        await runInTransaction(async (session) => {
+            const user = await User.findById(req.user._id).session(session);
+
+            if (!user.hasDeposited) {
+                throw new HttpError(403, 'Você precisa ter ativado um plano para poder sacar.');
+            }
+            const account = payoutAccounts.payoutAccountForWithdrawal(user, payoutAccountId);
+
+            const settings = await Settings.findOne({ settingId: 'global_settings' }).session(session) || new Settings();
+            await checkWithdrawalPolicy(settings, user._id, amount, session);
+
+            const fee = withdrawalFee(settings, amount);
+            if (user.walletBalance < amount + fee) {
+                throw new HttpError(400, fee > 0
+                    ? `Saldo insuficiente. O saque tem uma taxa de ${money.format(fee)} MT.`
+                    : 'Saldo insuficiente.');
+            }
+
+            const [transaction] = await Transaction.create([{
+                user: req.user._id,
+                type: 'withdrawal',
+                amount: Number(amount),
+                status: 'pending',
+                details: `Saque para: ${account.accountHolderName} - ${account.phoneNumber}`,
+                fee,
+                payoutDestination: {
+                    payoutAccount: account._id,
+                    method: account.method,
+                    accountHolderName: account.accountHolderName,
+                    phoneNumber: account.phoneNumber
+                }
+            }], { session });
+
+            // O valor fica retido em "saques a pagar" até o administrador processar o pedido
+            await ledger.transfer({
+                kind: 'withdrawal',
+                from: ledger.userAccount(user._id),
+                to: ledger.ACCOUNTS.WITHDRAWALS_PAYABLE,
+                amount: Number(amount),
+                transaction: transaction._id,
+                description: transaction.details
+            }, { session });
+
+            if (fee > 0) {
+                const [feeTransaction] = await Transaction.create([{
+                    user: user._id,
+                    type: 'fee',
+                    amount: fee,
+                    status: 'completed',
+                    relatedTransaction: transaction._id,
+                    details: `Taxa do saque de ${money.format(transaction.amount)} MT`
+                }], { session });
+
+                await ledger.transfer({
+                    kind: 'withdrawal_fee',
+                    from: ledger.userAccount(user._id),
+                    to: ledger.ACCOUNTS.FEE_INCOME,
+                    amount: fee,
+                    transaction: feeTransaction._id,
+                    description: feeTransaction.details
+                }, { session });
+            }
         });
 
         res.status(201).json({ message: 'Solicitação de saque enviada com sucesso.' });
 
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao criar solicitação de saque.', error: error.message });
     }
 };
 
 /**
- * @desc    Obter histórico de transações do usuário
- * @route   GET /api/users/transactions
+ * @desc    Obter histórico de transações do usuário (paginado por cursor, ver pagination.js)
+ * @route   GET /api/v1/users/transactions
+ * @query   cursor, limit, type, status, from, to, minAmount, maxAmount, sort
  * @access  Private
  */
 const getUserTransactions = async (req, res) => {
+    const { sort = '-createdAt', cursor, limit } = req.query;
     try {
-        const transactions = await Transaction.find({ user: req.user._id }).sort({ createdAt: -1 });
-        res.json(transactions);
+        const filter = { ...transactionFilter(req.query), user: req.user._id };
+        const { items, nextCursor } = await paginate(Transaction, filter, { sort, cursor, limit });
+        res.json({ transactions: items, nextCursor });
     } catch (error) {
+        if (error instanceof HttpError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Erro ao buscar transações.', error: error.message });
     }
 };
 
 /**
- * @desc    Obter configurações públicas (números de pagamento)
- * @route   GET /api/settings/public
+ * Regras de saque que o aplicativo mostra antes do pedido (valores em MT).
+ * @param {object} settings - As configurações globais.
+ */
+const publicWithdrawalRules = (settings) => ({
+    minAmount: money.format(settings.minWithdrawalAmount),
+    maxAmount: money.format(settings.maxWithdrawalAmount),
+    dailyLimit: money.format(settings.dailyWithdrawalLimit),
+    weeklyLimit: money.format(settings.weeklyWithdrawalLimit),
+    feeType: settings.withdrawalFeeType,
+    feeValue: settings.withdrawalFeeType === 'fixed' ? money.format(settings.withdrawalFeeValue) : settings.withdrawalFeeValue,
+    days: settings.withdrawalDays,
+    startHour: settings.withdrawalStartHour,
+    endHour: settings.withdrawalEndHour
+});
+
+/**
+ * @desc    Obter configurações públicas (números de pagamento e regras de saque)
+ * @route   GET /api/v1/settings/public
  * @access  Public
  */
 const getPublicSettings = async (req, res) => {
@@ -274,12 +664,16 @@ const getPublicSettings = async (req, res) => {
                 mpesaNumber: settings.mpesaNumber,
                 mpesaHolderName: settings.mpesaHolderName,
                 emolaNumber: settings.emolaNumber,
-                emolaHolderName: settings.emolaHolderName
+                emolaHolderName: settings.emolaHolderName,
+                paymentProviders: enabledProviders(), // Provedores com depósito automático
+                withdrawalRules: publicWithdrawalRules(settings)
             });
         } else {
             res.json({
                 mpesaNumber: "", mpesaHolderName: "",
-                emolaNumber: "", emolaHolderName: ""
+                emolaNumber: "", emolaHolderName: "",
+                paymentProviders: enabledProviders(),
+                withdrawalRules: publicWithdrawalRules(new Settings())
             });
         }
     } catch (error) {
@@ -288,12 +682,24 @@ const getPublicSettings = async (req, res) => {
 };
 
 module.exports = {
+  requestSignupOtp,
   registerUser,
   loginUser,
+  forgotPassword,
+  resetPassword,
+  refreshUserToken,
+  logoutUser,
+  logoutAllUserSessions,
   getUserProfile,
   updateUserProfilePicture,
   getReferralInfo,
   createDepositRequest,
+  createMobileDeposit,
+  requestWithdrawalDestinationOtp,
+  getPayoutAccounts,
+  addPayoutAccount,
+  updatePayoutAccount,
+  removePayoutAccount,
   createWithdrawalRequest,
   getUserTransactions,
   getPublicSettings
@@ -0,0 +1,35 @@
+const express = require('express');
+const { validate, schemas } = require('./validators');
+const { protectUser } = require('./auth');
+const { idempotent } = require('./idempotency');
+const upload = require('./upload');
+const { guardLogin } = require('./loginGuard');
+const userController = require('./userController');
+
+const router = express.Router();
+
+// --- Rotas Públicas de Usuário ---
+router.post('/otp/signup', validate(schemas.requestPhoneOtp), userController.requestSignupOtp);
+router.post('/register', validate(schemas.registerUser), userController.registerUser);
+router.post('/login', validate(schemas.loginUser), guardLogin('user'), userController.loginUser);
+router.post('/password/forgot', validate(schemas.requestPhoneOtp), userController.forgotPassword);
+router.post('/password/reset', validate(schemas.resetPassword), userController.resetPassword);
+router.post('/refresh', validate(schemas.refreshToken), userController.refreshUserToken);
+router.post('/logout', validate(schemas.refreshToken), userController.logoutUser);
+
+// --- Rotas Privadas de Usuário ---
+router.post('/logout-all', protectUser, userController.logoutAllUserSessions);
+router.get('/profile', protectUser, userController.getUserProfile);
+router.put('/profile/picture', protectUser, upload.single('profilePicture'), upload.store, userController.updateUserProfilePicture);
+router.get('/referral', protectUser, userController.getReferralInfo);
+router.post('/deposit', protectUser, upload.single('proofScreenshot'), validate(schemas.createDepositRequest), idempotent, upload.store, userController.createDepositRequest);
+router.post('/deposit/mobile', protectUser, validate(schemas.createMobileDeposit), idempotent, userController.createMobileDeposit);
+router.post('/otp/withdrawal-destination', protectUser, userController.requestWithdrawalDestinationOtp);
+router.get('/payout-accounts', protectUser, userController.getPayoutAccounts);
+router.post('/payout-accounts', protectUser, validate(schemas.addPayoutAccount), userController.addPayoutAccount);
+router.put('/payout-accounts/:accountId', protectUser, validate(schemas.updatePayoutAccount), userController.updatePayoutAccount);
+router.delete('/payout-accounts/:accountId', protectUser, validate(schemas.payoutAccountById), userController.removePayoutAccount);
+router.post('/withdrawal', protectUser, validate(schemas.createWithdrawalRequest), idempotent, userController.createWithdrawalRequest);
+router.get('/transactions', protectUser, validate(schemas.getUserTransactions), userController.getUserTransactions);
+
+module.exports = router;
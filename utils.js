@@ -1,5 +1,19 @@
+const mongoose = require('mongoose');
 const { User } = require('./models');
 
+/**
+ * Erro com status HTTP associado.
+ * Lançado dentro de fluxos transacionais para abortar a transação
+ * e responder ao cliente com o status e a mensagem indicados.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
 /**
  * Gera um ID de usuário único, numérico e com 5 dígitos.
  * A função verifica no banco de dados para garantir a unicidade.
@@ -27,6 +41,30 @@ const generateUniqueUserId = async () => {
   return userId;
 };
 
+/**
+ * Executa uma função dentro de uma transação multi-documento do MongoDB.
+ * Todas as escritas feitas com a sessão recebida são confirmadas juntas ou descartadas juntas.
+ * A função pode ser executada mais de uma vez em caso de erro transitório, por isso
+ * deve carregar os documentos de que precisa dentro dela.
+ * Requer que o MongoDB esteja rodando como replica set.
+ * @param {(session: mongoose.ClientSession) => Promise<any>} work - O trabalho a executar.
+ * @returns {Promise<any>} O valor retornado por `work`.
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 module.exports = {
+  HttpError,
   generateUniqueUserId,
+  runInTransaction,
 };
\ No newline at end of file
@@ -0,0 +1,426 @@
+const mongoose = require('mongoose');
+const { ADJUSTMENT_REASON_CODES, PAYMENT_PROVIDERS, TRANSACTION_TYPES, TRANSACTION_STATUSES } = require('./models');
+const { ROLES } = require('./permissions');
+const { toMinor } = require('./money');
+const { normalizePhoneNumber } = require('./phone');
+
+// =================
+// VALIDAÇÃO DECLARATIVA DE REQUISIÇÕES
+// =================
+// Cada esquema descreve os campos aceitos em body, query e params. Campos não
+// declarados são rejeitados (evita mass-assignment) e os valores são convertidos
+// para o tipo declarado (útil em formulários multipart, onde tudo chega como texto).
+//
+// Regras disponíveis por campo:
+//   type: 'string' | 'number' | 'money' | 'boolean' | 'objectId' | 'date' | 'phone' | 'array'
+//   required, enum, min, max (números), integer, minLength, maxLength, pattern (strings)
+//   requires: nome de outro campo do mesmo local que deve ser enviado junto com este
+//   'money' é um valor em MT maior que zero (ou >= min) com no máximo duas casas decimais;
+//   min e max são comparados em MT, e o valor entregue ao controller é convertido para centavos.
+//   'phone' é um celular moçambicano, entregue ao controller em E.164 (ver phone.js).
+//   'array' valida cada item com a regra em `items` (ex: { type: 'array', items: { type: 'string', enum } }).
+
+const PHONE_PATTERN = /^\+?\d{8,15}$/;
+
+/**
+ * Valida e converte um valor de acordo com a regra do campo.
+ * @param {*} value - Valor recebido.
+ * @param {object} rule - Regra do campo.
+ * @returns {{value?: *, error?: string}}
+ */
+const checkField = (value, rule) => {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { error: 'Deve ser um texto.' };
+            const trimmed = value.trim();
+            if (rule.required && trimmed.length === 0) return { error: 'Não pode ser vazio.' };
+            if (rule.minLength !== undefined && trimmed.length < rule.minLength) return { error: `Deve ter pelo menos ${rule.minLength} caracteres.` };
+            if (rule.maxLength !== undefined && trimmed.length > rule.maxLength) return { error: `Deve ter no máximo ${rule.maxLength} caracteres.` };
+            if (rule.pattern && !rule.pattern.test(trimmed)) return { error: rule.patternMessage || 'Formato inválido.' };
+            if (rule.enum && !rule.enum.includes(trimmed)) return { error: `Deve ser um de: ${rule.enum.join(', ')}.` };
+            return { value: trimmed };
+        }
+        case 'number':
+        case 'money': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'Deve ser um número.' };
+            if (rule.integer && !Number.isInteger(number)) return { error: 'Deve ser um número inteiro.' };
+            if (rule.type === 'money') {
+                if (Math.abs(number * 100 - Math.round(number * 100)) > 1e-6) return { error: 'Deve ter no máximo duas casas decimais.' };
+                if (rule.min === undefined && number <= 0) return { error: 'Deve ser maior que zero.' };
+            }
+            if (rule.min !== undefined && number < rule.min) return { error: `Deve ser maior ou igual a ${rule.min}.` };
+            if (rule.max !== undefined && number > rule.max) return { error: `Deve ser menor ou igual a ${rule.max}.` };
+            if (rule.nonZero && number === 0) return { error: 'Deve ser diferente de zero.' };
+            return { value: rule.type === 'money' ? toMinor(number) : number };
+        }
+        case 'boolean': {
+            if (value === true || value === 'true') return { value: true };
+            if (value === false || value === 'false') return { value: false };
+            return { error: 'Deve ser true ou false.' };
+        }
+        case 'objectId': {
+            if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) return { error: 'Deve ser um ID válido.' };
+            return { value };
+        }
+        case 'phone': {
+            const normalized = normalizePhoneNumber(value);
+            if (!normalized) return { error: 'Número de celular moçambicano inválido.' };
+            return { value: normalized };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return { error: 'Deve ser uma lista.' };
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `Deve ter no máximo ${rule.maxLength} itens.` };
+            const items = [];
+            for (const [index, item] of value.entries()) {
+                const result = checkField(item, rule.items);
+                if (result.error) return { error: `Item ${index}: ${result.error}` };
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (typeof value !== 'string' || Number.isNaN(date.getTime())) return { error: 'Deve ser uma data válida (ISO 8601).' };
+            return { value: date };
+        }
+        default:
+            throw new Error(`Tipo de validação desconhecido: ${rule.type}`);
+    }
+};
+
+/**
+ * Cria um middleware que valida req.body, req.query e req.params contra o esquema.
+ * Em caso de erro responde 400 com a lista de campos inválidos:
+ *   { message: 'Dados inválidos.', errors: [{ field: 'body.amount', message: '...' }] }
+ * @param {{body?: object, query?: object, params?: object}} schema
+ */
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['body', 'query', 'params']) {
+        const rules = schema[location] || {};
+        const input = req[location] || {};
+        const output = {};
+
+        for (const key of Object.keys(input)) {
+            if (!rules[key]) errors.push({ field: `${location}.${key}`, message: 'Campo não permitido.' });
+        }
+
+        for (const [key, rule] of Object.entries(rules)) {
+            const value = input[key];
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) errors.push({ field: `${location}.${key}`, message: 'Campo obrigatório.' });
+                continue;
+            }
+            if (rule.requires && [undefined, null, ''].includes(input[rule.requires])) {
+                errors.push({ field: `${location}.${key}`, message: `Deve ser enviado junto com ${rule.requires}.` });
+                continue;
+            }
+            const result = checkField(value, rule);
+            if (result.error) {
+                errors.push({ field: `${location}.${key}`, message: result.error });
+            } else {
+                output[key] = result.value;
+            }
+        }
+
+        // params é recriado pelo Express a cada roteador, então só body e query são substituídos
+        if (location === 'params') {
+            Object.assign(req.params, output);
+        } else {
+            req[location] = output;
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Dados inválidos.', errors });
+    }
+    next();
+};
+
+// =================
+// ESQUEMAS POR ROTA
+// =================
+const idParams = { params: { id: { type: 'objectId', required: true } } };
+const payoutAccountParams = { params: { accountId: { type: 'objectId', required: true } } };
+const adminPhone = { type: 'string', pattern: PHONE_PATTERN, patternMessage: 'Número de telefone inválido.' };
+const mobilePhone = { type: 'phone' };
+const otpCode = { type: 'string', pattern: /^\d{6}$/, patternMessage: 'O código deve ter 6 dígitos.' };
+const password = { type: 'string', minLength: 6, maxLength: 128 };
+// Listas paginadas por cursor (ver pagination.js); sort é o campo, com '-' para ordem decrescente
+const cursorPagination = {
+    cursor: { type: 'string', maxLength: 300 },
+    limit: { type: 'number', integer: true, min: 1, max: 100 }
+};
+const userSearch = { type: 'string', maxLength: 20, pattern: /^\+?\d+$/, patternMessage: 'Informe parte do ID ou do telefone do usuário.' };
+const transactionListQuery = {
+    ...cursorPagination,
+    type: { type: 'string', enum: TRANSACTION_TYPES },
+    status: { type: 'string', enum: TRANSACTION_STATUSES },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    minAmount: { type: 'money', min: 0 },
+    maxAmount: { type: 'money', min: 0 },
+    sort: { type: 'string', enum: ['-createdAt', 'createdAt', '-amount', 'amount'] }
+};
+
+const planFields = {
+    name: { type: 'string', maxLength: 100 },
+    minAmount: { type: 'money' },
+    maxAmount: { type: 'money' },
+    dailyIncomeType: { type: 'string', enum: ['percentage', 'fixed'] },
+    dailyIncomeValue: { type: 'number', min: 0 },
+    duration: { type: 'number', integer: true, min: 1, max: 3650 },
+    isActive: { type: 'boolean' }
+};
+
+const requiredPlanFields = Object.fromEntries(
+    Object.entries(planFields).map(([key, rule]) => [key, key === 'isActive' ? rule : { ...rule, required: true }])
+);
+
+const schemas = {
+    // --- Usuários ---
+    registerUser: {
+        body: {
+            phoneNumber: { ...mobilePhone, required: true },
+            password: { ...password, required: true },
+            inviterId: { type: 'string', pattern: /^\d{5}$/, patternMessage: 'ID de convite inválido.' },
+            otpCode: { ...otpCode, required: true }
+        }
+    },
+    requestPhoneOtp: {
+        body: { phoneNumber: { ...mobilePhone, required: true } }
+    },
+    resetPassword: {
+        body: {
+            phoneNumber: { ...mobilePhone, required: true },
+            otpCode: { ...otpCode, required: true },
+            password: { ...password, required: true }
+        }
+    },
+    loginUser: {
+        body: {
+            phoneNumber: { type: 'string', required: true, maxLength: 20 },
+            password: { type: 'string', required: true, maxLength: 128 }
+        }
+    },
+    refreshToken: {
+        body: { refreshToken: { type: 'string', required: true, maxLength: 200 } }
+    },
+    createDepositRequest: {
+        body: {
+            amount: { type: 'money', required: true },
+            // Código da transação M-Pesa/e-Mola (ex: QGH4XYZ12A, CI231015.1234.A12345)
+            depositReference: {
+                type: 'string',
+                required: true,
+                pattern: /^[A-Za-z0-9.-]{6,30}$/,
+                patternMessage: 'Informe o código da transação M-Pesa/e-Mola, como aparece no SMS de confirmação.'
+            }
+        }
+    },
+    createMobileDeposit: {
+        body: {
+            amount: { type: 'money', required: true },
+            phoneNumber: mobilePhone, // Padrão: o número da conta
+            provider: { type: 'string', enum: PAYMENT_PROVIDERS } // Padrão: pela operadora do número
+        }
+    },
+    addPayoutAccount: {
+        body: {
+            method: { type: 'string', enum: PAYMENT_PROVIDERS }, // Padrão: pela operadora do número
+            accountHolderName: { type: 'string', required: true, maxLength: 100 },
+            phoneNumber: { ...mobilePhone, required: true },
+            otpCode: { ...otpCode, required: true }
+        }
+    },
+    updatePayoutAccount: {
+        ...payoutAccountParams,
+        body: {
+            method: { type: 'string', enum: PAYMENT_PROVIDERS },
+            accountHolderName: { type: 'string', maxLength: 100 },
+            phoneNumber: mobilePhone,
+            otpCode: { ...otpCode, required: true }
+        }
+    },
+    payoutAccountById: payoutAccountParams,
+    createWithdrawalRequest: {
+        body: {
+            amount: { type: 'money', required: true },
+            payoutAccountId: { type: 'objectId' } // Opcional quando o usuário tem uma só conta de saque
+        }
+    },
+    getUserTransactions: { query: transactionListQuery },
+    activatePlan: {
+        body: {
+            planId: { type: 'objectId', required: true },
+            amount: { type: 'money', required: true }
+        }
+    },
+    collectDailyEarnings: {
+        body: { activePlanId: { type: 'objectId', required: true } }
+    },
+
+    // --- Administradores ---
+    loginAdmin: {
+        body: {
+            phoneNumber: { type: 'string', required: true, maxLength: 20 },
+            password: { type: 'string', required: true, maxLength: 128 }
+        }
+    },
+    loginAdminTwoFactor: {
+        body: {
+            challengeToken: { type: 'string', required: true, maxLength: 2000 },
+            code: { type: 'string', required: true, maxLength: 20 } // Código TOTP ou código de recuperação
+        }
+    },
+    twoFactorCode: {
+        body: { code: { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'O código deve ter 6 dígitos.' } }
+    },
+    createAdmin: {
+        body: {
+            phoneNumber: { ...adminPhone, required: true },
+            password: { ...password, minLength: 8, required: true },
+            role: { type: 'string', enum: ROLES, required: true }
+        }
+    },
+    updateAdmin: {
+        ...idParams,
+        body: {
+            role: { type: 'string', enum: ROLES },
+            isActive: { type: 'boolean' }
+        }
+    },
+    byId: idParams,
+    getLoginLockouts: {
+        query: { lockedOnly: { type: 'boolean' } }
+    },
+    clearLoginLockout: {
+        body: { key: { type: 'string', required: true, maxLength: 200 } }
+    },
+    getUsers: {
+        query: {
+            ...cursorPagination,
+            search: userSearch,
+            isBlocked: { type: 'boolean' },
+            invitedBy: { type: 'string', pattern: /^\d{5}$/, patternMessage: 'ID de convite inválido.' },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            sort: { type: 'string', enum: ['-createdAt', 'createdAt', '-walletBalance', 'walletBalance', 'userId', '-userId'] }
+        }
+    },
+    getUserDetails: { ...idParams, query: transactionListQuery },
+    adjustUserBalance: {
+        ...idParams,
+        body: {
+            amount: { type: 'money', min: -Infinity, nonZero: true, required: true },
+            reasonCode: { type: 'string', enum: ADJUSTMENT_REASON_CODES, required: true },
+            note: { type: 'string', required: true, maxLength: 500 },
+            allowNegative: { type: 'boolean' }
+        }
+    },
+    lockPayoutAccount: {
+        params: {
+            id: { type: 'objectId', required: true },
+            accountId: { type: 'objectId', required: true }
+        },
+        body: {
+            locked: { type: 'boolean', required: true },
+            reason: { type: 'string', maxLength: 300 }
+        }
+    },
+    updateUserCredentials: {
+        ...idParams,
+        body: {
+            password,
+            phoneNumber: mobilePhone
+        }
+    },
+    createPlan: { body: requiredPlanFields },
+    updatePlan: {
+        ...idParams,
+        // O valor muda de sentido com o tipo (porcentagem ou centavos): os dois vêm juntos
+        body: { ...planFields, dailyIncomeType: { ...planFields.dailyIncomeType, requires: 'dailyIncomeValue' } }
+    },
+    getPendingTransactions: {
+        query: { ...transactionListQuery, search: userSearch } // status padrão: pending
+    },
+    updateTransactionStatus: {
+        ...idParams,
+        body: {
+            // Depósitos: completed ou rejected. Saques: ver WITHDRAWAL_TRANSITIONS em withdrawals.js
+            status: { type: 'string', enum: ['completed', 'rejected', 'under_review', 'processing', 'paid', 'failed', 'reversed'], required: true },
+            reason: { type: 'string', maxLength: 300 }
+        }
+    },
+    getWithdrawals: {
+        query: {
+            ...cursorPagination,
+            status: { type: 'string', enum: ['pending', 'under_review', 'processing', 'paid', 'failed', 'reversed', 'rejected'] },
+            sort: { type: 'string', enum: ['createdAt', '-createdAt', '-amount', 'amount'] }
+        }
+    },
+    createPayoutBatch: {
+        body: {
+            method: { type: 'string', enum: PAYMENT_PROVIDERS, required: true },
+            transactionIds: { type: 'array', maxLength: 500, items: { type: 'objectId' } } // Padrão: os mais antigos aguardando lote
+        }
+    },
+    getPayoutBatches: {
+        query: { status: { type: 'string', enum: ['created', 'exported', 'settled'] } }
+    },
+    updateSettings: {
+        body: {
+            welcomeBonus: { type: 'money', min: 0 },
+            referralCommissionPercentage: { type: 'number', min: 0, max: 100 },
+            dailyProfitSharePercentage: { type: 'number', min: 0, max: 100 },
+            mpesaNumber: { type: 'string', maxLength: 20 },
+            mpesaHolderName: { type: 'string', maxLength: 100 },
+            emolaNumber: { type: 'string', maxLength: 20 },
+            emolaHolderName: { type: 'string', maxLength: 100 },
+            luckWheelEnabled: { type: 'boolean' },
+            dualApprovalThreshold: { type: 'money', min: 0 },
+            collectionMode: { type: 'string', enum: ['manual', 'accrual'] },
+            twoFactorRequiredRoles: { type: 'array', maxLength: ROLES.length, items: { type: 'string', enum: ROLES } },
+            // Limites de saque em MT; 0 desativa o limite
+            minWithdrawalAmount: { type: 'money', min: 0 },
+            maxWithdrawalAmount: { type: 'money', min: 0 },
+            dailyWithdrawalLimit: { type: 'money', min: 0 },
+            weeklyWithdrawalLimit: { type: 'money', min: 0 },
+            withdrawalFeeType: { type: 'string', enum: ['percentage', 'fixed'] },
+            withdrawalFeeValue: { type: 'number', min: 0 }, // Porcentagem ou MT, conforme withdrawalFeeType
+            withdrawalDays: { type: 'array', maxLength: 7, items: { type: 'number', integer: true, min: 0, max: 6 } },
+            withdrawalStartHour: { type: 'number', integer: true, min: 0, max: 23 },
+            withdrawalEndHour: { type: 'number', integer: true, min: 1, max: 24 },
+            payoutAccountCooldownHours: { type: 'number', integer: true, min: 0, max: 720 }
+        }
+    },
+    addBanner: {
+        body: { linkUrl: { type: 'string', maxLength: 500, pattern: /^https?:\/\//, patternMessage: 'Deve ser uma URL http(s).' } }
+    },
+    getApprovals: {
+        query: { status: { type: 'string', enum: ['pending', 'approved', 'rejected'] } }
+    },
+    reviewApproval: {
+        ...idParams,
+        body: { note: { type: 'string', maxLength: 500 } }
+    },
+    runJob: {
+        params: { name: { type: 'string', required: true, maxLength: 50 } }
+    },
+    getAuditLogs: {
+        query: {
+            ...cursorPagination,
+            sort: { type: 'string', enum: ['-createdAt', 'createdAt'] },
+            admin: { type: 'objectId' },
+            action: { type: 'string', maxLength: 100 },
+            targetType: { type: 'string', maxLength: 50 },
+            targetId: { type: 'string', maxLength: 50 },
+            from: { type: 'date' },
+            to: { type: 'date' }
+        }
+    }
+};
+
+module.exports = { validate, schemas };
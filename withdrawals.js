@@ -0,0 +1,327 @@
+const { Transaction, PayoutBatch } = require('./models');
+const { HttpError } = require('./utils');
+const { settleTransaction } = require('./settlement');
+const { buildPayment, newPaymentReference } = require('./payments');
+const money = require('./money');
+const { toCsv } = require('./csv');
+
+// =================
+// FLUXO DE SAQUES
+// =================
+//   pending ─> under_review ─> processing ─> paid
+//      │             │              │
+//      └─────────────┴─> rejected   └─> failed ─> processing (nova tentativa)
+//                                          └────> reversed
+// rejected e reversed devolvem o valor à carteira e paid o baixa do caixa (ver settlement.js);
+// nos demais status o valor continua retido em "saques a pagar".
+// Em 'processing' o saque é pago pelo provedor (payment, ver payments.js) quando há um
+// ativo para o método do destino; senão aguarda um lote de pagamento exportado em arquivo.
+// Depois que o lote é exportado, paid e failed vêm só do arquivo de retorno do lote.
+// Novos pedidos respeitam os limites, a taxa e o horário definidos em Settings.
+
+const WITHDRAWAL_TRANSITIONS = {
+    pending: ['under_review', 'processing', 'rejected'],
+    under_review: ['processing', 'rejected'],
+    processing: ['paid', 'failed'],
+    failed: ['processing', 'reversed']
+};
+
+const PAYOUT_BATCH_MAX_ITEMS = 500;
+
+const WEEKDAY_NAMES = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+
+// Valores aceitos na coluna status do arquivo de retorno
+const BATCH_RESULTS = {
+    paid: ['paid', 'pago', 'success', 'successful', 'completed', 'sucesso', 'ok'],
+    failed: ['failed', 'falhou', 'falha', 'fail', 'error', 'erro', 'rejected']
+};
+
+/**
+ * Calcula a taxa de um saque.
+ * @param {object} settings - As configurações globais.
+ * @param {number} amount - Valor do saque em centavos.
+ * @returns {number} A taxa em centavos (0 sem taxa).
+ */
+const withdrawalFee = (settings, amount) => (settings.withdrawalFeeType === 'fixed'
+    ? settings.withdrawalFeeValue
+    : money.percentOf(amount, settings.withdrawalFeeValue, money.ROUNDING.HALF_UP));
+
+/**
+ * Descreve os dias e o horário em que saques podem ser pedidos (para mensagens de erro).
+ * @param {object} settings
+ * @returns {string}
+ */
+const describeWithdrawalSchedule = (settings) => {
+    const days = [...settings.withdrawalDays].sort();
+    const dayText = days.length === 7 ? 'todos os dias' : `nos dias ${days.map((day) => WEEKDAY_NAMES[day]).join(', ')}`;
+    return `${dayText}, das ${settings.withdrawalStartHour}h às ${settings.withdrawalEndHour}h`;
+};
+
+/**
+ * Soma os saques do usuário criados desde uma data, sem contar os rejeitados e estornados.
+ * @returns {Promise<number>} Total em centavos.
+ */
+const withdrawnSince = async (userId, since, session) => {
+    const [result] = await Transaction.aggregate([
+        { $match: { user: userId, type: 'withdrawal', status: { $nin: ['rejected', 'reversed'] }, createdAt: { $gte: since } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).session(session);
+    return result ? result.total : 0;
+};
+
+/**
+ * Verifica se um novo saque respeita o horário e os limites das configurações.
+ * Dia e semana (de segunda a domingo) seguem o horário do servidor.
+ * @param {object} settings - As configurações globais.
+ * @param {import('mongoose').Types.ObjectId} userId
+ * @param {number} amount - Valor do saque em centavos.
+ * @param {import('mongoose').ClientSession} session
+ * @param {Date} [now]
+ * @throws {HttpError} 400 com a regra que o saque não cumpre.
+ */
+const checkWithdrawalPolicy = async (settings, userId, amount, session, now = new Date()) => {
+    if (settings.withdrawalDays.length === 0) {
+        throw new HttpError(400, 'Os saques estão temporariamente suspensos.');
+    }
+    const hour = now.getHours();
+    if (!settings.withdrawalDays.includes(now.getDay())
+        || hour < settings.withdrawalStartHour || hour >= settings.withdrawalEndHour) {
+        throw new HttpError(400, `Saques só podem ser solicitados ${describeWithdrawalSchedule(settings)}.`);
+    }
+
+    const { minWithdrawalAmount, maxWithdrawalAmount, dailyWithdrawalLimit, weeklyWithdrawalLimit } = settings;
+    if (minWithdrawalAmount > 0 && amount < minWithdrawalAmount) {
+        throw new HttpError(400, `O valor mínimo de saque é ${money.format(minWithdrawalAmount)} MT.`);
+    }
+    if (maxWithdrawalAmount > 0 && amount > maxWithdrawalAmount) {
+        throw new HttpError(400, `O valor máximo por saque é ${money.format(maxWithdrawalAmount)} MT.`);
+    }
+
+    const startOfDay = new Date(now);
+    startOfDay.setHours(0, 0, 0, 0);
+    if (dailyWithdrawalLimit > 0) {
+        const used = await withdrawnSince(userId, startOfDay, session);
+        if (used + amount > dailyWithdrawalLimit) {
+            throw new HttpError(400, `O limite diário de saque é ${money.format(dailyWithdrawalLimit)} MT. Hoje você ainda pode sacar ${money.format(Math.max(dailyWithdrawalLimit - used, 0))} MT.`);
+        }
+    }
+    if (weeklyWithdrawalLimit > 0) {
+        const startOfWeek = new Date(startOfDay);
+        startOfWeek.setDate(startOfDay.getDate() - ((startOfDay.getDay() + 6) % 7));
+        const used = await withdrawnSince(userId, startOfWeek, session);
+        if (used + amount > weeklyWithdrawalLimit) {
+            throw new HttpError(400, `O limite semanal de saque é ${money.format(weeklyWithdrawalLimit)} MT. Nesta semana você ainda pode sacar ${money.format(Math.max(weeklyWithdrawalLimit - used, 0))} MT.`);
+        }
+    }
+};
+
+/**
+ * Muda o status de um saque, validando a transição, e lança o movimento no livro-razão.
+ * @param {string} transactionId - O _id do saque.
+ * @param {string} status - O novo status.
+ * @param {object} options
+ * @param {string} [options.reason] - Motivo (guardado em statusReason).
+ * @param {import('mongoose').Types.ObjectId} [options.payoutBatch] - Lote cujo arquivo de retorno está sendo aplicado.
+ * @param {import('mongoose').ClientSession} options.session - Sessão da transação em andamento.
+ * @returns {Promise<{transaction: object, previousStatus: string}>}
+ */
+const transitionWithdrawal = async (transactionId, status, { reason, payoutBatch, session }) => {
+    const current = await Transaction.findOne({ _id: transactionId, type: 'withdrawal' }).session(session);
+    if (!current) throw new HttpError(404, 'Saque não encontrado.');
+
+    const allowed = WITHDRAWAL_TRANSITIONS[current.status] || [];
+    if (!allowed.includes(status)) {
+        throw new HttpError(400, `Um saque com status '${current.status}' não pode passar para '${status}'.`);
+    }
+    // Com o pagamento em andamento no provedor, o resultado vem da notificação (ver payments.js)
+    if (current.payment && ['queued', 'sent'].includes(current.payment.status)) {
+        throw new HttpError(409, 'O pagamento deste saque está em andamento no provedor. Aguarde a confirmação.');
+    }
+    // Num lote já exportado, o resultado vem do arquivo de retorno do lote (ver settlePayoutBatch)
+    if (['paid', 'failed'].includes(status) && current.payoutBatch && !current.payoutBatch.equals(payoutBatch)) {
+        const batch = await PayoutBatch.findById(current.payoutBatch).select('status').session(session);
+        if (batch && batch.status === 'exported') {
+            throw new HttpError(409, 'Este saque está em um lote de pagamento exportado. Importe o retorno do lote.');
+        }
+    }
+
+    const update = { $set: { status, statusReason: reason || null } };
+    if (status === 'processing') {
+        // Aprovação ou nova tentativa: sai de qualquer lote anterior e vai ao provedor, se houver um ativo
+        const destination = current.payoutDestination || {};
+        const payment = destination.phoneNumber ? buildPayment(destination.phoneNumber, destination.method) : null;
+        update.$set.payoutBatch = null;
+        if (payment) {
+            update.$set.payment = payment;
+        } else {
+            update.$unset = { payment: 1 };
+        }
+    }
+
+    // Só uma requisição consegue mudar o status, mesmo se chegarem juntas
+    const transaction = await Transaction.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        update,
+        { new: true, session }
+    );
+    if (!transaction) throw new HttpError(409, 'O saque foi alterado por outra operação. Tente novamente.');
+
+    await settleTransaction(transaction, status, session);
+    return { transaction, previousStatus: current.status };
+};
+
+/**
+ * Monta um lote com saques aprovados ('processing') que não estão com o provedor nem em outro lote.
+ * @param {object} options
+ * @param {string} options.method - 'mpesa' ou 'emola'.
+ * @param {string[]} [options.transactionIds] - Saques escolhidos (padrão: os mais antigos, até o limite).
+ * @param {object} options.admin - Admin que monta o lote.
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<object>} O PayoutBatch criado.
+ */
+const createPayoutBatch = async ({ method, transactionIds, admin }, session) => {
+    const eligible = {
+        type: 'withdrawal',
+        status: 'processing',
+        payoutBatch: null,
+        payment: { $exists: false },
+        'payoutDestination.method': method
+    };
+    const query = transactionIds ? { ...eligible, _id: { $in: transactionIds } } : eligible;
+
+    const transactions = await Transaction.find(query).sort({ createdAt: 1 }).limit(PAYOUT_BATCH_MAX_ITEMS).session(session);
+    if (transactions.length === 0) {
+        throw new HttpError(400, 'Nenhum saque aprovado aguardando lote para este método.');
+    }
+    if (transactionIds && transactions.length !== new Set(transactionIds.map(String)).size) {
+        throw new HttpError(400, 'Alguns saques não estão aprovados, já estão em um lote ou são de outro método.');
+    }
+
+    const items = transactions.map((transaction) => ({
+        transaction: transaction._id,
+        reference: newPaymentReference(),
+        phoneNumber: transaction.payoutDestination.phoneNumber,
+        accountHolderName: transaction.payoutDestination.accountHolderName,
+        amount: transaction.amount
+    }));
+    const [batch] = await PayoutBatch.create([{
+        method,
+        items,
+        totalAmount: items.reduce((total, item) => total + item.amount, 0),
+        createdBy: admin._id
+    }], { session });
+
+    const { modifiedCount } = await Transaction.updateMany(
+        { ...eligible, _id: { $in: items.map((item) => item.transaction) } },
+        { $set: { payoutBatch: batch._id } },
+        { session }
+    );
+    if (modifiedCount !== items.length) {
+        throw new HttpError(409, 'Alguns saques mudaram enquanto o lote era montado. Tente novamente.');
+    }
+
+    return batch;
+};
+
+/**
+ * Gera o arquivo do lote para a ferramenta de pagamentos em massa do provedor.
+ * Só entram os itens ainda sem resultado, para que baixar de novo não pague duas vezes.
+ * @param {object} batch - O PayoutBatch.
+ * @returns {string} CSV com reference, msisdn, amount e account_holder_name.
+ */
+const payoutBatchCsv = (batch) => toCsv([
+    ['reference', 'msisdn', 'amount', 'account_holder_name'],
+    ...batch.items
+        .filter((item) => item.result === 'pending')
+        .map((item) => [item.reference, item.phoneNumber.replace(/^\+/, ''), money.format(item.amount), item.accountHolderName])
+]);
+
+/**
+ * Interpreta a coluna status do arquivo de retorno.
+ * @param {string} value
+ * @returns {'paid'|'failed'|null}
+ */
+const parseBatchResult = (value) => {
+    const normalized = String(value || '').trim().toLowerCase();
+    return Object.keys(BATCH_RESULTS).find((result) => BATCH_RESULTS[result].includes(normalized)) || null;
+};
+
+/**
+ * Aplica o arquivo de retorno do provedor: cada linha marca um item do lote como pago ou
+ * falho e move o saque correspondente. Linhas com problema são listadas e não impedem as demais.
+ * @param {string} batchId
+ * @param {Array<{reference: string, status: string, provider_reference?: string, reason?: string}>} rows - Linhas do CSV.
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<{batch: object, summary: {paid: number, failed: number, unchanged: number, errors: object[]}}>}
+ */
+const settlePayoutBatch = async (batchId, rows, session) => {
+    const batch = await PayoutBatch.findById(batchId).session(session);
+    if (!batch) throw new HttpError(404, 'Lote de pagamento não encontrado.');
+    if (batch.status === 'created') throw new HttpError(400, 'Exporte o lote antes de importar o retorno.');
+
+    const summary = { paid: 0, failed: 0, unchanged: 0, errors: [] };
+    const now = new Date();
+
+    for (const [index, row] of rows.entries()) {
+        const line = index + 2; // A linha 1 é o cabeçalho
+        const item = batch.items.find((candidate) => candidate.reference === row.reference);
+        const result = parseBatchResult(row.status);
+
+        if (!item) {
+            summary.errors.push({ line, reference: row.reference, message: 'Referência não pertence a este lote.' });
+            continue;
+        }
+        if (!result) {
+            summary.errors.push({ line, reference: row.reference, message: `Status inválido: '${row.status}'. Use paid ou failed.` });
+            continue;
+        }
+        if (item.result !== 'pending') {
+            if (item.result === result) {
+                summary.unchanged += 1;
+            } else {
+                summary.errors.push({ line, reference: row.reference, message: `O item já foi marcado como ${item.result}.` });
+            }
+            continue;
+        }
+        // O saque pode ter saído do lote (ex: nova tentativa depois de uma falha): o retorno não vale para ele
+        const transaction = await Transaction.findById(item.transaction).select('payoutBatch').session(session);
+        if (!transaction || !batch._id.equals(transaction.payoutBatch)) {
+            summary.errors.push({ line, reference: row.reference, message: 'O saque não pertence mais a este lote.' });
+            continue;
+        }
+
+        const reason = result === 'failed' ? row.reason || 'Falha informada no retorno do lote de pagamento.' : undefined;
+        try {
+            await transitionWithdrawal(item.transaction, result, { reason, payoutBatch: batch._id, session });
+        } catch (error) {
+            // As verificações falham antes de gravar: o restante do arquivo pode seguir
+            if (!(error instanceof HttpError)) throw error;
+            summary.errors.push({ line, reference: row.reference, message: error.message });
+            continue;
+        }
+
+        item.result = result;
+        item.providerReference = row.provider_reference || null;
+        item.failureReason = reason || null;
+        item.settledAt = now;
+        summary[result] += 1;
+    }
+
+    if (batch.items.every((item) => item.result !== 'pending')) {
+        batch.status = 'settled';
+        batch.settledAt = now;
+    }
+    await batch.save({ session });
+
+    return { batch, summary };
+};
+
+module.exports = {
+    WITHDRAWAL_TRANSITIONS,
+    withdrawalFee,
+    checkWithdrawalPolicy,
+    transitionWithdrawal,
+    createPayoutBatch,
+    payoutBatchCsv,
+    settlePayoutBatch
+};